@@ -0,0 +1,173 @@
+// backend/accessibility.js
+// Link text and accessibility audit: turns the anchors the crawler collected on
+// a page into findings, each with the WCAG success criterion it relates to
+
+const { URL } = require('url');
+
+const WCAG_UNDERSTANDING = 'https://www.w3.org/WAI/WCAG21/Understanding';
+
+const REFERENCES = {
+  noName: {
+    wcag: '2.4.4',
+    label: 'WCAG 2.4.4 Link Purpose (In Context) (A), 4.1.2 Name, Role, Value (A) - failure F89',
+    url: `${WCAG_UNDERSTANDING}/link-purpose-in-context.html`
+  },
+  imageAlt: {
+    wcag: '1.1.1',
+    label: 'WCAG 1.1.1 Non-text Content (A) - technique H30',
+    url: `${WCAG_UNDERSTANDING}/non-text-content.html`
+  },
+  vagueText: {
+    wcag: '2.4.4',
+    label: 'WCAG 2.4.4 Link Purpose (In Context) (A)',
+    url: `${WCAG_UNDERSTANDING}/link-purpose-in-context.html`
+  },
+  ambiguousText: {
+    wcag: '2.4.9',
+    label: 'WCAG 2.4.9 Link Purpose (Link Only) (AAA)',
+    url: `${WCAG_UNDERSTANDING}/link-purpose-link-only.html`
+  },
+  newWindow: {
+    wcag: '3.2.5',
+    label: 'WCAG 3.2.5 Change on Request (AAA) - technique G201',
+    url: `${WCAG_UNDERSTANDING}/change-on-request.html`
+  },
+  // Not an accessibility requirement, but found by the same check
+  noopener: {
+    wcag: null,
+    label: 'Not a WCAG criterion - rel="noopener" prevents reverse tabnabbing',
+    url: 'https://developer.mozilla.org/en-US/docs/Web/HTML/Attributes/rel/noopener'
+  }
+};
+
+// Link texts that say nothing about the destination out of context
+const VAGUE_LINK_TEXTS = [
+  'click here', 'click', 'here', 'this', 'this link', 'link', 'go', 'start', 'continue',
+  'read more', 'more', 'learn more', 'see more', 'view more', 'find out more',
+  'more info', 'more information', 'info', 'details', 'more details'
+];
+
+// Wording that tells the visitor a link opens a new window or tab
+const NEW_WINDOW_WARNING = /new (window|tab)|opens in|external (link|site)/i;
+
+// "Same text, different destinations" findings list at most this many URLs
+const MAX_LISTED_URLS = 5;
+
+// Lowercase, collapse whitespace and drop decorative arrows and punctuation
+function normalizeLinkText(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/[\u2190-\u21ff\u2700-\u27bf\u00ab\u00bb\u2039\u203a\u2026:.!?>]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function isSameOrigin(url, pageUrl) {
+  try {
+    return new URL(url).origin === new URL(pageUrl).origin;
+  } catch {
+    return true;
+  }
+}
+
+// Audit one page's anchors. Each anchor is { url, href, name, images,
+// imagesWithoutAlt, target, rel } as collected in the page. normalizeUrl maps
+// URLs to canonical keys, so /a and /a/ aren't "different" targets.
+// Repeated identical findings (the same link in the header and the footer)
+// are counted rather than listed again.
+function auditPageLinks(pageUrl, anchors, normalizeUrl = url => url) {
+  const findings = new Map();
+
+  const addFinding = (key, anchor, finding) => {
+    const id = `${key}|${anchor.url}|${anchor.name}`;
+    if (findings.has(id)) {
+      findings.get(id).occurrences++;
+      return;
+    }
+    const reference = REFERENCES[key];
+    findings.set(id, {
+      ...finding,
+      linkText: anchor.name,
+      linkUrl: anchor.url,
+      linkHref: anchor.href,
+      wcag: reference.wcag,
+      reference: reference.label,
+      referenceUrl: reference.url,
+      occurrences: 1
+    });
+  };
+
+  anchors.forEach(anchor => {
+    const text = normalizeLinkText(anchor.name);
+
+    if (!text) {
+      addFinding('noName', anchor, {
+        type: 'Link Without Accessible Name',
+        priority: 'High',
+        message: anchor.images > 0
+          ? 'Image link with no alt text, so screen readers announce only "link" or the file name. Describe the destination in the image\'s alt.'
+          : 'Link has no text, aria-label or title, so screen readers announce only "link". Add text describing the destination.'
+      });
+    } else if (anchor.imagesWithoutAlt > 0) {
+      addFinding('imageAlt', anchor, {
+        type: 'Image Link Without Alt Text',
+        priority: 'Medium',
+        message: `${anchor.imagesWithoutAlt === 1 ? 'An image in this link has' : `${anchor.imagesWithoutAlt} images in this link have`} ` +
+          'no alt attribute. Add alt="" if decorative, or text that adds to the link name.'
+      });
+    }
+
+    if (text && VAGUE_LINK_TEXTS.includes(text)) {
+      addFinding('vagueText', anchor, {
+        type: 'Vague Link Text',
+        priority: 'Medium',
+        message: `"${anchor.name}" doesn't say where the link goes. Screen reader users often browse a list of links without the surrounding text.`
+      });
+    }
+
+    if ((anchor.target || '').toLowerCase() === '_blank') {
+      const rel = (anchor.rel || '').toLowerCase().split(/\s+/);
+      if (!NEW_WINDOW_WARNING.test(`${anchor.name} ${anchor.title || ''}`)) {
+        addFinding('newWindow', anchor, {
+          type: 'New Window Without Warning',
+          priority: 'Low',
+          message: 'Opens in a new window or tab without saying so. Add "(opens in a new tab)" to the link text or label.'
+        });
+      }
+      if (!isSameOrigin(anchor.url, pageUrl) && !rel.includes('noopener') && !rel.includes('noreferrer')) {
+        addFinding('noopener', anchor, {
+          type: 'Missing rel="noopener"',
+          priority: 'Low',
+          message: 'Opens another site in a new window without rel="noopener", giving that site access to this page through window.opener.'
+        });
+      }
+    }
+  });
+
+  // The same text leading to different places on one page
+  const destinationsByText = new Map();
+  anchors.forEach(anchor => {
+    const text = normalizeLinkText(anchor.name);
+    if (!text) return;
+    if (!destinationsByText.has(text)) destinationsByText.set(text, { anchor, urls: new Set() });
+    destinationsByText.get(text).urls.add(normalizeUrl(anchor.url));
+  });
+  destinationsByText.forEach(({ anchor, urls }) => {
+    if (urls.size < 2) return;
+    const listed = [...urls].slice(0, MAX_LISTED_URLS);
+    addFinding('ambiguousText', anchor, {
+      type: 'Same Text, Different Destinations',
+      priority: 'Low',
+      message: `"${anchor.name}" links to ${urls.size} different URLs on this page: ${listed.join(', ')}` +
+        `${urls.size > listed.length ? ', ...' : ''}. Make each link's text unique to its destination.`,
+      destinations: [...urls]
+    });
+  });
+
+  return Array.from(findings.values());
+}
+
+module.exports = {
+  VAGUE_LINK_TEXTS,
+  auditPageLinks
+};
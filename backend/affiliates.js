@@ -0,0 +1,309 @@
+// backend/affiliates.js
+// Affiliate networks and expected merchants: which links are affiliate links,
+// where they should land, and how to recognise a landing that loses the sale.
+// Settings are stored in DATA_DIR/affiliates.json and fall back to the defaults.
+
+const fs = require('fs/promises');
+const path = require('path');
+const { URL } = require('url');
+const { DATA_DIR, writeJsonAtomic } = require('./scanStore');
+const { compilePattern } = require('./patterns');
+
+const AFFILIATES_FILE = path.join(DATA_DIR, 'affiliates.json');
+
+// patterns pick out the network's links, hosts are its own tracking domains,
+// merchantDomains (optional) are where all of its links should land and
+// errorPatterns match the network's own error or fallback pages
+const DEFAULT_AFFILIATE_CONFIG = {
+  networks: [
+    {
+      name: 'Amazon Associates',
+      patterns: ['regex:^https?://(www\\.)?amzn\\.(to|eu)/', 'regex:^https?://(www\\.|smile\\.)?amazon\\.[a-z.]+/.*[?&]tag='],
+      hosts: ['amzn.to', 'amzn.eu'],
+      merchantDomains: ['amazon.com', 'amazon.co.uk', 'amazon.de', 'amazon.fr', 'amazon.it', 'amazon.es', 'amazon.ca', 'amazon.com.au', 'amazon.in', 'amazon.co.jp'],
+      errorPatterns: []
+    },
+    {
+      name: 'CJ Affiliate',
+      patterns: ['regex:^https?://(www\\.)?(anrdoezrs\\.net|dpbolvw\\.net|jdoqocy\\.com|kqzyfj\\.com|tkqlhce\\.com)/'],
+      hosts: ['anrdoezrs.net', 'dpbolvw.net', 'jdoqocy.com', 'kqzyfj.com', 'tkqlhce.com', 'cj.com'],
+      merchantDomains: [],
+      errorPatterns: ['regex:^https?://(www\\.)?cj\\.com/']
+    },
+    {
+      name: 'ShareASale',
+      patterns: ['regex:^https?://(www\\.)?shareasale\\.com/(r|m-redirect)\\.cfm'],
+      hosts: ['shareasale.com'],
+      merchantDomains: [],
+      errorPatterns: []
+    },
+    {
+      name: 'Awin',
+      patterns: ['regex:^https?://(www\\.)?awin1\\.com/(cread|awclick)\\.php'],
+      hosts: ['awin1.com', 'awin.com'],
+      merchantDomains: [],
+      errorPatterns: []
+    },
+    {
+      name: 'Rakuten Advertising',
+      patterns: ['regex:^https?://click\\.linksynergy\\.com/'],
+      hosts: ['linksynergy.com'],
+      merchantDomains: [],
+      errorPatterns: []
+    },
+    {
+      name: 'Impact',
+      patterns: ['regex:^https?://[^/]+\\.(sjv\\.io|pxf\\.io|7eer\\.net)/'],
+      hosts: ['sjv.io', 'pxf.io', '7eer.net'],
+      merchantDomains: [],
+      errorPatterns: []
+    },
+    {
+      name: 'Partnerize',
+      patterns: ['regex:^https?://prf\\.hn/click/'],
+      hosts: ['prf.hn'],
+      merchantDomains: [],
+      errorPatterns: []
+    },
+    {
+      // The substring checks the scanner has always used for in-house redirectors
+      name: 'Tracking redirect',
+      patterns: ['*/api/click*', '*/track*', '*/aff*', '*/redirect*', '*/redir*', '*/goto*', '*/out*', '*clickid*', '*affid*', '*tid=*'],
+      hosts: [],
+      merchantDomains: [],
+      errorPatterns: []
+    }
+  ],
+  // Expected merchant per link: { pattern, domains }, checked before the network's merchantDomains
+  merchants: [],
+  // Landing page text that means the offer is gone (case-insensitive)
+  expiredPhrases: [
+    'offer has expired',
+    'offer expired',
+    'offer is no longer available',
+    'deal has expired',
+    'deal is no longer available',
+    'promotion has ended',
+    'coupon has expired',
+    'campaign has ended',
+    'link has expired',
+    'link is no longer active'
+  ]
+};
+
+// Query parameters trackers commonly carry the merchant deep link in
+const DEEP_LINK_PARAMS = ['url', 'u', 'murl', 'ued', 'dest', 'destination', 'redirect', 'target', 'p'];
+
+const LANDING_TEXT_LIMIT = 20000;
+
+function isStringList(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string');
+}
+
+function toDomainList(value, name) {
+  if (!isStringList(value)) throw new Error(`${name} must be an array of domains`);
+  return value.map(domain => domain.trim().toLowerCase().replace(/^\*?\./, '')).filter(Boolean);
+}
+
+function toPatternList(value, name) {
+  if (!isStringList(value)) throw new Error(`${name} must be an array of patterns`);
+  const patterns = value.map(p => p.trim()).filter(Boolean);
+  patterns.forEach(compilePattern);
+  return patterns;
+}
+
+// Validate affiliate settings, throwing a readable error
+function normalizeAffiliateConfig(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('Affiliate settings must be an object');
+  }
+  const { networks = [], merchants = [], expiredPhrases = DEFAULT_AFFILIATE_CONFIG.expiredPhrases } = input;
+
+  if (!Array.isArray(networks)) throw new Error('networks must be an array');
+  if (!Array.isArray(merchants)) throw new Error('merchants must be an array');
+  if (!isStringList(expiredPhrases)) throw new Error('expiredPhrases must be an array of strings');
+
+  return {
+    networks: networks.map((network, index) => {
+      if (!network || typeof network.name !== 'string' || !network.name.trim()) {
+        throw new Error(`networks[${index}] needs a name`);
+      }
+      const patterns = toPatternList(network.patterns || [], `networks[${index}].patterns`);
+      if (patterns.length === 0) throw new Error(`networks[${index}] needs at least one pattern`);
+
+      return {
+        name: network.name.trim(),
+        patterns,
+        hosts: toDomainList(network.hosts || [], `networks[${index}].hosts`),
+        merchantDomains: toDomainList(network.merchantDomains || [], `networks[${index}].merchantDomains`),
+        errorPatterns: toPatternList(network.errorPatterns || [], `networks[${index}].errorPatterns`)
+      };
+    }),
+    merchants: merchants.map((merchant, index) => {
+      if (!merchant || typeof merchant.pattern !== 'string' || !merchant.pattern.trim()) {
+        throw new Error(`merchants[${index}] needs a pattern`);
+      }
+      compilePattern(merchant.pattern.trim());
+      const domains = toDomainList(merchant.domains || [], `merchants[${index}].domains`);
+      if (domains.length === 0) throw new Error(`merchants[${index}] needs at least one domain`);
+      return { pattern: merchant.pattern.trim(), domains };
+    }),
+    expiredPhrases: expiredPhrases.map(phrase => phrase.trim()).filter(Boolean)
+  };
+}
+
+async function getAffiliateConfig() {
+  try {
+    return normalizeAffiliateConfig(JSON.parse(await fs.readFile(AFFILIATES_FILE, 'utf8')));
+  } catch (error) {
+    if (error.code === 'ENOENT') return DEFAULT_AFFILIATE_CONFIG;
+    throw error;
+  }
+}
+
+async function saveAffiliateConfig(input) {
+  const config = normalizeAffiliateConfig(input);
+  await writeJsonAtomic(AFFILIATES_FILE, config, 2);
+  return config;
+}
+
+// Back to the built-in networks
+async function resetAffiliateConfig() {
+  await fs.rm(AFFILIATES_FILE, { force: true });
+  return DEFAULT_AFFILIATE_CONFIG;
+}
+
+function hostMatches(hostname, domains) {
+  return domains.some(domain => hostname === domain || hostname.endsWith(`.${domain}`));
+}
+
+function hostnameOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch {
+    return null;
+  }
+}
+
+// The merchant URL a tracking link carries in its query string, if any
+function findDeepLink(linkUrl) {
+  let parsed;
+  try {
+    parsed = new URL(linkUrl);
+  } catch {
+    return null;
+  }
+
+  for (const [name, value] of parsed.searchParams) {
+    if (!DEEP_LINK_PARAMS.includes(name.toLowerCase())) continue;
+    try {
+      const deepLink = new URL(value);
+      if (deepLink.protocol === 'http:' || deepLink.protocol === 'https:') return deepLink;
+    } catch {
+      // Not a URL - keep looking
+    }
+  }
+  return null;
+}
+
+// Compile the settings into the matcher a scan uses
+function createAffiliateMatcher(config = DEFAULT_AFFILIATE_CONFIG) {
+  const networks = config.networks.map(network => ({
+    ...network,
+    matchers: network.patterns.map(compilePattern),
+    errorMatchers: network.errorPatterns.map(compilePattern)
+  }));
+  const merchants = config.merchants.map(merchant => ({ ...merchant, matches: compilePattern(merchant.pattern) }));
+  const expiredPhrases = config.expiredPhrases.map(phrase => phrase.toLowerCase());
+
+  // Which network a link belongs to and where it should land, or null for ordinary links
+  function match(url) {
+    const network = networks.find(n => n.matchers.some(matches => matches(url)));
+    if (!network) return null;
+
+    const merchant = merchants.find(m => m.matches(url));
+    const deepLink = findDeepLink(url);
+    let expectedMerchants = merchant ? merchant.domains : network.merchantDomains;
+    if (expectedMerchants.length === 0 && deepLink) {
+      expectedMerchants = [deepLink.hostname.toLowerCase().replace(/^www\./, '')];
+    }
+
+    return {
+      network: network.name,
+      expectedMerchants,
+      deepLink: deepLink ? deepLink.href : null,
+      networkRef: network
+    };
+  }
+
+  // Whether a URL is still on the network's own tracking domains
+  function isOnNetwork(affiliate, url) {
+    const hostname = hostnameOf(url);
+    return Boolean(hostname) && hostMatches(hostname, affiliate.networkRef.hosts);
+  }
+
+  // Judge where an affiliate link ended up. Returns { type, priority, message } or null.
+  function assessLanding(affiliate, { finalUrl, title = '', text = '' }) {
+    const network = affiliate.networkRef;
+    const hostname = hostnameOf(finalUrl);
+    if (!hostname) return null;
+
+    if (network.errorMatchers.some(matches => matches(finalUrl)) || isOnNetwork(affiliate, finalUrl)) {
+      return {
+        type: 'Affiliate Network Error',
+        priority: 'Critical',
+        message: `Never reached a merchant - stopped on ${network.name}'s own page (${finalUrl}). ` +
+          'The link or the merchant program may be deactivated.'
+      };
+    }
+
+    if (affiliate.expectedMerchants.length > 0 && !hostMatches(hostname, affiliate.expectedMerchants)) {
+      return {
+        type: 'Affiliate Wrong Merchant',
+        priority: 'High',
+        message: `Landed on ${hostname}, expected ${affiliate.expectedMerchants.join(' or ')}. ` +
+          'Clicks may not be credited to you.'
+      };
+    }
+
+    const landingText = `${title}\n${text.slice(0, LANDING_TEXT_LIMIT)}`.toLowerCase();
+    const expiredPhrase = expiredPhrases.find(phrase => landingText.includes(phrase));
+    if (expiredPhrase) {
+      return {
+        type: 'Affiliate Offer Expired',
+        priority: 'High',
+        message: `Merchant page says "${expiredPhrase}". Replace or remove this offer.`
+      };
+    }
+
+    const landingPath = new URL(finalUrl).pathname.replace(/\/(index\.html?|home)?$/i, '');
+    if (landingPath === '') {
+      const deepPath = affiliate.deepLink ? new URL(affiliate.deepLink).pathname.replace(/\/$/, '') : '';
+      return deepPath
+        ? {
+          type: 'Affiliate Homepage Landing',
+          priority: 'Medium',
+          message: `Meant to open ${affiliate.deepLink} but landed on the ${hostname} homepage - ` +
+            'the product page is probably gone.'
+        }
+        : {
+          type: 'Affiliate Homepage Landing',
+          priority: 'Low',
+          message: `Lands on the ${hostname} homepage. Check that a generic homepage is the intended destination.`
+        };
+    }
+
+    return null;
+  }
+
+  return { match, isOnNetwork, assessLanding };
+}
+
+module.exports = {
+  DEFAULT_AFFILIATE_CONFIG,
+  normalizeAffiliateConfig,
+  getAffiliateConfig,
+  saveAffiliateConfig,
+  resetAffiliateConfig,
+  createAffiliateMatcher
+};
@@ -0,0 +1,278 @@
+// backend/aiProvider.js
+// AI link analysis behind a provider interface, configured from env or a settings file
+
+const fs = require('fs');
+const path = require('path');
+
+const SETTINGS_FILE = process.env.AI_SETTINGS_FILE || path.join(__dirname, 'ai-settings.json');
+
+const ISSUE_TYPES = ['Broken Link', 'Context Mismatch', 'Redirect Chain', 'No Issue'];
+const PRIORITIES = ['Critical', 'High', 'Medium', 'Low'];
+
+const DEFAULT_AI_SETTINGS = {
+  enabled: true,
+  provider: 'anthropic',
+  apiKey: null,
+  model: 'claude-sonnet-4-20250514',
+  baseUrl: 'https://api.anthropic.com',
+  timeoutMs: 20000,
+  maxTokens: 500
+};
+
+// In-memory cache for AI responses
+const analysisCache = new Map();
+
+let settings = null;
+let provider = null;
+// Modification time of the settings file the provider was built from
+let settingsFileVersion = null;
+
+// Settings that must be positive whole numbers; anything else falls back to the default
+const POSITIVE_INT_SETTINGS = ['timeoutMs', 'maxTokens'];
+
+function readSettingsFileVersion() {
+  try {
+    return fs.statSync(SETTINGS_FILE).mtimeMs;
+  } catch {
+    return null;
+  }
+}
+
+// Settings file first, environment variables override it
+function loadAiSettings() {
+  let fileSettings = {};
+  if (fs.existsSync(SETTINGS_FILE)) {
+    try {
+      fileSettings = JSON.parse(fs.readFileSync(SETTINGS_FILE, 'utf8'));
+    } catch (error) {
+      console.error(`⚠️ Ignoring invalid AI settings file ${SETTINGS_FILE}: ${error.message}`);
+    }
+  }
+
+  const env = process.env;
+  const fromEnv = {
+    enabled: env.AI_ENABLED !== undefined ? env.AI_ENABLED !== 'false' : undefined,
+    provider: env.AI_PROVIDER,
+    apiKey: env.AI_API_KEY || env.ANTHROPIC_API_KEY,
+    model: env.AI_MODEL,
+    baseUrl: env.AI_BASE_URL,
+    timeoutMs: env.AI_TIMEOUT_MS || undefined,
+    maxTokens: env.AI_MAX_TOKENS || undefined
+  };
+  Object.keys(fromEnv).forEach(key => fromEnv[key] === undefined && delete fromEnv[key]);
+
+  const merged = { ...DEFAULT_AI_SETTINGS, ...fileSettings, ...fromEnv };
+  POSITIVE_INT_SETTINGS.forEach(key => {
+    const value = Number(merged[key]);
+    if (merged[key] === '' || !Number.isInteger(value) || value < 1) {
+      console.error(`⚠️ Ignoring invalid AI setting ${key} (${JSON.stringify(merged[key])}) - ` +
+        `must be a positive whole number, using ${DEFAULT_AI_SETTINGS[key]}`);
+      merged[key] = DEFAULT_AI_SETTINGS[key];
+    } else {
+      merged[key] = value;
+    }
+  });
+
+  return merged;
+}
+
+function buildPrompt(linkData) {
+  return `Analyze this link on a website and reply with a single JSON object only, no other text.
+
+Link Text: ${JSON.stringify(linkData.linkText)}
+Link URL: ${linkData.linkUrl}
+Context: ${linkData.context}
+Status: ${linkData.status}
+
+JSON shape:
+{
+  "analysis": "<one sentence>",
+  "suggestedFix": "<replacement URL or fix, or null>",
+  "issueType": ${ISSUE_TYPES.map(t => `"${t}"`).join(' | ')},
+  "priority": ${PRIORITIES.map(p => `"${p}"`).join(' | ')}
+}`;
+}
+
+// Pull the JSON object out of a model reply (tolerates code fences and chatter)
+function extractJson(text) {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end <= start) return null;
+
+  try {
+    return JSON.parse(text.slice(start, end + 1));
+  } catch {
+    return null;
+  }
+}
+
+// Check a provider reply against the expected shape; returns null if it doesn't fit
+function validateAnalysis(data) {
+  if (!data || typeof data !== 'object') return null;
+  if (typeof data.analysis !== 'string' || !data.analysis.trim()) return null;
+  if (!ISSUE_TYPES.includes(data.issueType)) return null;
+  if (!PRIORITIES.includes(data.priority)) return null;
+
+  const fix = typeof data.suggestedFix === 'string' ? data.suggestedFix.trim() : null;
+
+  return {
+    analysis: data.analysis.trim(),
+    suggestedFix: fix && fix.toLowerCase() !== 'none' ? fix : null,
+    issueType: data.issueType,
+    priority: data.priority
+  };
+}
+
+// Anthropic Messages API
+function createAnthropicProvider(config) {
+  return {
+    name: 'anthropic',
+    model: config.model,
+    async analyze(linkData) {
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), config.timeoutMs);
+
+      try {
+        const response = await fetch(`${config.baseUrl.replace(/\/$/, '')}/v1/messages`, {
+          method: 'POST',
+          signal: controller.signal,
+          headers: {
+            'Content-Type': 'application/json',
+            'x-api-key': config.apiKey,
+            'anthropic-version': '2023-06-01'
+          },
+          body: JSON.stringify({
+            model: config.model,
+            max_tokens: config.maxTokens,
+            messages: [{ role: 'user', content: buildPrompt(linkData) }]
+          })
+        });
+
+        if (!response.ok) {
+          throw new Error(`AI API error: ${response.status} ${response.statusText}`);
+        }
+
+        const data = await response.json();
+        const text = Array.isArray(data.content) && data.content[0] ? data.content[0].text : '';
+        return extractJson(text || '');
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+  };
+}
+
+// Deterministic offline provider - same input always gives the same analysis
+function createMockProvider() {
+  return {
+    name: 'mock',
+    model: 'mock',
+    async analyze(linkData) {
+      const { status } = linkData;
+
+      if (status === 404 || status === 410 || status === 'DNS_ERROR') {
+        return {
+          analysis: `Mock analysis: "${linkData.linkText}" points to a missing resource (${status}).`,
+          suggestedFix: null,
+          issueType: 'Broken Link',
+          priority: 'Critical'
+        };
+      }
+      if (typeof status === 'number' && status >= 300 && status < 400) {
+        return {
+          analysis: `Mock analysis: "${linkData.linkText}" redirects (${status}).`,
+          suggestedFix: null,
+          issueType: 'Redirect Chain',
+          priority: 'Medium'
+        };
+      }
+      if (status === 200) {
+        return {
+          analysis: `Mock analysis: "${linkData.linkText}" works and matches its context.`,
+          suggestedFix: null,
+          issueType: 'No Issue',
+          priority: 'Low'
+        };
+      }
+      return {
+        analysis: `Mock analysis: "${linkData.linkText}" failed with ${status}.`,
+        suggestedFix: null,
+        issueType: 'Broken Link',
+        priority: 'High'
+      };
+    }
+  };
+}
+
+// Build the configured provider, again whenever the settings file changes;
+// null when AI is disabled or unusable
+function getProvider() {
+  const version = readSettingsFileVersion();
+  if (settings && version === settingsFileVersion) return provider;
+
+  settingsFileVersion = version;
+  settings = loadAiSettings();
+  provider = null;
+
+  if (!settings.enabled) {
+    console.log('🤖 AI analysis disabled - using rule-based analysis');
+  } else if (settings.provider === 'mock') {
+    provider = createMockProvider();
+    console.log('🤖 AI analysis using the offline mock provider');
+  } else if (settings.provider === 'anthropic') {
+    if (settings.apiKey) {
+      provider = createAnthropicProvider(settings);
+      console.log(`🤖 AI analysis using ${settings.provider} (${settings.model})`);
+    } else {
+      console.log('⚠️ AI analysis disabled - set AI_API_KEY or ANTHROPIC_API_KEY to enable it');
+    }
+  } else {
+    console.log(`⚠️ Unknown AI provider "${settings.provider}" - using rule-based analysis`);
+  }
+
+  return provider;
+}
+
+// Current AI configuration, without secrets
+function getAiStatus() {
+  const active = getProvider();
+  return {
+    enabled: Boolean(active),
+    provider: active ? active.name : null,
+    model: active ? active.model : null
+  };
+}
+
+// Analyze a link. Resolves with { analysis, suggestedFix, issueType, priority,
+// provider, model } or null when AI is off or the reply fails validation.
+async function analyzeWithAI(linkData) {
+  const active = getProvider();
+  if (!active) return null;
+
+  const cacheKey = `${active.name}-${active.model}-${linkData.linkText}-${linkData.linkUrl}-${linkData.context}-${linkData.status}`;
+  if (analysisCache.has(cacheKey)) {
+    return analysisCache.get(cacheKey);
+  }
+
+  try {
+    const result = validateAnalysis(await active.analyze(linkData));
+
+    if (!result) {
+      console.error(`AI Analysis error: ${active.name} returned an invalid response`);
+      return null;
+    }
+
+    const analysis = { ...result, provider: active.name, model: active.model };
+    analysisCache.set(cacheKey, analysis);
+    return analysis;
+  } catch (error) {
+    console.error('AI Analysis error:', error.name === 'AbortError' ? 'request timed out' : error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  analyzeWithAI,
+  getAiStatus,
+  validateAnalysis
+};
@@ -0,0 +1,190 @@
+// backend/auth.js
+// Per-scan authentication: basic auth, custom headers, cookies and a scripted login.
+// Credentials only live in memory for the scan and are only sent to the scanned site.
+
+const { URL } = require('url');
+const { openScope } = require('./browserPool');
+
+const LOGIN_TIMEOUT_MS = 30000;
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+// "a=1; b=2" or [{ name, value }] -> [{ name, value }]
+function parseCookies(cookies) {
+  if (typeof cookies === 'string') {
+    return cookies.split(';')
+      .map(part => part.trim())
+      .filter(Boolean)
+      .map(part => {
+        const separator = part.indexOf('=');
+        if (separator <= 0) throw new Error(`auth.cookies entry "${part}" must look like name=value`);
+        return { name: part.slice(0, separator).trim(), value: part.slice(separator + 1).trim() };
+      });
+  }
+
+  if (!Array.isArray(cookies) ||
+      cookies.some(c => !isPlainObject(c) || typeof c.name !== 'string' || !c.name || typeof c.value !== 'string')) {
+    throw new Error('auth.cookies must be a "name=value; ..." string or an array of { name, value }');
+  }
+  return cookies.map(({ name, value, domain, path }) => ({ name, value, domain, path }));
+}
+
+// Validate auth settings, throwing a readable error. Returns null when there are none.
+function normalizeAuth(input) {
+  if (input === undefined || input === null) return null;
+  if (!isPlainObject(input)) throw new Error('auth must be an object');
+
+  const auth = { basicAuth: null, headers: {}, cookies: [], login: null };
+
+  if (input.basicAuth) {
+    const { username, password = '' } = input.basicAuth;
+    if (typeof username !== 'string' || !username || typeof password !== 'string') {
+      throw new Error('auth.basicAuth needs a username and password');
+    }
+    auth.basicAuth = { username, password };
+  }
+
+  if (input.headers) {
+    if (!isPlainObject(input.headers) || Object.values(input.headers).some(v => typeof v !== 'string')) {
+      throw new Error('auth.headers must be an object of header names to string values');
+    }
+    auth.headers = { ...input.headers };
+  }
+
+  if (input.cookies) {
+    auth.cookies = parseCookies(input.cookies);
+  }
+
+  if (input.login) {
+    const login = input.login;
+    const required = ['url', 'usernameSelector', 'passwordSelector', 'submitSelector', 'username', 'password'];
+    const missing = required.filter(key => typeof login[key] !== 'string' || !login[key]);
+    if (missing.length > 0) {
+      throw new Error(`auth.login is missing: ${missing.join(', ')}`);
+    }
+    try {
+      new URL(login.url);
+    } catch {
+      throw new Error('auth.login.url must be a valid URL');
+    }
+    if (login.successSelector !== undefined && typeof login.successSelector !== 'string') {
+      throw new Error('auth.login.successSelector must be a CSS selector');
+    }
+    auth.login = {
+      ...Object.fromEntries(required.map(key => [key, login[key]])),
+      successSelector: login.successSelector || null
+    };
+  }
+
+  const hasAny = auth.basicAuth || Object.keys(auth.headers).length > 0 || auth.cookies.length > 0 || auth.login;
+  return hasAny ? auth : null;
+}
+
+function cookieMatches(cookie, url) {
+  const domain = cookie.domain.replace(/^\./, '');
+  const hostMatches = url.hostname === domain || url.hostname.endsWith(`.${domain}`);
+  const pathMatches = url.pathname.startsWith(cookie.path || '/');
+  return hostMatches && pathMatches && (!cookie.secure || url.protocol === 'https:');
+}
+
+// Fill in the login form and return the cookies it set
+async function performLogin(login, page) {
+  console.log(`🔐 Logging in at ${login.url}`);
+  await page.goto(login.url, { waitUntil: 'networkidle2', timeout: LOGIN_TIMEOUT_MS });
+
+  await page.type(login.usernameSelector, login.username);
+  await page.type(login.passwordSelector, login.password);
+  await Promise.all([
+    page.waitForNavigation({ waitUntil: 'networkidle2', timeout: LOGIN_TIMEOUT_MS }).catch(() => {}),
+    page.click(login.submitSelector)
+  ]);
+
+  if (login.successSelector) {
+    try {
+      await page.waitForSelector(login.successSelector, { timeout: 10000 });
+    } catch {
+      throw new Error(`Login failed: "${login.successSelector}" did not appear after submitting the form`);
+    }
+  }
+
+  return await page.cookies();
+}
+
+// Build the session shared by the crawler, the link checker and the screenshot
+// browser. Runs the scripted login (if any) in a throwaway browser scope.
+async function createAuthSession(siteUrl, auth) {
+  const siteHost = new URL(siteUrl).hostname;
+
+  const siteHeaders = { ...auth.headers };
+  if (auth.basicAuth) {
+    const token = Buffer.from(`${auth.basicAuth.username}:${auth.basicAuth.password}`).toString('base64');
+    siteHeaders.Authorization = `Basic ${token}`;
+  }
+
+  const cookies = auth.cookies.map(cookie => ({
+    path: '/',
+    ...cookie,
+    domain: cookie.domain || siteHost
+  }));
+
+  const session = {
+    // Extra request headers for a URL - empty for anything off the scanned site
+    headersFor(url) {
+      let parsed;
+      try {
+        parsed = new URL(url);
+      } catch {
+        return {};
+      }
+
+      const headers = parsed.hostname === siteHost ? { ...siteHeaders } : {};
+      const cookieHeader = cookies
+        .filter(cookie => cookieMatches(cookie, parsed))
+        .map(cookie => `${cookie.name}=${cookie.value}`)
+        .join('; ');
+      if (cookieHeader) headers.Cookie = cookieHeader;
+
+      return headers;
+    },
+
+    // Give a Puppeteer page the session's cookies, and headers on same-site requests
+    async preparePage(page) {
+      if (cookies.length > 0) {
+        await page.setCookie(...cookies.map(({ name, value, domain, path, secure, httpOnly, expires }) =>
+          ({ name, value, domain, path, secure, httpOnly, expires })
+        ));
+      }
+
+      if (Object.keys(siteHeaders).length > 0) {
+        await page.setRequestInterception(true);
+        page.on('request', request => {
+          if (request.isInterceptResolutionHandled()) return;
+          const headers = new URL(request.url()).hostname === siteHost
+            ? { ...request.headers(), ...siteHeaders }
+            : request.headers();
+          request.continue({ headers }).catch(() => {});
+        });
+      }
+    }
+  };
+
+  if (auth.login) {
+    const scope = openScope({ preparePage: session.preparePage });
+    try {
+      const loginCookies = await scope.withPage(page => performLogin(auth.login, page));
+      cookies.push(...loginCookies);
+      console.log(`🔐 Logged in - ${loginCookies.length} session cookie(s) captured`);
+    } finally {
+      await scope.close();
+    }
+  }
+
+  return session;
+}
+
+module.exports = {
+  normalizeAuth,
+  createAuthSession
+};
@@ -0,0 +1,261 @@
+// backend/browserPool.js
+// One shared Chromium for the whole server: a fixed number of reusable pages,
+// health checks, relaunch after a crash and a memory cap.
+
+const fs = require('fs');
+const puppeteer = require('puppeteer');
+const { CRAWLER_USER_AGENT } = require('./robots');
+
+const POOL_SIZE = Number(process.env.BROWSER_POOL_SIZE) || 2;
+const MAX_MEMORY_MB = Number(process.env.BROWSER_MAX_MEMORY_MB) || 768;
+const HEALTH_CHECK_INTERVAL_MS = Number(process.env.BROWSER_HEALTH_CHECK_MS) || 30000;
+const HEALTH_CHECK_TIMEOUT_MS = 5000;
+
+let browser = null;
+let launching = null;
+let activePages = 0;
+let openScopes = 0;
+// Set when the browser should be restarted once no page is in use
+let recyclePending = false;
+let healthTimer = null;
+const waiting = [];
+
+// Launch Chromium with the flags that keep it alive on small containers
+async function launchBrowser() {
+  const executablePath = process.env.PUPPETEER_EXECUTABLE_PATH || undefined;
+
+  if (executablePath) {
+    console.log(`🌐 Launching browser with custom path: ${executablePath}`);
+  } else {
+    console.log(`🌐 Launching browser with bundled Chromium`);
+  }
+
+  return await puppeteer.launch({
+    executablePath: executablePath,
+    headless: 'new',
+    args: [
+      '--no-sandbox',
+      '--disable-setuid-sandbox',
+      '--disable-dev-shm-usage',
+      '--disable-accelerated-2d-canvas',
+      '--no-first-run',
+      '--no-zygote',
+      '--single-process',
+      '--disable-gpu',
+      '--disable-web-security',
+      '--disable-features=IsolateOrigins,site-per-process',
+      `--js-flags=--max-old-space-size=${Math.floor(MAX_MEMORY_MB / 2)}`
+    ]
+  });
+}
+
+// The shared browser, launched on first use and again after a crash or recycle
+async function getBrowser() {
+  if (browser && browser.isConnected()) return browser;
+
+  if (!launching) {
+    launching = launchBrowser()
+      .then(launched => {
+        browser = launched;
+        launched.on('disconnected', () => {
+          if (browser === launched) {
+            console.log('⚠️ Browser disconnected - it will be relaunched on next use');
+            browser = null;
+          }
+        });
+        startHealthChecks();
+        return launched;
+      })
+      .finally(() => {
+        launching = null;
+      });
+  }
+
+  return launching;
+}
+
+async function closeBrowser() {
+  const current = browser;
+  browser = null;
+  if (current) await current.close().catch(() => {});
+}
+
+// Resident memory of the browser process in MB, or null where /proc isn't available.
+// With --single-process this covers the renderers too.
+function getBrowserMemoryMb() {
+  const browserProcess = browser && browser.process();
+  if (!browserProcess) return null;
+
+  try {
+    const status = fs.readFileSync(`/proc/${browserProcess.pid}/status`, 'utf8');
+    const match = status.match(/VmRSS:\s+(\d+) kB/);
+    return match ? Math.round(Number(match[1]) / 1024) : null;
+  } catch {
+    return null;
+  }
+}
+
+async function restartIfIdle() {
+  if (!recyclePending || activePages > 0) return;
+
+  recyclePending = false;
+  console.log('♻️ Restarting browser');
+  await closeBrowser();
+  drainWaiting();
+}
+
+// Check the browser responds and stays under the memory cap. Between scans
+// the browser is closed so an idle server doesn't hold on to its memory.
+async function runHealthCheck() {
+  if (!browser) return;
+
+  if (openScopes === 0 && activePages === 0) {
+    console.log('💤 No scans running - closing idle browser');
+    await closeBrowser();
+    return;
+  }
+
+  try {
+    await Promise.race([
+      browser.version(),
+      new Promise((_, reject) => setTimeout(() => reject(new Error('no response')), HEALTH_CHECK_TIMEOUT_MS))
+    ]);
+  } catch (error) {
+    console.log(`⚠️ Browser health check failed (${error.message}) - relaunching`);
+    await closeBrowser();
+    return;
+  }
+
+  const memoryMb = getBrowserMemoryMb();
+  if (memoryMb !== null && memoryMb > MAX_MEMORY_MB) {
+    console.log(`⚠️ Browser using ${memoryMb} MB (cap ${MAX_MEMORY_MB} MB) - restarting when idle`);
+    recyclePending = true;
+    await restartIfIdle();
+  }
+}
+
+function startHealthChecks() {
+  if (healthTimer) return;
+  healthTimer = setInterval(() => {
+    runHealthCheck().catch(error => console.error('⚠️ Browser health check error:', error.message));
+  }, HEALTH_CHECK_INTERVAL_MS);
+  // Don't keep the process (e.g. the CLI) alive just for health checks
+  healthTimer.unref();
+}
+
+function drainWaiting() {
+  while (waiting.length > 0 && activePages < POOL_SIZE && !recyclePending) {
+    activePages++;
+    waiting.shift()();
+  }
+}
+
+// Wait for one of the POOL_SIZE page slots
+function acquireSlot() {
+  if (activePages < POOL_SIZE && !recyclePending && waiting.length === 0) {
+    activePages++;
+    return Promise.resolve();
+  }
+  return new Promise(resolve => waiting.push(resolve));
+}
+
+function releaseSlot() {
+  activePages--;
+  if (recyclePending) {
+    restartIfIdle().catch(error => console.error('⚠️ Browser restart error:', error.message));
+  } else {
+    drainWaiting();
+  }
+}
+
+// A scope is one scan's view of the pool: its own incognito context (so
+// cookies never leak between scans) and its own idle pages to reuse.
+// preparePage(page) runs once for every new page the scope creates.
+function openScope({ preparePage = null } = {}) {
+  let context = null;
+  let contextBrowser = null;
+  let idlePages = [];
+  let closed = false;
+  openScopes++;
+
+  async function getContext() {
+    const current = await getBrowser();
+    if (!context || contextBrowser !== current) {
+      // The browser was relaunched - pages from the old one are gone
+      idlePages = [];
+      context = await current.createIncognitoBrowserContext();
+      contextBrowser = current;
+    }
+    return context;
+  }
+
+  async function takePage() {
+    const ctx = await getContext();
+    while (idlePages.length > 0) {
+      const page = idlePages.pop();
+      if (!page.isClosed()) return page;
+    }
+
+    const page = await ctx.newPage();
+    await page.setUserAgent(CRAWLER_USER_AGENT);
+    if (preparePage) await preparePage(page);
+    return page;
+  }
+
+  // Run fn with a pooled page. The page goes back to the scope afterwards
+  // unless fn failed, in which case it is thrown away.
+  async function withPage(fn) {
+    if (closed) throw new Error('Browser scope is closed');
+
+    await acquireSlot();
+    let page = null;
+    try {
+      page = await takePage();
+      const result = await fn(page);
+      await page.goto('about:blank').catch(() => {});
+      idlePages.push(page);
+      page = null;
+      return result;
+    } finally {
+      if (page) await page.close().catch(() => {});
+      releaseSlot();
+    }
+  }
+
+  async function close() {
+    if (closed) return;
+    openScopes--;
+    closed = true;
+    idlePages = [];
+    if (context) await context.close().catch(() => {});
+    context = null;
+  }
+
+  return { withPage, close };
+}
+
+// Current pool state, for the health endpoint
+function getPoolStatus() {
+  return {
+    running: Boolean(browser && browser.isConnected()),
+    poolSize: POOL_SIZE,
+    activePages,
+    openScopes,
+    waiting: waiting.length,
+    memoryMb: getBrowserMemoryMb(),
+    maxMemoryMb: MAX_MEMORY_MB
+  };
+}
+
+// Close the browser so the process can exit (used by the CLI)
+async function shutdownPool() {
+  if (healthTimer) clearInterval(healthTimer);
+  healthTimer = null;
+  await closeBrowser();
+}
+
+module.exports = {
+  openScope,
+  getPoolStatus,
+  shutdownPool
+};
@@ -0,0 +1,179 @@
+// backend/certificates.js
+// TLS certificate health for the HTTPS hosts a scan contacts: issuer, expiry
+// and hostname match, inspected once per host even when the certificate is bad
+
+const tls = require('tls');
+const { URL } = require('url');
+
+const HANDSHAKE_TIMEOUT_MS = 10000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Expiring certificates this close to the end are as urgent as broken ones
+const URGENT_EXPIRY_DAYS = 7;
+
+// Node's verification errors, grouped into the problems we report
+const VERIFY_ERROR_PROBLEMS = {
+  CERT_HAS_EXPIRED: 'expired',
+  DEPTH_ZERO_SELF_SIGNED_CERT: 'self-signed',
+  SELF_SIGNED_CERT_IN_CHAIN: 'self-signed',
+  ERR_TLS_CERT_ALTNAME_INVALID: 'hostname-mismatch',
+  CERT_NOT_YET_VALID: 'untrusted',
+  UNABLE_TO_VERIFY_LEAF_SIGNATURE: 'untrusted',
+  UNABLE_TO_GET_ISSUER_CERT: 'untrusted',
+  UNABLE_TO_GET_ISSUER_CERT_LOCALLY: 'untrusted',
+  CERT_REVOKED: 'untrusted',
+  CERT_UNTRUSTED: 'untrusted'
+};
+
+function isCertificateErrorCode(code) {
+  return Object.prototype.hasOwnProperty.call(VERIFY_ERROR_PROBLEMS, code);
+}
+
+function describeName(name) {
+  if (!name) return null;
+  return name.O || name.CN || null;
+}
+
+// Connect without verifying so broken certificates can still be read.
+// Resolves a summary of the certificate, or { status: 'error' } when there's no handshake.
+function inspectCertificate(hostname, port = 443) {
+  return new Promise(resolve => {
+    const socket = tls.connect({
+      host: hostname,
+      port,
+      servername: hostname,
+      rejectUnauthorized: false
+    });
+
+    const fail = (message) => {
+      socket.destroy();
+      resolve({ host: hostname, port, status: 'error', error: message });
+    };
+
+    socket.setTimeout(HANDSHAKE_TIMEOUT_MS, () => fail('TLS handshake timed out'));
+    socket.once('error', error => fail(error.message));
+
+    socket.once('secureConnect', () => {
+      const cert = socket.getPeerCertificate();
+      const authorizationError = socket.authorizationError ? String(socket.authorizationError.code || socket.authorizationError) : null;
+      socket.end();
+
+      if (!cert || Object.keys(cert).length === 0) {
+        resolve({ host: hostname, port, status: 'error', error: 'No certificate presented' });
+        return;
+      }
+
+      const validTo = new Date(cert.valid_to);
+      // Node only reports a mismatch when verifying, so check the names ourselves
+      const hostnameMatch = tls.checkServerIdentity(hostname, cert) === undefined;
+      const selfSigned = authorizationError === 'DEPTH_ZERO_SELF_SIGNED_CERT' ||
+        authorizationError === 'SELF_SIGNED_CERT_IN_CHAIN';
+
+      let status = authorizationError ? (VERIFY_ERROR_PROBLEMS[authorizationError] || 'untrusted') : 'valid';
+      // An expired self-signed certificate is reported as expired - that's the date to fix first
+      if (validTo.getTime() < Date.now()) status = 'expired';
+      else if (status === 'valid' && !hostnameMatch) status = 'hostname-mismatch';
+
+      resolve({
+        host: hostname,
+        port,
+        status,
+        issuer: describeName(cert.issuer),
+        subject: describeName(cert.subject),
+        validFrom: new Date(cert.valid_from).toISOString(),
+        validTo: validTo.toISOString(),
+        daysRemaining: Math.floor((validTo.getTime() - Date.now()) / DAY_MS),
+        hostnameMatch,
+        selfSigned,
+        authorizationError
+      });
+    });
+  });
+}
+
+// Per-scan cache: each host:port is inspected once, however many links point at it
+function createCertificateInspector({ warningDays = 21 } = {}) {
+  const inspections = new Map();
+
+  function inspect(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return Promise.resolve(null);
+    }
+    if (parsed.protocol !== 'https:') return Promise.resolve(null);
+
+    const port = Number(parsed.port) || 443;
+    const key = `${parsed.hostname}:${port}`;
+    if (!inspections.has(key)) {
+      inspections.set(key, inspectCertificate(parsed.hostname, port).then(certificate => {
+        if (certificate.status === 'valid' && certificate.daysRemaining < warningDays) {
+          certificate.status = 'expiring-soon';
+        }
+        if (certificate.status !== 'valid') {
+          console.log(`🔒 ${key}: certificate ${certificate.status}${certificate.validTo ? ` (expires ${certificate.validTo})` : ''}`);
+        }
+        return certificate;
+      }));
+    }
+    return inspections.get(key);
+  }
+
+  // One row per inspected host for the scan stats
+  async function summarize() {
+    const certificates = await Promise.all(inspections.values());
+    return certificates.sort((a, b) => (a.daysRemaining ?? Infinity) - (b.daysRemaining ?? Infinity));
+  }
+
+  return { inspect, summarize };
+}
+
+// The issue to report for a certificate, or null when it's healthy
+function describeCertificateIssue(certificate) {
+  if (!certificate) return null;
+  const expiry = certificate.validTo ? new Date(certificate.validTo).toDateString() : null;
+
+  switch (certificate.status) {
+    case 'expired':
+      return {
+        type: 'Expired Certificate',
+        priority: 'Critical',
+        message: `The TLS certificate for ${certificate.host} expired on ${expiry}. Browsers block this page with a security warning.`
+      };
+    case 'self-signed':
+      return {
+        type: 'Self-Signed Certificate',
+        priority: 'Critical',
+        message: `${certificate.host} uses a self-signed certificate. Browsers block this page with a security warning.`
+      };
+    case 'hostname-mismatch':
+      return {
+        type: 'Certificate Hostname Mismatch',
+        priority: 'Critical',
+        message: `The certificate served by ${certificate.host} is for ${certificate.subject || 'a different host'}. ` +
+          'Browsers block this page with a security warning.'
+      };
+    case 'untrusted':
+      return {
+        type: 'Untrusted Certificate',
+        priority: 'High',
+        message: `The certificate for ${certificate.host} can't be verified (${certificate.authorizationError}). ` +
+          'Some browsers and devices will refuse to open this page.'
+      };
+    case 'expiring-soon':
+      return {
+        type: 'Certificate Expiring Soon',
+        priority: certificate.daysRemaining <= URGENT_EXPIRY_DAYS ? 'High' : 'Medium',
+        message: `The TLS certificate for ${certificate.host} (issued by ${certificate.issuer || 'unknown issuer'}) ` +
+          `expires in ${certificate.daysRemaining} day${certificate.daysRemaining === 1 ? '' : 's'}, on ${expiry}.`
+      };
+    default:
+      return null;
+  }
+}
+
+module.exports = {
+  isCertificateErrorCode,
+  createCertificateInspector,
+  describeCertificateIssue
+};
@@ -0,0 +1,112 @@
+// backend/checkPool.js
+// Worker pool for link checks with a global concurrency limit and per-host politeness
+
+const { URL } = require('url');
+
+// Hostname used for politeness limits; non-HTTP URLs (mailto:, tel:, ...) are not limited
+function hostKey(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:' ? parsed.hostname : null;
+  } catch {
+    return null;
+  }
+}
+
+// Run worker(item, index) for every item. At most `concurrency` run at once,
+// at most `perHostConcurrency` per hostname, and requests to the same host
+// start at least `perHostDelayMs` apart. Results keep the order of `items`.
+function runCheckPool(items, worker, {
+  concurrency = 8,
+  perHostConcurrency = 2,
+  perHostDelayMs = 0,
+  getUrl = item => item.url,
+  onItemDone = null
+} = {}) {
+  const results = new Array(items.length);
+  const pending = items.map((_, index) => index);
+  const hosts = new Map();
+  let active = 0;
+  let completed = 0;
+  let failed = false;
+  let timer = null;
+
+  const hostState = (host) => {
+    if (!hosts.has(host)) hosts.set(host, { active: 0, nextStart: 0 });
+    return hosts.get(host);
+  };
+
+  return new Promise((resolve, reject) => {
+    const start = (index, state) => {
+      active++;
+      if (state) {
+        state.active++;
+        state.nextStart = Date.now() + perHostDelayMs;
+      }
+
+      Promise.resolve()
+        .then(() => worker(items[index], index))
+        .then(value => {
+          results[index] = value;
+          active--;
+          if (state) state.active--;
+          completed++;
+          if (onItemDone) onItemDone(items[index], value, completed);
+          schedule();
+        })
+        .catch(error => {
+          failed = true;
+          if (timer) clearTimeout(timer);
+          reject(error);
+        });
+    };
+
+    const schedule = () => {
+      if (failed) return;
+      if (timer) {
+        clearTimeout(timer);
+        timer = null;
+      }
+
+      if (pending.length === 0 && active === 0) {
+        resolve(results);
+        return;
+      }
+
+      let earliestWait = Infinity;
+      let i = 0;
+
+      while (i < pending.length && active < concurrency) {
+        const index = pending[i];
+        const host = hostKey(getUrl(items[index]));
+        const state = host ? hostState(host) : null;
+
+        if (state && state.active >= perHostConcurrency) {
+          i++;
+          continue;
+        }
+
+        const wait = state ? state.nextStart - Date.now() : 0;
+        if (wait > 0) {
+          earliestWait = Math.min(earliestWait, wait);
+          i++;
+          continue;
+        }
+
+        pending.splice(i, 1);
+        start(index, state);
+      }
+
+      // Everything left is waiting on a host delay - wake up when the first one clears
+      if (earliestWait !== Infinity && active < concurrency) {
+        timer = setTimeout(schedule, earliestWait);
+      }
+    };
+
+    schedule();
+  });
+}
+
+module.exports = {
+  runCheckPool
+};
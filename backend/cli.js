@@ -0,0 +1,312 @@
+#!/usr/bin/env node
+// backend/cli.js
+// Command-line scanner for CI pipelines: runs the same pipeline as /api/scan without Express
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const { LINK_TYPES, isValidUrl, normalizeScanOptions, runScan } = require('./scanner');
+const { normalizeAuth } = require('./auth');
+const { normalizeRules } = require('./rules');
+const { shutdownPool } = require('./browserPool');
+
+const PRIORITIES = ['Critical', 'High', 'Medium', 'Low'];
+
+// Exit codes: 0 = passed, 1 = issues at or above --fail-on, 2 = usage or scan error
+const EXIT_OK = 0;
+const EXIT_ISSUES = 1;
+const EXIT_ERROR = 2;
+
+const USAGE = `Usage: link-checker <url> [options]
+
+Scan options:
+  --max-pages <n>        Maximum pages to crawl (default 50)
+  --max-depth <n>        Maximum click depth from the start URL
+  --include <pattern>    Only crawl pages matching the pattern (repeatable)
+  --exclude <pattern>    Skip pages and links matching the pattern (repeatable)
+                         Patterns are globs ("/blog/*") or "regex:<expr>"
+  --types <list>         Element types to check (default ${LINK_TYPES.join(',')})
+  --no-external          Don't check links to other hosts
+  --sitemap              Seed the crawl from sitemap.xml
+  --sitemap-check-limit <n>
+                         Check at most n in-scope sitemap URLs (default 500)
+  --ignore-robots        Ignore robots.txt rules and crawl delay (User-agent: LinkCheckerPro)
+  --concurrency <n>      Parallel link checks (default 8)
+  --per-host <n>         Parallel checks per host (default 2)
+  --host-delay <ms>      Minimum delay between requests to one host (default 250)
+  --max-redirects <n>    Report redirect chains longer than this (default 3)
+  --retries <n>          Retries for timeouts, resets, 429 and 5xx gateway errors (default 2)
+  --retry-delay <ms>     First retry delay, doubled on each retry (default 1000)
+  --no-soft-404          Don't look for "page not found" pages served with 200
+  --cert-warn-days <n>   Warn about TLS certificates expiring within n days (default 21)
+  --no-accessibility     Skip the link text and accessibility audit
+
+Contact links:
+  --verify-mail-domains  Check that mailto: domains have a mail server (MX lookup)
+  --dns-server <ip>      DNS server for those lookups (repeatable, default system resolver)
+  --phone-region <code>  Validate tel: numbers without a +country code for this region (e.g. GB)
+
+URL normalization (how duplicate URLs are recognised when crawling and checking):
+  --keep-fragments       Treat /page#a and /page#b as different pages
+  --keep-tracking-params Don't ignore utm_*, gclid, fbclid and similar parameters
+  --no-sort-query        Treat ?a=1&b=2 and ?b=2&a=1 as different URLs
+  --trailing-slash <p>   keep, add or remove trailing slashes when deciding which
+                         pages to crawl (default keep; links are always checked as written)
+
+Rules:
+  --rules <file>         Ignore and classification rules (JSON array, same format as
+                         /api/rules) instead of the server's saved rules
+
+Authentication (sent to the scanned site only, never written to reports):
+  --basic-auth <u:p>     HTTP basic auth credentials
+  --header <h: value>    Extra request header (repeatable)
+  --cookie <name=value>  Cookie to send (repeatable)
+  --auth-file <file>     JSON auth settings, including a scripted login:
+                         { "login": { "url", "usernameSelector", "passwordSelector",
+                           "submitSelector", "username", "password" } }
+
+Output:
+  --fail-on <priority>   Exit 1 when issues at or above this priority are found:
+                         critical, high, medium, low or none (default critical)
+  --json                 Print the full report as JSON instead of a summary
+  --output <file>        Also write the full JSON report to a file
+  --quiet                Hide scan progress logs
+  -h, --help             Show this help
+`;
+
+function parseCliArgs(argv) {
+  const { values, positionals } = util.parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      'max-pages': { type: 'string' },
+      'max-depth': { type: 'string' },
+      include: { type: 'string', multiple: true },
+      exclude: { type: 'string', multiple: true },
+      types: { type: 'string' },
+      'no-external': { type: 'boolean' },
+      sitemap: { type: 'boolean' },
+      'sitemap-check-limit': { type: 'string' },
+      'ignore-robots': { type: 'boolean' },
+      concurrency: { type: 'string' },
+      'per-host': { type: 'string' },
+      'host-delay': { type: 'string' },
+      'max-redirects': { type: 'string' },
+      retries: { type: 'string' },
+      'retry-delay': { type: 'string' },
+      'no-soft-404': { type: 'boolean' },
+      'cert-warn-days': { type: 'string' },
+      'no-accessibility': { type: 'boolean' },
+      'verify-mail-domains': { type: 'boolean' },
+      'dns-server': { type: 'string', multiple: true },
+      'phone-region': { type: 'string' },
+      'keep-fragments': { type: 'boolean' },
+      'keep-tracking-params': { type: 'boolean' },
+      'no-sort-query': { type: 'boolean' },
+      'trailing-slash': { type: 'string' },
+      rules: { type: 'string' },
+      'basic-auth': { type: 'string' },
+      header: { type: 'string', multiple: true },
+      cookie: { type: 'string', multiple: true },
+      'auth-file': { type: 'string' },
+      'fail-on': { type: 'string', default: 'critical' },
+      json: { type: 'boolean' },
+      output: { type: 'string' },
+      quiet: { type: 'boolean' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+
+  return { values, url: positionals[0], extra: positionals.slice(1) };
+}
+
+// Map CLI flags onto the same options object /api/scan accepts
+function buildScanOptions(values) {
+  const options = {};
+
+  if (values['max-pages'] !== undefined) options.maxPages = Number(values['max-pages']);
+  if (values['max-depth'] !== undefined) options.maxDepth = Number(values['max-depth']);
+  if (values.include) options.includePatterns = values.include;
+  if (values.exclude) options.excludePatterns = values.exclude;
+  if (values.types) options.linkTypes = values.types.split(',').map(t => t.trim()).filter(Boolean);
+  if (values['no-external']) options.checkExternal = false;
+  if (values.sitemap) options.useSitemap = true;
+  if (values['sitemap-check-limit'] !== undefined) options.sitemapCheckLimit = Number(values['sitemap-check-limit']);
+  if (values['ignore-robots']) options.respectRobotsTxt = false;
+  if (values.concurrency !== undefined) options.concurrency = Number(values.concurrency);
+  if (values['per-host'] !== undefined) options.perHostConcurrency = Number(values['per-host']);
+  if (values['host-delay'] !== undefined) options.perHostDelayMs = Number(values['host-delay']);
+  if (values['max-redirects'] !== undefined) options.redirectChainLimit = Number(values['max-redirects']);
+  if (values.retries !== undefined) options.retries = Number(values.retries);
+  if (values['retry-delay'] !== undefined) options.retryBaseDelayMs = Number(values['retry-delay']);
+  if (values['no-soft-404']) options.detectSoft404 = false;
+  if (values['cert-warn-days'] !== undefined) options.certExpiryWarningDays = Number(values['cert-warn-days']);
+  if (values['no-accessibility']) options.auditAccessibility = false;
+  if (values['verify-mail-domains']) options.verifyMailDomains = true;
+  if (values['dns-server']) options.dnsServers = values['dns-server'];
+  if (values['phone-region'] !== undefined) options.phoneRegion = values['phone-region'];
+  if (values['keep-fragments']) options.stripFragments = false;
+  if (values['keep-tracking-params']) options.stripTrackingParams = false;
+  if (values['no-sort-query']) options.sortQueryParams = false;
+  if (values['trailing-slash'] !== undefined) options.trailingSlash = values['trailing-slash'];
+
+  return normalizeScanOptions(options);
+}
+
+// Combine the auth flags (and --auth-file) into the auth object /api/scan accepts
+function buildAuth(values) {
+  const auth = values['auth-file'] ? JSON.parse(fs.readFileSync(values['auth-file'], 'utf8')) : {};
+
+  if (values['basic-auth']) {
+    const separator = values['basic-auth'].indexOf(':');
+    if (separator === -1) throw new Error('--basic-auth must look like username:password');
+    auth.basicAuth = {
+      username: values['basic-auth'].slice(0, separator),
+      password: values['basic-auth'].slice(separator + 1)
+    };
+  }
+
+  if (values.header) {
+    auth.headers = { ...auth.headers };
+    values.header.forEach(header => {
+      const separator = header.indexOf(':');
+      if (separator <= 0) throw new Error(`--header "${header}" must look like "Name: value"`);
+      auth.headers[header.slice(0, separator).trim()] = header.slice(separator + 1).trim();
+    });
+  }
+
+  if (values.cookie) {
+    auth.cookies = values.cookie.join('; ');
+  }
+
+  return normalizeAuth(auth);
+}
+
+// Priorities that fail the run, e.g. "high" -> Critical and High
+function failingPriorities(failOn) {
+  if (failOn === 'none') return [];
+
+  const index = PRIORITIES.findIndex(p => p.toLowerCase() === failOn.toLowerCase());
+  if (index === -1) {
+    throw new Error(`--fail-on must be one of: ${PRIORITIES.map(p => p.toLowerCase()).join(', ')}, none`);
+  }
+  return PRIORITIES.slice(0, index + 1);
+}
+
+function printSummary(domain, report, failing) {
+  const { stats } = report;
+  const counts = PRIORITIES.map(p => `${p}: ${report.results.filter(r => r.priority === p).length}`);
+
+  console.info(`\nLink check report for ${domain}`);
+  console.info(`${'='.repeat(60)}`);
+  console.info(`Health Score: ${report.healthScore}/100`);
+  console.info(`Pages: ${stats.totalPages}  Links: ${stats.totalLinks}  Issues: ${stats.brokenLinks}  Flaky: ${stats.flakyLinks}  ` +
+    `Mixed content: ${stats.mixedContentIssues}  Accessibility: ${stats.accessibilityIssues}  Ignored by rules: ${stats.ignoredLinks}`);
+  console.info(counts.join('  '));
+
+  if (report.failedPages.length > 0) {
+    console.info(`\nPages that failed to load:`);
+    report.failedPages.forEach(page => console.info(`  ${page.url}: ${page.error}`));
+  }
+
+  const certificateProblems = (stats.certificates || []).filter(cert => cert.status !== 'valid');
+  if (certificateProblems.length > 0) {
+    console.info(`\nTLS certificates:`);
+    certificateProblems.forEach(cert => {
+      console.info(`  ${cert.host}: ${cert.status}${cert.validTo ? ` (expires ${cert.validTo.slice(0, 10)})` : ''}`);
+    });
+  }
+
+  const blocking = report.results.filter(r => failing.includes(r.priority));
+  if (blocking.length > 0) {
+    console.info(`\nIssues at or above the failure threshold:`);
+    blocking.forEach(r => {
+      console.info(`  [${r.priority}] ${r.status} ${r.linkUrl}`);
+      console.info(`      on ${r.pageUrl} - ${r.type}`);
+    });
+  }
+  console.info('');
+}
+
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseCliArgs(argv);
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return EXIT_ERROR;
+  }
+
+  const { values, url, extra } = parsed;
+
+  if (values.help) {
+    process.stdout.write(USAGE);
+    return EXIT_OK;
+  }
+
+  if (!url || extra.length > 0 || !isValidUrl(url)) {
+    console.error(`Expected exactly one valid URL to scan.\n\n${USAGE}`);
+    return EXIT_ERROR;
+  }
+
+  let options;
+  let auth;
+  let failing;
+  try {
+    options = buildScanOptions(values);
+    auth = buildAuth(values);
+    failing = failingPriorities(values['fail-on']);
+    if (values.rules) {
+      normalizeRules(JSON.parse(fs.readFileSync(values.rules, 'utf8')));
+      // rules.js reads RULES_FILE on every scan
+      process.env.RULES_FILE = path.resolve(values.rules);
+    }
+  } catch (error) {
+    console.error(error.message);
+    return EXIT_ERROR;
+  }
+
+  // The scanner logs progress with console.log; keep stdout for the report
+  console.log = values.quiet
+    ? () => {}
+    : (...args) => process.stderr.write(`${util.format(...args)}\n`);
+
+  let report;
+  try {
+    report = await runScan(url, options, undefined, auth);
+  } catch (error) {
+    console.error(`Scan failed: ${error.message}`);
+    return EXIT_ERROR;
+  }
+
+  if (values.output) {
+    fs.writeFileSync(values.output, JSON.stringify({ domain: url, scanDate: new Date().toISOString(), ...report }, null, 2));
+  }
+
+  if (values.json) {
+    process.stdout.write(`${JSON.stringify({ domain: url, ...report }, null, 2)}\n`);
+  } else {
+    printSummary(url, report, failing);
+  }
+
+  // A scan whose start page didn't load says nothing about the site. (A scan
+  // that found no links at all has already failed in runScan.)
+  if (report.failedPages.some(page => page.url === url)) {
+    console.error(`❌ Scan incomplete: ${url} failed to load`);
+    return EXIT_ERROR;
+  }
+
+  const blockingCount = report.results.filter(r => failing.includes(r.priority)).length;
+  if (blockingCount > 0) {
+    console.error(`❌ ${blockingCount} issue(s) at or above "${values['fail-on']}"`);
+    return EXIT_ISSUES;
+  }
+
+  console.error(`✅ No issues at or above "${values['fail-on']}"`);
+  return EXIT_OK;
+}
+
+main(process.argv.slice(2)).then(async code => {
+  await shutdownPool();
+  process.exit(code);
+});
@@ -0,0 +1,77 @@
+// backend/compareScans.js
+// Scan-to-scan comparison: which issues are new, fixed or still there
+
+// Issues are the same issue when the same link target has the same kind of
+// problem. Pages aren't part of the key - a link is reported under the first
+// page the crawl found it on, and crawl order can change between scans.
+// Scans saved before links had a canonicalUrl fall back to the link as written.
+function issueKey(result) {
+  const hash = result.linkUrl.indexOf('#');
+  const fragment = hash === -1 ? '' : result.linkUrl.slice(hash);
+  const target = result.canonicalUrl ? result.canonicalUrl + fragment : result.linkUrl;
+  return `${target}\n${result.type}`;
+}
+
+// Drop screenshot data - comparisons list many issues and only need to say one exists
+function compactIssue(result) {
+  const { screenshot, ...rest } = result;
+  return { ...rest, hasScreenshot: Boolean(screenshot) };
+}
+
+function scanSummary(scan) {
+  return {
+    id: scan.id,
+    domain: scan.domain,
+    createdAt: scan.createdAt,
+    healthScore: scan.healthScore,
+    stats: scan.stats
+  };
+}
+
+// Compare an earlier scan (base) with a later one (current)
+function compareScans(base, current) {
+  const baseIssues = new Map(base.results.map(r => [issueKey(r), r]));
+  const currentIssues = new Map(current.results.map(r => [issueKey(r), r]));
+
+  const newIssues = [];
+  const persistingIssues = [];
+
+  currentIssues.forEach((result, key) => {
+    const previous = baseIssues.get(key);
+    if (!previous) {
+      newIssues.push(compactIssue(result));
+    } else {
+      persistingIssues.push({
+        ...compactIssue(result),
+        previousStatus: previous.status,
+        previousPriority: previous.priority
+      });
+    }
+  });
+
+  const fixedIssues = [];
+  baseIssues.forEach((result, key) => {
+    if (!currentIssues.has(key)) fixedIssues.push(compactIssue(result));
+  });
+
+  const statDelta = (name) => (current.stats[name] || 0) - (base.stats[name] || 0);
+
+  return {
+    base: scanSummary(base),
+    current: scanSummary(current),
+    // Scans saved before empty scans were failed have no score to compare
+    healthScoreDelta: Number.isFinite(current.healthScore) && Number.isFinite(base.healthScore)
+      ? current.healthScore - base.healthScore
+      : null,
+    criticalIssuesDelta: statDelta('criticalIssues'),
+    highIssuesDelta: statDelta('highIssues'),
+    brokenLinksDelta: statDelta('brokenLinks'),
+    newIssues,
+    fixedIssues,
+    persistingIssues
+  };
+}
+
+module.exports = {
+  compareScans
+};
@@ -0,0 +1,343 @@
+// backend/contactLinks.js
+// mailto: (RFC 6068) and tel: (RFC 3966) link validation. Email domains can
+// optionally be checked for a mail server through a configurable DNS resolver;
+// phone numbers must be international (E.164) or valid for the default region.
+
+const dns = require('dns');
+const net = require('net');
+
+const DNS_TIMEOUT_MS = 5000;
+
+// Country calling code, trunk prefix and national number lengths for the
+// regions local (non +) numbers can be validated against
+const PHONE_REGIONS = {
+  US: { countryCode: '1', trunkPrefix: '1', lengths: [10] },
+  CA: { countryCode: '1', trunkPrefix: '1', lengths: [10] },
+  GB: { countryCode: '44', trunkPrefix: '0', lengths: [9, 10] },
+  IE: { countryCode: '353', trunkPrefix: '0', lengths: [7, 8, 9] },
+  DE: { countryCode: '49', trunkPrefix: '0', lengths: [6, 7, 8, 9, 10, 11, 12, 13] },
+  FR: { countryCode: '33', trunkPrefix: '0', lengths: [9] },
+  ES: { countryCode: '34', trunkPrefix: '', lengths: [9] },
+  IT: { countryCode: '39', trunkPrefix: '', lengths: [6, 7, 8, 9, 10, 11] },
+  NL: { countryCode: '31', trunkPrefix: '0', lengths: [9] },
+  BE: { countryCode: '32', trunkPrefix: '0', lengths: [8, 9] },
+  CH: { countryCode: '41', trunkPrefix: '0', lengths: [9] },
+  AT: { countryCode: '43', trunkPrefix: '0', lengths: [4, 5, 6, 7, 8, 9, 10, 11, 12, 13] },
+  SE: { countryCode: '46', trunkPrefix: '0', lengths: [7, 8, 9] },
+  NO: { countryCode: '47', trunkPrefix: '', lengths: [8] },
+  DK: { countryCode: '45', trunkPrefix: '', lengths: [8] },
+  FI: { countryCode: '358', trunkPrefix: '0', lengths: [5, 6, 7, 8, 9, 10, 11, 12] },
+  PL: { countryCode: '48', trunkPrefix: '', lengths: [9] },
+  PT: { countryCode: '351', trunkPrefix: '', lengths: [9] },
+  AU: { countryCode: '61', trunkPrefix: '0', lengths: [9] },
+  NZ: { countryCode: '64', trunkPrefix: '0', lengths: [8, 9, 10] },
+  IN: { countryCode: '91', trunkPrefix: '0', lengths: [10] },
+  JP: { countryCode: '81', trunkPrefix: '0', lengths: [9, 10] },
+  CN: { countryCode: '86', trunkPrefix: '0', lengths: [9, 10, 11] },
+  BR: { countryCode: '55', trunkPrefix: '0', lengths: [10, 11] },
+  MX: { countryCode: '52', trunkPrefix: '', lengths: [10] },
+  ZA: { countryCode: '27', trunkPrefix: '0', lengths: [9] },
+  SG: { countryCode: '65', trunkPrefix: '', lengths: [8] },
+  HK: { countryCode: '852', trunkPrefix: '', lengths: [8] }
+};
+const PHONE_REGION_CODES = Object.keys(PHONE_REGIONS);
+
+// Longest calling codes first so +353 isn't read as +35...
+const REGIONS_BY_CALLING_CODE = Object.values(PHONE_REGIONS)
+  .sort((a, b) => b.countryCode.length - a.countryCode.length);
+
+// RFC 5322 dot-atom local parts (plus UTF-8 per RFC 6531) or quoted strings
+const DOT_ATOM_LOCAL_PART = /^[A-Za-z0-9!#$%&'*+/=?^_`{|}~\u0080-\uffff-]+(\.[A-Za-z0-9!#$%&'*+/=?^_`{|}~\u0080-\uffff-]+)*$/;
+const QUOTED_LOCAL_PART = /^"([^"\\]|\\.)*"$/;
+const DOMAIN_LABEL = /^(?!-)[A-Za-z0-9\u0080-\uffff-]{1,63}(?<!-)$/;
+
+// Visual separators allowed in tel: numbers
+const PHONE_SEPARATORS = /[\s\-.()]/g;
+
+// Percent-decode, returning null for broken escapes like %E0%A4%A
+function decodeComponent(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return null;
+  }
+}
+
+// Why an address isn't a valid addr-spec, or null when it is
+function findAddressProblem(address) {
+  const at = address.lastIndexOf('@');
+  if (at <= 0 || at === address.length - 1) return 'missing "@" or the part before/after it';
+
+  const localPart = address.slice(0, at);
+  const domain = address.slice(at + 1);
+
+  if (localPart.length > 64) return 'the part before "@" is longer than 64 characters';
+  if (!DOT_ATOM_LOCAL_PART.test(localPart) && !QUOTED_LOCAL_PART.test(localPart)) {
+    return 'the part before "@" has characters or dots that aren\'t allowed';
+  }
+
+  // Address literals: user@[192.0.2.1] or user@[IPv6:2001:db8::1]
+  if (domain.startsWith('[') && domain.endsWith(']')) {
+    const literal = domain.slice(1, -1);
+    return net.isIP(literal.replace(/^IPv6:/i, '')) ? null : 'invalid IP address literal';
+  }
+
+  if (domain.length > 253) return 'the domain is longer than 253 characters';
+  const labels = domain.split('.');
+  if (labels.length < 2) return 'the domain has no top-level domain';
+  if (labels.some(label => !DOMAIN_LABEL.test(label))) return 'the domain has an empty or invalid label';
+  if (/^[0-9]+$/.test(labels[labels.length - 1])) return 'the top-level domain is numeric';
+  return null;
+}
+
+// Split a mailto: URL into recipients and header fields. Problems (malformed
+// addresses, broken percent-encoding, no recipient or content at all) are
+// collected rather than thrown so every one of them can be reported.
+function parseMailto(url) {
+  const withoutScheme = url.replace(/^mailto:/i, '');
+  const queryStart = withoutScheme.indexOf('?');
+  const toPart = queryStart === -1 ? withoutScheme : withoutScheme.slice(0, queryStart);
+  const query = queryStart === -1 ? '' : withoutScheme.slice(queryStart + 1);
+
+  const parsed = { to: [], cc: [], bcc: [], subject: null, body: null, headers: {}, problems: [] };
+
+  const addAddresses = (field, encoded) => {
+    const decoded = decodeComponent(encoded);
+    if (decoded === null) {
+      parsed.problems.push(`Malformed percent-encoding in ${field}: "${encoded}"`);
+      return;
+    }
+    decoded.split(',').map(address => address.trim()).filter(Boolean).forEach(address => {
+      const problem = findAddressProblem(address);
+      if (problem) parsed.problems.push(`Invalid ${field} address "${address}": ${problem}`);
+      parsed[field].push(address);
+    });
+  };
+
+  addAddresses('to', toPart);
+
+  query.split('&').filter(Boolean).forEach(field => {
+    const separator = field.indexOf('=');
+    const name = (separator === -1 ? field : field.slice(0, separator)).toLowerCase();
+    const rawValue = separator === -1 ? '' : field.slice(separator + 1);
+
+    if (name === 'to' || name === 'cc' || name === 'bcc') {
+      addAddresses(name, rawValue);
+      return;
+    }
+
+    // "+" is a literal plus in mailto: - spaces must be written as %20
+    const value = decodeComponent(rawValue);
+    if (value === null) {
+      parsed.problems.push(`Malformed percent-encoding in ${name}: "${rawValue}"`);
+    } else if (name === 'subject' || name === 'body') {
+      parsed[name] = value;
+    } else {
+      parsed.headers[name] = value;
+    }
+  });
+
+  // "mailto:?subject=..." is a valid share link that lets the visitor pick the recipient
+  if (parsed.to.length === 0 && parsed.cc.length === 0 && parsed.bcc.length === 0 &&
+      parsed.subject === null && parsed.body === null) {
+    parsed.problems.push('No recipient');
+  }
+
+  return parsed;
+}
+
+// Parse a tel: URL into an E.164 number. Global numbers (+...) are validated
+// directly; local ones need a phone-context or the default region.
+// Returns { number, extension, region, problem, local }.
+function parseTel(url, defaultRegion = null) {
+  const decoded = decodeComponent(url.replace(/^tel:/i, ''));
+  if (decoded === null) return { number: null, problem: 'Malformed percent-encoding' };
+
+  const [rawNumber, ...paramParts] = decoded.split(';');
+  const params = {};
+  paramParts.forEach(part => {
+    const separator = part.indexOf('=');
+    params[(separator === -1 ? part : part.slice(0, separator)).trim().toLowerCase()] =
+      separator === -1 ? '' : part.slice(separator + 1).trim();
+  });
+  const extension = params.ext || null;
+  if (extension !== null && !/^[0-9\-.()]+$/.test(extension)) {
+    return { number: null, extension, problem: `Invalid extension "${extension}"` };
+  }
+
+  const compact = rawNumber.trim().replace(PHONE_SEPARATORS, '');
+  if (!compact) return { number: null, extension, problem: 'No phone number' };
+
+  let digits;
+  let region = null;
+  if (compact.startsWith('+')) {
+    digits = compact.slice(1);
+  } else {
+    // Service codes like *21# can't be checked - only plain digits can
+    if (!/^[0-9]+$/.test(compact)) {
+      return { number: null, extension, problem: `"${rawNumber.trim()}" contains characters that aren't digits` };
+    }
+
+    const context = params['phone-context'];
+    if (context && context.startsWith('+')) {
+      digits = context.slice(1).replace(PHONE_SEPARATORS, '') + compact;
+    } else if (defaultRegion) {
+      region = defaultRegion;
+      const { countryCode, trunkPrefix, lengths } = PHONE_REGIONS[defaultRegion];
+      const national = trunkPrefix && compact.startsWith(trunkPrefix) ? compact.slice(trunkPrefix.length) : compact;
+      if (!lengths.includes(national.length)) {
+        return {
+          number: null,
+          extension,
+          region,
+          problem: `"${rawNumber.trim()}" has ${national.length} digits - ${defaultRegion} numbers have ${lengths.join(' or ')}`
+        };
+      }
+      digits = countryCode + national;
+    } else {
+      return {
+        number: null,
+        extension,
+        local: true,
+        problem: `"${rawNumber.trim()}" has no country code, so visitors calling from abroad can't dial it`
+      };
+    }
+  }
+
+  if (!/^[0-9]+$/.test(digits)) {
+    return { number: null, extension, problem: `"${rawNumber.trim()}" contains characters that aren't digits` };
+  }
+  if (digits.startsWith('0')) {
+    return { number: null, extension, problem: 'Country codes never start with 0' };
+  }
+  if (digits.length < 7 || digits.length > 15) {
+    return { number: null, extension, problem: `E.164 numbers have 7 to 15 digits, this one has ${digits.length}` };
+  }
+
+  // Where we know the numbering plan, check the national part too
+  const plan = REGIONS_BY_CALLING_CODE.find(r => digits.startsWith(r.countryCode));
+  if (plan && !region) {
+    const national = digits.slice(plan.countryCode.length);
+    if (plan.trunkPrefix && national.startsWith(plan.trunkPrefix)) {
+      return {
+        number: null,
+        extension,
+        problem: `Includes the trunk prefix ${plan.trunkPrefix} after +${plan.countryCode} - drop it for international dialling`
+      };
+    }
+    if (!plan.lengths.includes(national.length)) {
+      return {
+        number: null,
+        extension,
+        problem: `+${plan.countryCode} numbers have ${plan.lengths.join(' or ')} digits after the country code, this one has ${national.length}`
+      };
+    }
+  }
+
+  return { number: `+${digits}`, extension, region, problem: null };
+}
+
+// Validate DNS server addresses ("1.1.1.1", "8.8.8.8:53", "[2606:4700::1111]:53")
+function normalizeDnsServers(servers) {
+  if (!Array.isArray(servers) || servers.some(server => typeof server !== 'string')) {
+    throw new Error('dnsServers must be an array of IP addresses');
+  }
+  return servers.map(server => server.trim()).filter(Boolean).map(server => {
+    const host = server.startsWith('[') ? server.slice(1, server.indexOf(']')) : server.replace(/:\d+$/, '');
+    if (!net.isIP(host) && !net.isIP(server)) throw new Error(`dnsServers: "${server}" is not an IP address`);
+    return server;
+  });
+}
+
+// Per-scan checker: caches mail-domain lookups so each domain is resolved once
+function createContactChecker({ verifyMailDomains = false, dnsServers = [], phoneRegion = null } = {}) {
+  const resolver = new dns.promises.Resolver({ timeout: DNS_TIMEOUT_MS, tries: 2 });
+  if (dnsServers.length > 0) resolver.setServers(dnsServers);
+  const mailDomains = new Map();
+
+  // null when the domain can receive mail (or the lookup was inconclusive), else the reason it can't
+  function findMailDomainProblem(domain) {
+    if (!mailDomains.has(domain)) {
+      mailDomains.set(domain, (async () => {
+        try {
+          const records = await resolver.resolveMx(domain);
+          // RFC 7505 "null MX": the domain explicitly accepts no mail
+          if (records.length === 1 && (records[0].exchange === '' || records[0].exchange === '.')) {
+            return `${domain} does not accept email (null MX record)`;
+          }
+          if (records.length > 0) return null;
+        } catch (error) {
+          if (error.code === dns.NOTFOUND) return `${domain} does not exist`;
+          if (error.code !== dns.NODATA) {
+            console.log(`⚠️ MX lookup for ${domain} failed (${error.code}) - not reported`);
+            return null;
+          }
+        }
+
+        // No MX record: mail falls back to the domain's own address (RFC 5321)
+        const addresses = await Promise.all([
+          resolver.resolve4(domain).catch(() => []),
+          resolver.resolve6(domain).catch(() => [])
+        ]);
+        return addresses.flat().length > 0 ? null : `${domain} has no mail server (no MX or address records)`;
+      })());
+    }
+    return mailDomains.get(domain);
+  }
+
+  async function checkMailto(url) {
+    const startTime = Date.now();
+    const mailto = parseMailto(url);
+    const contact = {
+      kind: 'email',
+      to: mailto.to,
+      cc: mailto.cc,
+      bcc: mailto.bcc,
+      subject: mailto.subject,
+      body: mailto.body,
+      problems: mailto.problems
+    };
+
+    if (mailto.problems.length > 0) {
+      return { status: 'INVALID_EMAIL', statusText: mailto.problems.join('; '), responseTime: 0, contact };
+    }
+
+    if (verifyMailDomains) {
+      const domains = [...new Set([...mailto.to, ...mailto.cc, ...mailto.bcc]
+        .map(address => address.slice(address.lastIndexOf('@') + 1).toLowerCase())
+        .filter(domain => !domain.startsWith('[')))];
+      const problems = (await Promise.all(domains.map(findMailDomainProblem))).filter(Boolean);
+      if (problems.length > 0) {
+        contact.problems = problems;
+        return { status: 'NO_MAIL_SERVER', statusText: problems.join('; '), responseTime: Date.now() - startTime, contact };
+      }
+    }
+
+    return { status: 200, statusText: 'Valid Email', responseTime: Date.now() - startTime, contact };
+  }
+
+  function checkTel(url) {
+    const tel = parseTel(url, phoneRegion);
+    const contact = { kind: 'phone', number: tel.number, extension: tel.extension || null, region: tel.region || null };
+
+    if (tel.problem) {
+      return {
+        status: tel.local ? 'LOCAL_PHONE' : 'INVALID_PHONE',
+        statusText: tel.problem,
+        responseTime: 0,
+        contact: { ...contact, problems: [tel.problem] }
+      };
+    }
+    return { status: 200, statusText: `Phone Link (${tel.number})`, responseTime: 0, contact: { ...contact, problems: [] } };
+  }
+
+  return { checkMailto, checkTel };
+}
+
+module.exports = {
+  PHONE_REGION_CODES,
+  parseMailto,
+  parseTel,
+  normalizeDnsServers,
+  createContactChecker
+};
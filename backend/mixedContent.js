@@ -0,0 +1,124 @@
+// backend/mixedContent.js
+// Mixed content: http:// sub-resources loaded by https:// pages, split into
+// active and passive the way browsers treat them, forms that submit over
+// http://, plus plain http:// outbound links that have a working https:// version
+
+const { URL } = require('url');
+
+// Browsers block these on HTTPS pages - the resource never loads
+const ACTIVE_LINK_TYPES = ['script', 'css', 'iframe'];
+// These still load or are auto-upgraded, but the page loses its padlock.
+// Resource hints, manifests and feed/alternate links aren't mixed content.
+const PASSIVE_LINK_TYPES = ['image', 'srcset', 'media', 'css-url', 'icon'];
+
+const TYPE_LABELS = {
+  script: 'a script',
+  css: 'a stylesheet',
+  iframe: 'an embedded frame',
+  image: 'an image',
+  srcset: 'a responsive image',
+  media: 'audio or video',
+  'css-url': 'a CSS asset',
+  icon: 'an icon'
+};
+
+function protocolOf(url) {
+  try {
+    return new URL(url).protocol;
+  } catch {
+    return null;
+  }
+}
+
+// 'active', 'passive', 'insecure-form' or null for a link found on a page.
+// pageUrl is where the page ended up after redirects, since that decides
+// whether it was served over HTTPS.
+function classifyMixedContent(pageUrl, linkUrl, linkType) {
+  if (protocolOf(pageUrl) !== 'https:' || protocolOf(linkUrl) !== 'http:') return null;
+  if (ACTIVE_LINK_TYPES.includes(linkType)) return 'active';
+  // Forms aren't blocked: browsers warn before submitting, then send the data in the clear
+  if (linkType === 'form') return 'insecure-form';
+  if (PASSIVE_LINK_TYPES.includes(linkType)) return 'passive';
+  return null;
+}
+
+// Plain http:// anchors to other hosts, worth upgrading when https:// works
+function isInsecureOutboundLink(linkUrl, linkType, baseHost) {
+  if (linkType !== 'link') return false;
+  try {
+    const parsed = new URL(linkUrl);
+    return parsed.protocol === 'http:' && parsed.hostname !== baseHost;
+  } catch {
+    return false;
+  }
+}
+
+// The same URL over https://, or null when it isn't an http:// URL
+function toHttpsUrl(url) {
+  try {
+    const parsed = new URL(url);
+    if (parsed.protocol !== 'http:') return null;
+    parsed.protocol = 'https:';
+    if (parsed.port === '80') parsed.port = '';
+    return parsed.href;
+  } catch {
+    return null;
+  }
+}
+
+// The issue to report for a result's mixedContent info, or null when there's nothing to fix.
+// mixedContent is { kind, linkType, httpsUrl, httpsWorks, pages }.
+function describeMixedContentIssue(mixedContent) {
+  if (!mixedContent) return null;
+  const { kind, linkType, httpsUrl, httpsWorks, pages } = mixedContent;
+  const onPages = pages.length > 1 ? ` on ${pages.length} pages` : '';
+  const upgrade = httpsWorks
+    ? ` The HTTPS version works - switch to ${httpsUrl}.`
+    : ' No working HTTPS version was found - host it on this site or remove it.';
+
+  switch (kind) {
+    case 'active':
+      return {
+        type: 'Active Mixed Content',
+        priority: 'Critical',
+        message: `HTTPS page loads ${TYPE_LABELS[linkType] || 'a resource'} over HTTP${onPages}. ` +
+          `Browsers block it, so it never loads.${upgrade}`,
+        suggestedFix: httpsWorks ? httpsUrl : null
+      };
+    case 'insecure-form':
+      return {
+        type: 'Insecure Form',
+        priority: 'High',
+        message: `HTTPS page has a form that submits over HTTP${onPages}. ` +
+          `Browsers warn visitors before sending it, and what they entered travels unencrypted.${upgrade}`,
+        suggestedFix: httpsWorks ? httpsUrl : null
+      };
+    case 'passive':
+      return {
+        type: 'Passive Mixed Content',
+        priority: 'Medium',
+        message: `HTTPS page loads ${TYPE_LABELS[linkType] || 'a resource'} over HTTP${onPages}. ` +
+          `Browsers may upgrade or block it and mark the page "Not secure".${upgrade}`,
+        suggestedFix: httpsWorks ? httpsUrl : null
+      };
+    case 'insecure-link':
+      // Nothing to suggest when the site has no HTTPS version
+      return httpsWorks
+        ? {
+          type: 'Insecure Link',
+          priority: 'Low',
+          message: `Links to plain HTTP${onPages}, but the HTTPS version works. Visitors should be sent to ${httpsUrl}.`,
+          suggestedFix: httpsUrl
+        }
+        : null;
+    default:
+      return null;
+  }
+}
+
+module.exports = {
+  classifyMixedContent,
+  isInsecureOutboundLink,
+  toHttpsUrl,
+  describeMixedContentIssue
+};
@@ -0,0 +1,45 @@
+// backend/patterns.js
+// URL patterns used by scan scopes and affiliate settings
+
+const { URL } = require('url');
+
+// Compile a URL pattern: "regex:<expr>" is a regular expression tested against
+// the full URL, anything else is a glob where * matches anything and every other
+// character, "?" included, matches itself. Globs starting with "/" are matched
+// against the path (with the query string when the glob has a "?"), other globs
+// against the full URL.
+function compilePattern(pattern) {
+  if (pattern.startsWith('regex:')) {
+    try {
+      const regex = new RegExp(pattern.slice('regex:'.length), 'i');
+      return (url) => regex.test(url);
+    } catch (error) {
+      throw new Error(`Invalid regex pattern "${pattern}": ${error.message}`);
+    }
+  }
+
+  const source = pattern
+    .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*');
+  const regex = new RegExp(`^${source}$`, 'i');
+  const matchPath = pattern.startsWith('/');
+  const withQuery = pattern.includes('?');
+
+  const target = (url) => {
+    if (!matchPath) return url;
+    const parsed = new URL(url);
+    return withQuery ? parsed.pathname + parsed.search : parsed.pathname;
+  };
+
+  return (url) => {
+    try {
+      return regex.test(target(url));
+    } catch {
+      return false;
+    }
+  };
+}
+
+module.exports = {
+  compilePattern
+};
@@ -0,0 +1,146 @@
+// backend/robots.js
+// robots.txt fetching and matching for the crawler
+
+const axios = require('axios');
+const { URL } = require('url');
+
+// Product token matched against robots.txt User-agent groups
+const ROBOTS_USER_AGENT = 'LinkCheckerPro';
+// Sent with every crawl and check request, so site owners can match the token
+// in robots.txt and their logs; the browser part keeps sites serving normal pages
+const CRAWLER_USER_AGENT = `Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (compatible; ${ROBOTS_USER_AGENT})`;
+
+// Longest Crawl-delay we honor, in seconds
+const MAX_CRAWL_DELAY = 30;
+
+// Parse robots.txt into user-agent groups plus the Sitemap lines
+function parseRobotsTxt(text) {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  text.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    if (!line) return;
+
+    const separator = line.indexOf(':');
+    if (separator === -1) return;
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'sitemap') {
+      if (value) sitemaps.push(value);
+      return;
+    }
+
+    if (field === 'user-agent') {
+      if (!current || !lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      return;
+    }
+
+    lastWasAgent = false;
+    if (!current) return;
+
+    if (field === 'allow' || field === 'disallow') {
+      // An empty Disallow means "allow everything" and adds no rule
+      if (value) current.rules.push({ allow: field === 'allow', path: value });
+    } else if (field === 'crawl-delay') {
+      const delay = parseFloat(value);
+      if (!Number.isNaN(delay) && delay >= 0) current.crawlDelay = delay;
+    }
+  });
+
+  return { groups, sitemaps };
+}
+
+// Pick the group for our user agent, falling back to "*"
+function selectGroup(groups, userAgent = ROBOTS_USER_AGENT) {
+  const agent = userAgent.toLowerCase();
+  const specific = groups.find(group =>
+    group.agents.some(name => name !== '*' && agent.includes(name))
+  );
+  return specific || groups.find(group => group.agents.includes('*')) || null;
+}
+
+// Convert a robots.txt path pattern (* and $) into a RegExp
+function rulePattern(path) {
+  const anchored = path.endsWith('$');
+  const body = (anchored ? path.slice(0, -1) : path)
+    .replace(/[.+?^{}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+// Build a robots policy for a site; a missing or unreadable robots.txt allows everything.
+// extraHeaders carries auth headers for protected sites.
+async function fetchRobotsPolicy(siteUrl, extraHeaders = {}) {
+  const robotsUrl = new URL('/robots.txt', siteUrl).href;
+  let parsed = { groups: [], sitemaps: [] };
+  let found = false;
+
+  try {
+    const response = await axios.get(robotsUrl, {
+      timeout: 10000,
+      responseType: 'text',
+      validateStatus: () => true,
+      headers: { 'User-Agent': CRAWLER_USER_AGENT, ...extraHeaders }
+    });
+
+    if (response.status >= 200 && response.status < 300 && typeof response.data === 'string') {
+      parsed = parseRobotsTxt(response.data);
+      found = true;
+    }
+  } catch (error) {
+    console.log(`⚠️ Could not fetch ${robotsUrl}: ${error.message}`);
+  }
+
+  const group = selectGroup(parsed.groups);
+  const rules = group
+    ? group.rules.map(rule => ({ ...rule, pattern: rulePattern(rule.path) }))
+    : [];
+  const crawlDelay = group && group.crawlDelay !== null
+    ? Math.min(group.crawlDelay, MAX_CRAWL_DELAY)
+    : 0;
+
+  return {
+    url: robotsUrl,
+    found,
+    crawlDelay,
+    sitemaps: parsed.sitemaps,
+    // Longest matching rule wins; Allow wins a tie
+    isAllowed(url) {
+      let target;
+      try {
+        const parsedUrl = new URL(url);
+        target = parsedUrl.pathname + parsedUrl.search;
+      } catch {
+        return true;
+      }
+
+      let best = null;
+      rules.forEach(rule => {
+        if (!rule.pattern.test(target)) return;
+        if (!best || rule.path.length > best.path.length ||
+            (rule.path.length === best.path.length && rule.allow)) {
+          best = rule;
+        }
+      });
+
+      return !best || best.allow;
+    }
+  };
+}
+
+module.exports = {
+  ROBOTS_USER_AGENT,
+  CRAWLER_USER_AGENT,
+  parseRobotsTxt,
+  fetchRobotsPolicy
+};
@@ -0,0 +1,217 @@
+// backend/rules.js
+// User rules for ignoring links and classifying results, stored in RULES_FILE
+// (default DATA_DIR/rules.json) and applied to every scan.
+//
+// A rule matches a link by URL pattern (see patterns.js) or by host, and does one of:
+//   ignore          - never check the link
+//   ok-status       - treat the listed statuses as working (e.g. LinkedIn's 999)
+//   override        - replace the priority and/or issue type of any issue found
+//   existence-only  - only report links that don't exist (404/410, DNS, connection errors)
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { URL } = require('url');
+const { DATA_DIR, writeJsonAtomic } = require('./scanStore');
+const { compilePattern } = require('./patterns');
+
+const RULE_ACTIONS = ['ignore', 'ok-status', 'override', 'existence-only'];
+const PRIORITIES = ['Critical', 'High', 'Medium', 'Low'];
+
+// The special cases the scanner used to hard-code, as editable rules
+const DEFAULT_RULES = [
+  {
+    id: 'default-tracking-pixels',
+    action: 'ignore',
+    pattern: 'regex:bat\\.bing\\.com|google-analytics\\.com|googletagmanager\\.com|facebook\\.com/tr|doubleclick\\.net|analytics\\.|/pixel|/beacon|track\\.php|collect\\?',
+    hosts: [],
+    statuses: [],
+    priority: null,
+    type: null,
+    note: 'Tracking pixels and analytics beacons'
+  },
+  {
+    id: 'default-not-modified',
+    action: 'ok-status',
+    pattern: '*',
+    hosts: [],
+    statuses: [304],
+    priority: null,
+    type: null,
+    note: '304 Not Modified is cached content - working correctly'
+  },
+  {
+    id: 'default-linkedin-999',
+    action: 'ok-status',
+    pattern: null,
+    hosts: ['linkedin.com'],
+    statuses: [999],
+    priority: null,
+    type: null,
+    note: 'LinkedIn answers automated requests with 999'
+  }
+];
+
+// Read lazily so the CLI can point RULES_FILE at a checked-in rules file
+function getRulesFile() {
+  return process.env.RULES_FILE || path.join(DATA_DIR, 'rules.json');
+}
+
+// Validate a rule, throwing a readable error. Keeps the id when there is one.
+function normalizeRule(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('A rule must be an object');
+  }
+  const { id, action, pattern = null, hosts = [], statuses = [], priority = null, type = null, note = '' } = input;
+
+  if (!RULE_ACTIONS.includes(action)) {
+    throw new Error(`action must be one of: ${RULE_ACTIONS.join(', ')}`);
+  }
+
+  const cleanPattern = typeof pattern === 'string' && pattern.trim() ? pattern.trim() : null;
+  if (pattern !== null && typeof pattern !== 'string') throw new Error('pattern must be a string');
+  if (cleanPattern) compilePattern(cleanPattern);
+
+  if (!Array.isArray(hosts) || hosts.some(h => typeof h !== 'string')) {
+    throw new Error('hosts must be an array of domains');
+  }
+  const cleanHosts = hosts.map(h => h.trim().toLowerCase().replace(/^\*?\./, '')).filter(Boolean);
+
+  if (!cleanPattern && cleanHosts.length === 0) {
+    throw new Error('A rule needs a URL pattern or at least one host');
+  }
+
+  if (!Array.isArray(statuses) || statuses.some(s => !Number.isInteger(Number(s)) || Number(s) < 100 || Number(s) > 999)) {
+    throw new Error('statuses must be an array of HTTP status codes');
+  }
+  const cleanStatuses = [...new Set(statuses.map(Number))];
+  if (action === 'ok-status' && cleanStatuses.length === 0) {
+    throw new Error('ok-status rules need at least one status');
+  }
+
+  if (priority !== null && !PRIORITIES.includes(priority)) {
+    throw new Error(`priority must be one of: ${PRIORITIES.join(', ')}`);
+  }
+  if (type !== null && (typeof type !== 'string' || !type.trim())) {
+    throw new Error('type must be a non-empty string');
+  }
+  if (action === 'override' && priority === null && type === null) {
+    throw new Error('override rules need a priority or a type');
+  }
+  if (typeof note !== 'string') throw new Error('note must be a string');
+
+  return {
+    id: typeof id === 'string' && id ? id : crypto.randomUUID(),
+    action,
+    pattern: cleanPattern,
+    hosts: cleanHosts,
+    statuses: action === 'ok-status' ? cleanStatuses : [],
+    priority: action === 'override' ? priority : null,
+    type: action === 'override' && type ? type.trim() : null,
+    note: note.trim()
+  };
+}
+
+function normalizeRules(input) {
+  if (!Array.isArray(input)) throw new Error('Rules must be an array');
+  return input.map((rule, index) => {
+    try {
+      return normalizeRule(rule);
+    } catch (error) {
+      throw new Error(`Rule ${index + 1}: ${error.message}`);
+    }
+  });
+}
+
+async function listRules() {
+  try {
+    return normalizeRules(JSON.parse(await fs.readFile(getRulesFile(), 'utf8')));
+  } catch (error) {
+    if (error.code === 'ENOENT') return DEFAULT_RULES;
+    throw error;
+  }
+}
+
+// Rule changes are chained so overlapping edits don't lose each other
+let rulesWrite = Promise.resolve();
+
+function updateRules(update) {
+  rulesWrite = rulesWrite
+    .catch(() => {})
+    .then(async () => {
+      const rules = normalizeRules(update(await listRules()));
+      await writeJsonAtomic(getRulesFile(), rules, 2);
+      return rules;
+    });
+  return rulesWrite;
+}
+
+function saveRules(input) {
+  return updateRules(() => input);
+}
+
+async function createRule(input) {
+  const rule = normalizeRule({ ...input, id: undefined });
+  await updateRules(rules => [...rules, rule]);
+  return rule;
+}
+
+// Resolves false when no rule has that id
+async function deleteRule(id) {
+  let found = false;
+  await updateRules(rules => {
+    found = rules.some(rule => rule.id === id);
+    return rules.filter(rule => rule.id !== id);
+  });
+  return found;
+}
+
+// Back to the built-in rules
+async function resetRules() {
+  await fs.rm(getRulesFile(), { force: true });
+  return DEFAULT_RULES;
+}
+
+// Compile rules into the lookups a scan uses
+function createRuleMatcher(rules = DEFAULT_RULES) {
+  const compiled = rules.map(rule => ({
+    rule,
+    matchesPattern: rule.pattern ? compilePattern(rule.pattern) : () => false
+  }));
+
+  // Every rule that applies to a URL, in rule order
+  function match(url) {
+    let hostname = null;
+    try {
+      hostname = new URL(url).hostname.toLowerCase();
+    } catch {
+      hostname = null;
+    }
+
+    return compiled
+      .filter(({ rule, matchesPattern }) => matchesPattern(url) ||
+        (hostname && rule.hosts.some(host => hostname === host || hostname.endsWith(`.${host}`))))
+      .map(({ rule }) => rule);
+  }
+
+  return { match };
+}
+
+// The short form stored on each result
+function describeRule(rule) {
+  return { id: rule.id, action: rule.action, note: rule.note };
+}
+
+module.exports = {
+  RULE_ACTIONS,
+  DEFAULT_RULES,
+  normalizeRule,
+  normalizeRules,
+  listRules,
+  saveRules,
+  createRule,
+  deleteRule,
+  resetRules,
+  createRuleMatcher,
+  describeRule
+};
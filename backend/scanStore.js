@@ -0,0 +1,100 @@
+// backend/scanStore.js
+// Stores completed scans as JSON files on disk, with a small index for listing
+
+const fs = require('fs/promises');
+const path = require('path');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const SCANS_DIR = path.join(DATA_DIR, 'scans');
+const INDEX_FILE = path.join(SCANS_DIR, 'index.json');
+
+// Writes to the index are chained so concurrent saves can't clobber each other
+let indexWrite = Promise.resolve();
+
+// Temp files are numbered so two writes to one file never share a temp file
+let tempFileCounter = 0;
+
+// Write a file via a temp file so a crash never leaves half-written JSON.
+// Callers that update a file from several requests should chain their writes.
+async function writeJsonAtomic(filePath, data, space) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.${++tempFileCounter}.tmp`;
+  await fs.writeFile(tempPath, JSON.stringify(data, null, space));
+  await fs.rename(tempPath, filePath);
+}
+
+async function readIndex() {
+  try {
+    return JSON.parse(await fs.readFile(INDEX_FILE, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+// Summary row shown in scan lists
+function summarizeScan(scan) {
+  return {
+    id: scan.id,
+    domain: scan.domain,
+    createdAt: scan.createdAt,
+    finishedAt: scan.finishedAt,
+    healthScore: scan.healthScore,
+    stats: scan.stats,
+    scheduleId: scan.scheduleId
+  };
+}
+
+// Persist a completed scan and add it to the index
+async function saveScan({ id, domain, options, createdAt, finishedAt, result, scheduleId = null }) {
+  const scan = {
+    id,
+    domain,
+    options,
+    scheduleId,
+    createdAt,
+    finishedAt,
+    ...result
+  };
+
+  await writeJsonAtomic(path.join(SCANS_DIR, `${id}.json`), scan);
+
+  indexWrite = indexWrite
+    .catch(() => {})
+    .then(async () => {
+      const index = await readIndex();
+      await writeJsonAtomic(INDEX_FILE, [summarizeScan(scan), ...index.filter(s => s.id !== id)]);
+    });
+  await indexWrite;
+
+  return scan;
+}
+
+// List scan summaries, newest first, optionally for a single domain
+async function listScans({ domain } = {}) {
+  const index = await readIndex();
+  return index
+    .filter(scan => !domain || scan.domain === domain)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// Load a full scan, or null if it doesn't exist
+async function getScan(id) {
+  // Ids are UUIDs - refuse anything that could escape the scans directory
+  if (!/^[a-zA-Z0-9-]+$/.test(id)) return null;
+
+  try {
+    return JSON.parse(await fs.readFile(path.join(SCANS_DIR, `${id}.json`), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+module.exports = {
+  DATA_DIR,
+  writeJsonAtomic,
+  saveScan,
+  listScans,
+  getScan
+};
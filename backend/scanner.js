@@ -0,0 +1,1830 @@
+// backend/scanner.js
+// Crawl, link check, AI analysis and screenshot pipeline shared by the API server and the CLI
+
+const axios = require('axios');
+const { URL } = require('url');
+const { CRAWLER_USER_AGENT, fetchRobotsPolicy } = require('./robots');
+const { fetchSitemapUrls } = require('./sitemap');
+const { runCheckPool } = require('./checkPool');
+const { compilePattern } = require('./patterns');
+const { createSoft404Detector } = require('./soft404');
+const { createAuthSession } = require('./auth');
+const { getAffiliateConfig, createAffiliateMatcher } = require('./affiliates');
+const { listRules, createRuleMatcher, describeRule } = require('./rules');
+const { isCertificateErrorCode, createCertificateInspector, describeCertificateIssue } = require('./certificates');
+const { classifyMixedContent, isInsecureOutboundLink, toHttpsUrl, describeMixedContentIssue } = require('./mixedContent');
+const { PHONE_REGION_CODES, normalizeDnsServers, createContactChecker } = require('./contactLinks');
+const { auditPageLinks } = require('./accessibility');
+const { TRAILING_SLASH_POLICIES, createUrlNormalizer } = require('./urlNormalizer');
+const { openScope } = require('./browserPool');
+const { analyzeWithAI } = require('./aiProvider');
+
+// Per-scan crawl configuration
+const LINK_TYPES = [
+  'link', 'image', 'srcset', 'media', 'iframe', 'form', 'css', 'css-url', 'script',
+  'meta-refresh', 'social-image', 'canonical', 'hreflang', 'json-ld',
+  'icon', 'manifest', 'resource-hint', 'head-link'
+];
+const MAX_PAGES_LIMIT = 5000;
+// Sitemap entries checked as links, at most (sitemap.js reads up to 50,000)
+const MAX_SITEMAP_CHECK_LIMIT = 50000;
+const DEFAULT_SCAN_OPTIONS = {
+  maxPages: 50,
+  maxDepth: null,
+  includePatterns: [],
+  excludePatterns: [],
+  linkTypes: LINK_TYPES,
+  checkExternal: true,
+  useSitemap: false,
+  sitemapCheckLimit: 500,
+  respectRobotsTxt: true,
+  concurrency: 8,
+  perHostConcurrency: 2,
+  perHostDelayMs: 250,
+  redirectChainLimit: 3,
+  retries: 2,
+  retryBaseDelayMs: 1000,
+  detectSoft404: true,
+  stripFragments: true,
+  stripTrackingParams: true,
+  sortQueryParams: true,
+  trailingSlash: 'keep',
+  certExpiryWarningDays: 21,
+  verifyMailDomains: false,
+  dnsServers: [],
+  phoneRegion: null,
+  auditAccessibility: true
+};
+const MAX_CONCURRENCY = 50;
+// Redirects are followed up to this many hops; chains longer than the
+// per-scan redirectChainLimit are reported but still followed
+const MAX_REDIRECT_HOPS = 10;
+// Servers answering HEAD with these get a GET instead
+const HEAD_REJECTED_STATUSES = [405, 501];
+// Failures worth retrying - anything else is treated as permanent
+const TRANSIENT_STATUSES = ['TIMEOUT', 'CONNECTION_RESET', 429, 502, 503, 504];
+const MAX_RETRIES = 5;
+// Upper bound for a single backoff wait, including server-sent Retry-After
+const MAX_RETRY_DELAY_MS = 30000;
+const FLAKY_LINK_TYPE = 'Flaky Link';
+// Soft 404s at or above this confidence are as bad as a real 404
+const SOFT_404_CRITICAL_CONFIDENCE = 0.8;
+// Certificate problems that make browsers refuse the page
+const BROKEN_CERTIFICATE_STATUSES = ['expired', 'self-signed', 'hostname-mismatch', 'untrusted'];
+// When a URL is mixed content on one page and an insecure link on another, the first kind here wins
+const MIXED_CONTENT_KINDS = ['active', 'insecure-form', 'passive', 'insecure-link'];
+// Client-side (script / meta refresh) hops followed after an affiliate link loads
+const MAX_CLIENT_REDIRECTS = 5;
+const CLIENT_REDIRECT_WAIT_MS = 3000;
+// mailto: and tel: checks outside a scan: no mail-server lookups, international numbers only
+const defaultContactChecker = createContactChecker();
+
+// Utility: Check if URL is valid
+function isValidUrl(url) {
+  try {
+    new URL(url);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Validate and fill in defaults for per-scan crawl options
+function normalizeScanOptions(input = {}) {
+  const options = { ...DEFAULT_SCAN_OPTIONS, ...input };
+
+  const maxPages = Number(options.maxPages);
+  if (!Number.isInteger(maxPages) || maxPages < 1 || maxPages > MAX_PAGES_LIMIT) {
+    throw new Error(`maxPages must be a whole number between 1 and ${MAX_PAGES_LIMIT}`);
+  }
+
+  let maxDepth = null;
+  if (options.maxDepth !== null && options.maxDepth !== undefined && options.maxDepth !== '') {
+    maxDepth = Number(options.maxDepth);
+    if (!Number.isInteger(maxDepth) || maxDepth < 0) {
+      throw new Error('maxDepth must be a whole number of 0 or more');
+    }
+  }
+
+  const toPatternList = (value, name) => {
+    if (!Array.isArray(value) || value.some(p => typeof p !== 'string')) {
+      throw new Error(`${name} must be an array of strings`);
+    }
+    const patterns = value.map(p => p.trim()).filter(Boolean);
+    patterns.forEach(compilePattern);
+    return patterns;
+  };
+
+  const toBoundedInt = (value, name, min, max) => {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min || number > max) {
+      throw new Error(`${name} must be a whole number between ${min} and ${max}`);
+    }
+    return number;
+  };
+
+  if (!Array.isArray(options.linkTypes) || options.linkTypes.length === 0 ||
+      options.linkTypes.some(type => !LINK_TYPES.includes(type))) {
+    throw new Error(`linkTypes must be a non-empty list of: ${LINK_TYPES.join(', ')}`);
+  }
+
+  if (!TRAILING_SLASH_POLICIES.includes(options.trailingSlash)) {
+    throw new Error(`trailingSlash must be one of: ${TRAILING_SLASH_POLICIES.join(', ')}`);
+  }
+
+  let phoneRegion = null;
+  if (options.phoneRegion !== null && options.phoneRegion !== undefined && options.phoneRegion !== '') {
+    phoneRegion = String(options.phoneRegion).toUpperCase();
+    if (!PHONE_REGION_CODES.includes(phoneRegion)) {
+      throw new Error(`phoneRegion must be one of: ${PHONE_REGION_CODES.join(', ')}`);
+    }
+  }
+
+  return {
+    maxPages,
+    maxDepth,
+    includePatterns: toPatternList(options.includePatterns, 'includePatterns'),
+    excludePatterns: toPatternList(options.excludePatterns, 'excludePatterns'),
+    linkTypes: [...new Set(options.linkTypes)],
+    checkExternal: options.checkExternal !== false,
+    useSitemap: options.useSitemap === true,
+    sitemapCheckLimit: toBoundedInt(options.sitemapCheckLimit, 'sitemapCheckLimit', 0, MAX_SITEMAP_CHECK_LIMIT),
+    respectRobotsTxt: options.respectRobotsTxt !== false,
+    concurrency: toBoundedInt(options.concurrency, 'concurrency', 1, MAX_CONCURRENCY),
+    perHostConcurrency: toBoundedInt(options.perHostConcurrency, 'perHostConcurrency', 1, MAX_CONCURRENCY),
+    perHostDelayMs: toBoundedInt(options.perHostDelayMs, 'perHostDelayMs', 0, 60000),
+    redirectChainLimit: toBoundedInt(options.redirectChainLimit, 'redirectChainLimit', 1, MAX_REDIRECT_HOPS),
+    retries: toBoundedInt(options.retries, 'retries', 0, MAX_RETRIES),
+    retryBaseDelayMs: toBoundedInt(options.retryBaseDelayMs, 'retryBaseDelayMs', 0, MAX_RETRY_DELAY_MS),
+    detectSoft404: options.detectSoft404 !== false,
+    stripFragments: options.stripFragments !== false,
+    stripTrackingParams: options.stripTrackingParams !== false,
+    sortQueryParams: options.sortQueryParams !== false,
+    trailingSlash: options.trailingSlash,
+    certExpiryWarningDays: toBoundedInt(options.certExpiryWarningDays, 'certExpiryWarningDays', 0, 365),
+    verifyMailDomains: options.verifyMailDomains === true,
+    dnsServers: normalizeDnsServers(options.dnsServers),
+    phoneRegion,
+    auditAccessibility: options.auditAccessibility !== false
+  };
+}
+
+// Build a predicate for the pages a scan should cover
+function createScopeFilter(options) {
+  const includes = options.includePatterns.map(compilePattern);
+  const excludes = options.excludePatterns.map(compilePattern);
+
+  return (url) => {
+    if (excludes.some(matches => matches(url))) return false;
+    return includes.length === 0 || includes.some(matches => matches(url));
+  };
+}
+
+// Check if status code is actually successful (including special cases)
+function isSuccessStatus(status) {
+  if (typeof status === 'number' && status >= 200 && status < 300) {
+    return true;
+  }
+  if (status === 304) {
+    return true;
+  }
+  return false;
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Open an affiliate link in a real browser (a page from the scan's browser
+// pool scope) and follow it to the merchant landing page
+async function checkLinkWithBrowser(url, browserScope) {
+  try {
+    return await browserScope.withPage(async page => {
+      const startTime = Date.now();
+      // Every main-frame document on the way, including JavaScript and meta refresh hops
+      const visitedDocuments = [];
+      const onResponse = response => {
+        const request = response.request();
+        if (request.isNavigationRequest() && request.frame() === page.mainFrame()) {
+          visitedDocuments.push({ url: response.url(), status: response.status() });
+        }
+      };
+
+      page.on('response', onResponse);
+      let response;
+      try {
+        response = await page.goto(url, {
+          waitUntil: 'domcontentloaded',
+          timeout: 15000
+        });
+
+        // Trackers often hand off to the merchant from script after the first page loads
+        for (let hop = 0; hop < MAX_CLIENT_REDIRECTS; hop++) {
+          const next = await page.waitForNavigation({
+            waitUntil: 'domcontentloaded',
+            timeout: CLIENT_REDIRECT_WAIT_MS
+          }).catch(() => null);
+          if (!next) break;
+          response = next;
+        }
+      } finally {
+        page.off('response', onResponse);
+      }
+
+      const landing = await page.evaluate(() => ({
+        title: document.title,
+        text: document.body ? document.body.innerText : ''
+      })).catch(() => ({ title: '', text: '' }));
+
+      const redirectChain = visitedDocuments.slice(0, -1).map((doc, index) => ({
+        url: doc.url,
+        status: doc.status,
+        location: visitedDocuments[index + 1].url
+      }));
+
+      return {
+        status: response ? response.status() : 200,
+        statusText: response ? response.statusText() : 'OK',
+        responseTime: Date.now() - startTime,
+        redirectCount: redirectChain.length,
+        redirectChain,
+        finalUrl: page.url(),
+        landing,
+        checkedWithBrowser: true,
+        isAffiliate: true
+      };
+    });
+  } catch (error) {
+    return {
+      status: 'ERROR',
+      statusText: error.message,
+      responseTime: 0,
+      checkedWithBrowser: true,
+      isAffiliate: true
+    };
+  }
+}
+
+// Fetch only the headers of a URL: HEAD first, then a streamed GET that is
+// closed as soon as the headers arrive for servers that reject HEAD
+async function requestHeaders(url, requestOptions) {
+  const head = await axios.head(url, { ...requestOptions, maxRedirects: 0 });
+  if (!HEAD_REJECTED_STATUSES.includes(head.status)) {
+    return { response: head, method: 'HEAD' };
+  }
+
+  const response = await axios.get(url, { ...requestOptions, maxRedirects: 0, responseType: 'stream' });
+  response.data.destroy();
+  return { response, method: 'GET' };
+}
+
+// Request a URL without automatic redirects and follow Location headers by
+// hand, recording every hop. Errors carry the chain walked so far. Auth
+// headers are worked out per hop so they never follow a redirect off-site.
+async function requestWithRedirects(url, requestOptions, session = null) {
+  const redirectChain = [];
+  const seen = new Set([url]);
+  let currentUrl = url;
+
+  try {
+    while (true) {
+      const { response, method } = await requestHeaders(currentUrl, session
+        ? { ...requestOptions, headers: { ...requestOptions.headers, ...session.headersFor(currentUrl) } }
+        : requestOptions);
+      const location = response.headers.location;
+
+      if (response.status < 300 || response.status >= 400 || !location) {
+        return { response, method, redirectChain, finalUrl: currentUrl };
+      }
+
+      const nextUrl = new URL(location, currentUrl).href;
+      redirectChain.push({ url: currentUrl, status: response.status, location: nextUrl });
+
+      if (seen.has(nextUrl)) {
+        return { response, redirectChain, finalUrl: nextUrl, loop: true };
+      }
+      if (redirectChain.length >= MAX_REDIRECT_HOPS) {
+        return { response, redirectChain, finalUrl: nextUrl, tooManyRedirects: true };
+      }
+
+      seen.add(nextUrl);
+      currentUrl = nextUrl;
+    }
+  } catch (error) {
+    error.redirectChain = redirectChain;
+    throw error;
+  }
+}
+
+// Problems with a redirect chain, most severe first
+function findRedirectIssues(redirectChain, { loop, tooManyRedirects, isInternal, redirectChainLimit }) {
+  if (redirectChain.length === 0) return [];
+
+  const issues = [];
+  if (loop) issues.push('loop');
+  if (redirectChain.some(hop => hop.url.startsWith('https:') && hop.location.startsWith('http:'))) {
+    issues.push('https-downgrade');
+  }
+  if (tooManyRedirects || redirectChain.length > redirectChainLimit) issues.push('too-long');
+  if (isInternal) {
+    if (redirectChain.some(hop => hop.status === 302 || hop.status === 307)) issues.push('temporary-internal');
+    issues.push('internal-redirect');
+  }
+  return issues;
+}
+
+// Report details for the most severe redirect issue of a checked link
+function describeRedirectIssue(statusInfo, redirectChainLimit) {
+  const [issue] = statusInfo.redirectIssues || [];
+  if (!issue) return null;
+
+  const chain = statusInfo.redirectChain;
+  const hops = chain.length;
+
+  switch (issue) {
+    case 'loop':
+      return {
+        type: 'Redirect Loop',
+        priority: 'Critical',
+        message: `Redirect loop (${chain.map(hop => hop.status).join(' → ')}). The link never reaches a page.`,
+        suggestedFix: null
+      };
+    case 'https-downgrade':
+      return {
+        type: 'HTTPS Downgrade Redirect',
+        priority: 'High',
+        message: `Redirects from HTTPS to HTTP, sending visitors to an insecure page.`,
+        suggestedFix: null
+      };
+    case 'too-long':
+      return {
+        type: 'Redirect Chain Too Long',
+        priority: 'Medium',
+        message: `Passes through ${hops} redirects before reaching the page (limit ${redirectChainLimit}), which slows page load.`,
+        suggestedFix: statusInfo.finalUrl
+      };
+    case 'temporary-internal':
+      return {
+        type: 'Temporary Internal Redirect',
+        priority: 'Medium',
+        message: `Internal link goes through a temporary (302/307) redirect. Make it permanent (301/308) or link to the final URL.`,
+        suggestedFix: statusInfo.finalUrl
+      };
+    case 'internal-redirect':
+      return {
+        type: 'Internal Link to Redirect',
+        priority: 'Low',
+        message: `Internal link points at a URL that redirects (${hops} hop${hops === 1 ? '' : 's'}). Link to the final URL directly.`,
+        suggestedFix: statusInfo.finalUrl
+      };
+    default:
+      return null;
+  }
+}
+
+// Check link status with detailed error handling. checkOptions.baseHost marks
+// which links are internal; checkOptions.redirectChainLimit caps chain length;
+// checkOptions.session is the scan's auth session, if any. browserScope
+// (from browserPool.openScope) together with checkOptions.affiliates (from
+// affiliates.createAffiliateMatcher) enables real-browser checks of affiliate links.
+// checkOptions.contacts (from contactLinks.createContactChecker) validates mailto: and tel: links.
+async function checkLinkStatus(url, browserScope = null, checkOptions = {}) {
+  const {
+    baseHost = null,
+    redirectChainLimit = DEFAULT_SCAN_OPTIONS.redirectChainLimit,
+    session = null,
+    affiliates = null,
+    contacts = defaultContactChecker
+  } = checkOptions;
+
+  try {
+    if (url.startsWith('data:') || url.startsWith('blob:')) {
+      return {
+        status: 200,
+        statusText: 'Inline Content',
+        responseTime: 0,
+        skip: true
+      };
+    }
+
+    if (url.startsWith('mailto:')) {
+      return await contacts.checkMailto(url);
+    }
+
+    if (url.startsWith('tel:')) {
+      return contacts.checkTel(url);
+    }
+
+    if (url.startsWith('javascript:') || url.startsWith('#')) {
+      return {
+        status: 200,
+        statusText: 'Internal Reference',
+        responseTime: 0
+      };
+    }
+
+    const affiliate = browserScope && affiliates ? affiliates.match(url) : null;
+    if (affiliate) {
+      console.log(`Checking affiliate link with browser (${affiliate.network}): ${url}`);
+      const { landing, ...result } = await checkLinkWithBrowser(url, browserScope);
+      const reachedMerchant = Boolean(result.finalUrl) && !affiliates.isOnNetwork(affiliate, result.finalUrl);
+
+      const affiliateInfo = {
+        network: affiliate.network,
+        expectedMerchants: affiliate.expectedMerchants,
+        landingUrl: result.finalUrl || null,
+        issue: landing && (isSuccessStatus(result.status) || result.status === 403)
+          ? affiliates.assessLanding(affiliate, { finalUrl: result.finalUrl, ...landing })
+          : null
+      };
+
+      // A 403 from the merchant is usually bot protection on a page real visitors
+      // can open; a 403 from the network itself means the link is dead
+      if (result.status === 403 && reachedMerchant) {
+        console.log(`⚠️ 403 on affiliate landing page (likely anti-bot) - destination still verified`);
+        return {
+          ...result,
+          affiliate: affiliateInfo,
+          treatAsWorking: true,
+          statusText: 'Anti-bot protection (link works in browsers)'
+        };
+      }
+
+      return { ...result, affiliate: affiliateInfo };
+    }
+
+    const startTime = Date.now();
+    const { response, method, redirectChain, finalUrl, loop, tooManyRedirects } = await requestWithRedirects(url, {
+      timeout: 10000,
+      validateStatus: () => true,
+      headers: {
+        'User-Agent': CRAWLER_USER_AGENT,
+        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+        'Accept-Language': 'en-US,en;q=0.5'
+      }
+    }, session);
+
+    const responseTime = Date.now() - startTime;
+    let isInternal = false;
+    try {
+      isInternal = Boolean(baseHost) && new URL(url).hostname === baseHost;
+    } catch {
+      isInternal = false;
+    }
+
+    const redirectIssues = findRedirectIssues(redirectChain, { loop, tooManyRedirects, isInternal, redirectChainLimit });
+
+    if (loop || tooManyRedirects) {
+      return {
+        status: loop ? 'REDIRECT_LOOP' : 'TOO_MANY_REDIRECTS',
+        statusText: loop ? 'Redirect loop' : `More than ${MAX_REDIRECT_HOPS} redirects`,
+        responseTime,
+        redirectCount: redirectChain.length,
+        redirectChain,
+        redirectIssues,
+        finalUrl
+      };
+    }
+
+    const contentLength = Number.parseInt(response.headers['content-length'], 10);
+
+    return {
+      status: response.status,
+      statusText: response.statusText,
+      responseTime,
+      redirectCount: redirectChain.length,
+      redirectChain,
+      redirectIssues,
+      finalUrl,
+      retryAfterMs: TRANSIENT_STATUSES.includes(response.status)
+        ? parseRetryAfter(response.headers['retry-after'])
+        : null,
+      checkMethod: method,
+      contentType: response.headers['content-type'] || null,
+      contentLength: Number.isNaN(contentLength) ? null : contentLength
+    };
+  } catch (error) {
+    const redirectChain = error.redirectChain || [];
+    const chainInfo = { redirectCount: redirectChain.length, redirectChain, redirectIssues: [] };
+
+    if (error.code === 'ENOTFOUND') {
+      return { status: 'DNS_ERROR', statusText: 'Domain not found', responseTime: 0, ...chainInfo };
+    }
+    if (error.code === 'ETIMEDOUT' || error.code === 'ECONNABORTED') {
+      return { status: 'TIMEOUT', statusText: 'Request timeout', responseTime: 10000, ...chainInfo };
+    }
+    if (error.code === 'ECONNREFUSED') {
+      return { status: 'CONNECTION_REFUSED', statusText: 'Connection refused', responseTime: 0, ...chainInfo };
+    }
+    if (error.code === 'ECONNRESET') {
+      return { status: 'CONNECTION_RESET', statusText: 'Connection reset', responseTime: 0, ...chainInfo };
+    }
+    if (isCertificateErrorCode(error.code)) {
+      return { status: 'TLS_ERROR', statusText: error.message, responseTime: 0, ...chainInfo };
+    }
+    if (error.response) {
+      return {
+        status: error.response.status,
+        statusText: error.response.statusText,
+        responseTime: 0,
+        ...chainInfo
+      };
+    }
+    return { status: 'ERROR', statusText: error.message, responseTime: 0, ...chainInfo };
+  }
+}
+
+// Check a link, retrying transient failures with exponential backoff (or the
+// server's Retry-After). Links that only pass after a retry are marked flaky.
+async function checkLinkWithRetries(url, browserScope = null, checkOptions = {}) {
+  const {
+    retries = DEFAULT_SCAN_OPTIONS.retries,
+    retryBaseDelayMs = DEFAULT_SCAN_OPTIONS.retryBaseDelayMs
+  } = checkOptions;
+
+  let attempts = 0;
+  let result;
+
+  while (true) {
+    attempts++;
+    result = await checkLinkStatus(url, browserScope, checkOptions);
+
+    if (attempts > retries || !TRANSIENT_STATUSES.includes(result.status)) break;
+
+    const delay = Math.min(result.retryAfterMs ?? retryBaseDelayMs * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+    console.log(`   🔁 ${result.status} on ${url} - retrying in ${delay}ms (attempt ${attempts + 1}/${retries + 1})`);
+    await new Promise(resolve => setTimeout(resolve, delay));
+  }
+
+  return {
+    ...result,
+    attempts,
+    flaky: attempts > 1 && isSuccessStatus(result.status)
+  };
+}
+
+// Check that a link's #fragment exists (by id or name) on the target page, if
+// that page was crawled. pageAnchors is keyed by the crawler's canonical page URLs.
+// Returns null when the anchor is fine or can't be checked.
+function findMissingAnchor(linkUrl, pageAnchors, normalizeUrl = url => url) {
+  let parsed;
+  try {
+    parsed = new URL(linkUrl);
+  } catch {
+    return null;
+  }
+
+  const rawFragment = parsed.hash.slice(1);
+  // Empty fragments, #top and hash-bang / SPA routes aren't element references
+  if (!rawFragment || rawFragment.startsWith('!') || rawFragment.startsWith('/')) return null;
+
+  let fragment;
+  try {
+    fragment = decodeURIComponent(rawFragment);
+  } catch {
+    fragment = rawFragment;
+  }
+  if (fragment.toLowerCase() === 'top') return null;
+
+  parsed.hash = '';
+  const targetPage = parsed.href;
+  const anchors = pageAnchors[normalizeUrl(targetPage)];
+  if (!anchors || anchors.includes(fragment)) return null;
+
+  // Ids are case-sensitive, so "#Pricing" vs id="pricing" is a common slip
+  const caseMatch = anchors.find(id => id.toLowerCase() === fragment.toLowerCase());
+
+  return {
+    fragment,
+    targetPage,
+    suggestedFix: caseMatch ? `${targetPage}#${encodeURIComponent(caseMatch)}` : null
+  };
+}
+
+// Fallback priority determination
+function determinePriorityFromStatus(status) {
+  if (status === 404 || status === 500 || status === 'ERROR' || status === 'TLS_ERROR') return 'Critical';
+  // Contact links are the CTAs that matter most - a typo in one loses the lead
+  if (status === 'INVALID_EMAIL' || status === 'NO_MAIL_SERVER' || status === 'INVALID_PHONE') return 'Critical';
+  if (status === 'LOCAL_PHONE') return 'Medium';
+  if (status === 403 || status === 401 || status === 'TIMEOUT' || status === 'CONNECTION_RESET') return 'High';
+  if (status >= 300 && status < 400) return 'Medium';
+  return 'Low';
+}
+
+// Get issue type from status
+function getIssueType(status) {
+  if (status === 404) return 'Broken Link (404)';
+  if (status === 403) return 'Access Forbidden (403)';
+  if (status === 401) return 'Unauthorized (401)';
+  if (status === 500 || status >= 500) return 'Server Error (500+)';
+  if (status === 'TIMEOUT') return 'Timeout Error';
+  if (status === 'DNS_ERROR') return 'DNS Error';
+  if (status === 'CONNECTION_REFUSED') return 'Connection Refused';
+  if (status === 'CONNECTION_RESET') return 'Connection Reset';
+  if (status === 429) return 'Rate Limited (429)';
+  if (status === 'REDIRECT_LOOP') return 'Redirect Loop';
+  if (status === 'TOO_MANY_REDIRECTS') return 'Redirect Chain Too Long';
+  if (status === 'TLS_ERROR') return 'TLS Certificate Error';
+  if (status === 'INVALID_EMAIL') return 'Invalid Email Link';
+  if (status === 'NO_MAIL_SERVER') return 'Email Domain Without Mail Server';
+  if (status === 'INVALID_PHONE') return 'Invalid Phone Link';
+  if (status === 'LOCAL_PHONE') return 'Phone Number Without Country Code';
+  if (status === 'ERROR') return 'Connection Error';
+  if (status === 304) return 'Not Modified (Cached)';
+  if (status >= 300 && status < 400) return 'Redirect';
+  return 'Unknown Issue';
+}
+
+// Calculate impact score
+function calculateImpactScore(linkData, appearanceCount) {
+  let score = 50;
+
+  if (linkData.status === 404) score += 30;
+  else if (linkData.status >= 500) score += 35;
+  else if (linkData.status === 403) score += 20;
+  else if (linkData.status >= 300 && linkData.status < 400) score += 10;
+
+  if (linkData.context.toLowerCase().includes('cta') ||
+      linkData.context.toLowerCase().includes('button')) score += 20;
+  if (linkData.context.toLowerCase().includes('hero') ||
+      linkData.context.toLowerCase().includes('header')) score += 15;
+  if (linkData.context.toLowerCase().includes('navigation')) score += 10;
+
+  score += Math.min(appearanceCount * 5, 20);
+
+  return Math.min(Math.max(score, 0), 100);
+}
+
+// Take screenshot of page with error highlighted
+async function takeErrorScreenshot(pageUrl, linkText, linkUrl, browserScope) {
+  try {
+    console.log(`\n📸 SCREENSHOT ATTEMPT for "${linkText}"`);
+    console.log(`   Page: ${pageUrl}`);
+    console.log(`   Target URL: ${linkUrl}`);
+
+    return await browserScope.withPage(async page => {
+      await page.setCacheEnabled(false);
+      await page.setViewport({ width: 1920, height: 1080 });
+
+      try {
+        await page.goto(pageUrl, {
+          waitUntil: 'domcontentloaded',
+          timeout: 30000
+        });
+        console.log(`   ✅ Page loaded successfully`);
+      } catch (navError) {
+        console.log(`   ⚠️ Navigation timeout/error, continuing anyway: ${navError.message}`);
+      }
+
+      await new Promise(resolve => setTimeout(resolve, 1500));
+
+      const uniqueId = `broken-link-${Date.now()}`;
+      try {
+        await page.evaluate((id) => {
+          const existingStyles = document.querySelectorAll('[id^="broken-link-"]');
+          existingStyles.forEach(s => s.remove());
+
+          const existingHighlights = document.querySelectorAll('.broken-link-highlight');
+          existingHighlights.forEach(el => el.classList.remove('broken-link-highlight'));
+
+          const style = document.createElement('style');
+          style.id = id;
+          style.textContent = `
+            .broken-link-highlight {
+              outline: 6px solid #ff0000 !important;
+              outline-offset: 4px !important;
+              background-color: rgba(255, 0, 0, 0.3) !important;
+              position: relative !important;
+              box-shadow: 0 0 40px rgba(255, 0, 0, 1) !important;
+              z-index: 999998 !important;
+            }
+            .broken-link-highlight::before {
+              content: "❌ BROKEN LINK" !important;
+              display: block !important;
+              position: absolute !important;
+              top: -45px !important;
+              left: 0 !important;
+              background: #ff0000 !important;
+              color: #ffffff !important;
+              padding: 12px 20px !important;
+              font-size: 16px !important;
+              font-weight: bold !important;
+              font-family: Arial, sans-serif !important;
+              border-radius: 8px !important;
+              z-index: 999999 !important;
+              box-shadow: 0 4px 15px rgba(0,0,0,0.5) !important;
+              white-space: nowrap !important;
+            }
+          `;
+          document.head.appendChild(style);
+        }, uniqueId);
+      } catch (cssError) {
+        console.log(`   ⚠️ CSS injection warning: ${cssError.message}`);
+      }
+
+      const highlightResult = await page.evaluate((searchText, searchUrl) => {
+        try {
+          const allElements = Array.from(document.querySelectorAll('a, img[src], button, [role="button"]'));
+          let found = false;
+          let usedStrategy = 'none';
+          let matchedElement = null;
+
+          for (const el of allElements) {
+            const elementText = (el.innerText || el.alt || el.textContent || '').trim();
+            if (elementText && elementText.toLowerCase() === searchText.toLowerCase()) {
+              el.classList.add('broken-link-highlight');
+              el.scrollIntoView({ behavior: 'auto', block: 'center' });
+              found = true;
+              usedStrategy = 'exact-text';
+              matchedElement = elementText;
+              break;
+            }
+          }
+
+          if (!found && searchText.length > 3) {
+            for (const el of allElements) {
+              const elementText = (el.innerText || el.alt || el.textContent || '').trim().toLowerCase();
+              const searchLower = searchText.toLowerCase();
+              if (elementText && elementText.includes(searchLower)) {
+                el.classList.add('broken-link-highlight');
+                el.scrollIntoView({ behavior: 'auto', block: 'center' });
+                found = true;
+                usedStrategy = 'partial-text';
+                matchedElement = elementText;
+                break;
+              }
+            }
+          }
+
+          if (!found) {
+            for (const el of allElements) {
+              const elementUrl = el.href || el.src || '';
+              if (elementUrl && searchUrl) {
+                const urlParts = searchUrl.split('?')[0];
+                if (elementUrl.includes(urlParts) || searchUrl.includes(elementUrl)) {
+                  el.classList.add('broken-link-highlight');
+                  el.scrollIntoView({ behavior: 'auto', block: 'center' });
+                  found = true;
+                  usedStrategy = 'url-match';
+                  matchedElement = elementUrl.substring(0, 50);
+                  break;
+                }
+              }
+            }
+          }
+
+          if (!found) {
+            const existingBanners = document.querySelectorAll('[id^="broken-link-banner"]');
+            existingBanners.forEach(b => b.remove());
+
+            const banner = document.createElement('div');
+            banner.id = `broken-link-banner-${Date.now()}`;
+            banner.style.cssText = `
+              position: fixed !important;
+              top: 20px !important;
+              left: 50% !important;
+              transform: translateX(-50%) !important;
+              background: #ff0000 !important;
+              color: white !important;
+              padding: 20px 30px !important;
+              border-radius: 10px !important;
+              font-family: Arial, sans-serif !important;
+              font-size: 18px !important;
+              font-weight: bold !important;
+              z-index: 999999 !important;
+              box-shadow: 0 5px 20px rgba(0,0,0,0.6) !important;
+              text-align: center !important;
+              max-width: 80% !important;
+            `;
+            banner.innerHTML = `❌ BROKEN LINK: "${searchText}"<br><span style="font-size:14px;font-weight:normal;margin-top:8px;display:block;">Link not visible on page (may be hidden or loaded dynamically)</span>`;
+            document.body.insertBefore(banner, document.body.firstChild);
+            found = true;
+            usedStrategy = 'banner';
+            matchedElement = 'banner-shown';
+          }
+
+          return {
+            success: found,
+            strategy: usedStrategy,
+            totalElements: allElements.length,
+            matchedText: matchedElement
+          };
+        } catch (err) {
+          return {
+            success: false,
+            strategy: 'error',
+            error: err.message
+          };
+        }
+      }, linkText, linkUrl);
+
+      console.log(`   ✅ Highlight result: ${JSON.stringify(highlightResult)}`);
+
+      await new Promise(resolve => setTimeout(resolve, 2000));
+
+      const screenshot = await page.screenshot({
+        encoding: 'base64',
+        fullPage: false,
+        type: 'png'
+      });
+
+      const sizeKB = Math.round(screenshot.length / 1024);
+      console.log(`   ✅ SUCCESS! Screenshot captured (${sizeKB} KB)\n`);
+
+      return screenshot;
+    });
+  } catch (error) {
+    console.log(`   ❌ FAILED: ${error.message}\n`);
+    return null;
+  }
+}
+
+// Crawl website and extract all links. The start URL is always crawled so its
+// links can be followed, but only pages inside the include/exclude scope are
+// reported and count towards maxPages. Pages come from browserScope (a
+// browserPool scope, opened here if not given); session adds auth headers
+// to the robots.txt and sitemap requests; affiliate links are never followed.
+async function crawlWebsite(domain, options = DEFAULT_SCAN_OPTIONS, onPageCrawled = null, {
+  session = null,
+  browserScope = null,
+  affiliates = createAffiliateMatcher()
+} = {}) {
+  const { maxPages, maxDepth } = options;
+  const isInScope = createScopeFilter(options);
+  const normalizeUrl = createUrlNormalizer(options);
+  // Link text only needs to tell destinations apart, so /a and /a/ count as one
+  const normalizeDestination = createUrlNormalizer({ ...options, trailingSlash: 'remove' });
+  // Pages are tracked by canonical URL; the queue is read from a moving head
+  // index and mirrored in a Set so enqueueing stays constant-time on big sites
+  const visited = new Set();
+  const queued = new Set();
+  const toVisit = [];
+  let queueHead = 0;
+  const crawledPages = [];
+  const allLinks = [];
+  const linkedUrls = new Set();
+  const blockedByRobots = [];
+  // Pages the browser couldn't load, as { url, error }
+  const failedPages = [];
+  // Element ids and anchor names per crawled page, for fragment checks
+  const pageAnchors = {};
+  // Where crawled pages ended up, for pages that redirected elsewhere
+  const finalUrls = {};
+  // Rendered title and text per crawled page, so soft-404 checks don't download it again
+  const pageContent = {};
+  // Link accessibility findings, one entry per crawled page that has any
+  const accessibility = [];
+  const baseDomain = new URL(domain).hostname;
+
+  const enqueue = (url, depth) => {
+    const key = normalizeUrl(url);
+    if (visited.has(key) || queued.has(key)) return;
+    queued.add(key);
+    toVisit.push({ url, key, depth });
+  };
+  enqueue(domain, 0);
+
+  const robots = (options.respectRobotsTxt || options.useSitemap)
+    ? await fetchRobotsPolicy(domain, session ? session.headersFor(domain) : {})
+    : null;
+  const obeyRobots = Boolean(robots && options.respectRobotsTxt);
+
+  let sitemap = null;
+  if (options.useSitemap) {
+    sitemap = await fetchSitemapUrls(domain, robots ? robots.sitemaps : [], url => (session ? session.headersFor(url) : {}));
+    sitemap.urls.forEach(({ url }) => {
+      if (isInScope(url)) enqueue(url, 0);
+    });
+    console.log(`🗺️  Seeded crawl queue with ${sitemap.urls.length} sitemap URLs`);
+  }
+
+  const scope = browserScope || openScope();
+  let lastNavigation = 0;
+
+  try {
+    while (queueHead < toVisit.length && crawledPages.length < maxPages) {
+      const { url: currentUrl, key: currentKey, depth } = toVisit[queueHead];
+      // Drop the entry so a long crawl doesn't hold on to the whole queue
+      toVisit[queueHead++] = null;
+
+      queued.delete(currentKey);
+      visited.add(currentKey);
+
+      if (obeyRobots && !robots.isAllowed(currentUrl)) {
+        console.log(`🤖 Disallowed by robots.txt: ${currentUrl}`);
+        blockedByRobots.push(currentUrl);
+        continue;
+      }
+
+      const inScope = isInScope(currentUrl);
+      if (inScope) crawledPages.push(currentUrl);
+
+      if (obeyRobots && robots.crawlDelay > 0) {
+        const wait = lastNavigation + robots.crawlDelay * 1000 - Date.now();
+        if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+      }
+      lastNavigation = Date.now();
+
+      console.log(`Crawling: ${currentUrl}`);
+
+      try {
+        await scope.withPage(async page => {
+          await page.goto(currentUrl, {
+            waitUntil: 'networkidle2',
+            timeout: 30000
+          });
+          if (page.url() !== currentUrl) finalUrls[currentUrl] = page.url();
+
+          pageAnchors[currentKey] = await page.evaluate(() => {
+            const names = [];
+            document.querySelectorAll('[id], a[name]').forEach(el => {
+              if (el.id) names.push(el.id);
+              if (el.tagName === 'A' && el.getAttribute('name')) names.push(el.getAttribute('name'));
+            });
+            return names;
+          });
+
+          if (options.detectSoft404) {
+            pageContent[currentKey] = await page.evaluate(() => {
+              const body = document.body ? document.body.cloneNode(true) : null;
+              if (body) body.querySelectorAll('script, style, noscript, template').forEach(el => el.remove());
+              return { title: document.title, text: body ? body.textContent : '' };
+            });
+          }
+
+          const links = await page.evaluate(() => {
+            const results = [];
+
+            const describeContext = (el) => {
+              let context = 'Unknown';
+              const parent = el.closest('header, nav, footer, main, section, aside, div');
+
+              if (parent) {
+                const classes = typeof parent.className === 'string' ? parent.className : '';
+                const id = parent.id || '';
+                context = `${parent.tagName.toLowerCase()}${id ? '#' + id : ''}${classes ? '.' + classes.split(' ')[0] : ''}`;
+              } else if (el.closest('head')) {
+                context = 'head';
+              }
+
+              if (el.classList && (el.classList.contains('btn') ||
+                  el.classList.contains('button') ||
+                  el.classList.contains('cta'))) {
+                context += ' - CTA button';
+              }
+              return context;
+            };
+
+            // Resolve relative URLs and drop inline data the checker would skip anyway.
+            // href keeps the value exactly as written, for the report.
+            const add = (rawUrl, text, type, context, base = document.baseURI) => {
+              if (!rawUrl || !rawUrl.trim()) return;
+              const href = rawUrl.trim();
+              let url;
+              try {
+                url = new URL(href, base).href;
+              } catch {
+                return;
+              }
+              if (url.startsWith('data:') || url.startsWith('blob:')) return;
+              results.push({ url, href, text, context, type });
+            };
+
+            // srcset candidates as the HTML spec splits them: a URL runs to the next
+            // whitespace (commas inside it are part of the URL unless they end it),
+            // then its descriptors run to the next comma outside parentheses
+            const srcsetUrls = (srcset) => {
+              const input = srcset || '';
+              const urls = [];
+              let pos = 0;
+              while (pos < input.length) {
+                while (pos < input.length && /[\s,]/.test(input[pos])) pos++;
+                const start = pos;
+                while (pos < input.length && !/\s/.test(input[pos])) pos++;
+                let url = input.slice(start, pos);
+                if (/,$/.test(url)) {
+                  url = url.replace(/,+$/, '');
+                } else {
+                  let depth = 0;
+                  while (pos < input.length && (input[pos] !== ',' || depth > 0)) {
+                    if (input[pos] === '(') depth++;
+                    if (input[pos] === ')') depth = Math.max(depth - 1, 0);
+                    pos++;
+                  }
+                }
+                if (url) urls.push(url);
+              }
+              return urls;
+            };
+
+            const cssUrls = (cssText) => {
+              const urls = [];
+              const pattern = /url\(\s*(['"]?)(.*?)\1\s*\)/g;
+              let match;
+              while ((match = pattern.exec(cssText)) !== null) {
+                if (match[2]) urls.push(match[2]);
+              }
+              return urls;
+            };
+
+            document.querySelectorAll('a[href]').forEach(el => {
+              add(el.getAttribute('href'), el.innerText.trim() || el.getAttribute('aria-label') || 'No text', 'link', describeContext(el));
+            });
+
+            document.querySelectorAll('img[src]').forEach(el => {
+              add(el.getAttribute('src'), el.alt || 'Image', 'image', describeContext(el));
+            });
+
+            document.querySelectorAll('img[srcset], picture source[srcset]').forEach(el => {
+              const img = el.tagName === 'IMG' ? el : el.parentElement.querySelector('img');
+              srcsetUrls(el.getAttribute('srcset')).forEach(url => {
+                add(url, `${(img && img.alt) || 'Image'} (srcset)`, 'srcset', describeContext(el));
+              });
+            });
+
+            document.querySelectorAll('video[src], audio[src], video source[src], audio source[src], track[src]').forEach(el => {
+              const media = el.closest('video, audio');
+              add(el.getAttribute('src'), `${media ? media.tagName.toLowerCase() : 'media'} source`, 'media', describeContext(el));
+            });
+
+            document.querySelectorAll('video[poster]').forEach(el => {
+              add(el.getAttribute('poster'), 'Video poster', 'media', describeContext(el));
+            });
+
+            document.querySelectorAll('iframe[src]').forEach(el => {
+              add(el.getAttribute('src'), el.title || 'Embedded frame', 'iframe', describeContext(el));
+            });
+
+            document.querySelectorAll('form[action]').forEach(el => {
+              const method = (el.getAttribute('method') || 'get').toUpperCase();
+              add(el.getAttribute('action'), `Form action (${method})`, 'form', describeContext(el));
+            });
+
+            // <link> elements by rel, since only some of them load anything into the page
+            const iconRels = ['icon', 'apple-touch-icon', 'apple-touch-icon-precomposed', 'mask-icon'];
+            const hintRels = ['preconnect', 'dns-prefetch', 'prefetch', 'prerender', 'preload'];
+            document.querySelectorAll('link[href]').forEach(el => {
+              const rel = (el.getAttribute('rel') || '').toLowerCase().split(/\s+/);
+              const as = (el.getAttribute('as') || '').toLowerCase();
+              const href = el.getAttribute('href');
+              if (rel.includes('canonical')) {
+                add(href, 'Canonical URL', 'canonical', 'head');
+              } else if (rel.includes('alternate') && el.hreflang) {
+                add(href, `hreflang ${el.hreflang}`, 'hreflang', 'head');
+              } else if (rel.includes('stylesheet')) {
+                add(href, 'Stylesheet', 'css', describeContext(el));
+              } else if (rel.includes('modulepreload') || (rel.includes('preload') && as === 'script')) {
+                add(href, 'Preloaded script', 'script', describeContext(el));
+              } else if (rel.includes('preload') && as === 'style') {
+                add(href, 'Preloaded stylesheet', 'css', describeContext(el));
+              } else if (rel.some(value => iconRels.includes(value))) {
+                add(href, 'Icon', 'icon', 'head');
+              } else if (rel.includes('manifest')) {
+                add(href, 'Web app manifest', 'manifest', 'head');
+              } else if (rel.some(value => hintRels.includes(value))) {
+                add(href, `Resource hint (${rel.find(value => hintRels.includes(value))})`, 'resource-hint', 'head');
+              } else {
+                // Feeds and other alternates, prev/next, amphtml, author...
+                add(href, `<link rel="${rel.join(' ')}">`, 'head-link', 'head');
+              }
+            });
+
+            document.querySelectorAll('script[src]').forEach(el => {
+              add(el.getAttribute('src'), 'Script', 'script', describeContext(el));
+            });
+
+            document.querySelectorAll('meta[http-equiv]').forEach(el => {
+              if (el.getAttribute('http-equiv').toLowerCase() !== 'refresh') return;
+              const match = (el.getAttribute('content') || '').match(/url\s*=\s*['"]?([^'";]+)/i);
+              if (match) add(match[1], 'Meta refresh redirect', 'meta-refresh', 'head');
+            });
+
+            const socialImages = {
+              'og:image': 'Open Graph image',
+              'og:image:url': 'Open Graph image',
+              'og:image:secure_url': 'Open Graph image',
+              'twitter:image': 'Twitter image',
+              'twitter:image:src': 'Twitter image'
+            };
+            document.querySelectorAll('meta[property], meta[name]').forEach(el => {
+              const key = (el.getAttribute('property') || el.getAttribute('name') || '').toLowerCase();
+              if (socialImages[key]) add(el.getAttribute('content'), socialImages[key], 'social-image', 'head');
+            });
+
+            // Every absolute URL in JSON-LD, except identifiers that are never fetched
+            const walkJsonLd = (value, key) => {
+              if (typeof value === 'string') {
+                if (/^https?:\/\//i.test(value) && key !== '@id' && key !== '@context') {
+                  add(value, `JSON-LD ${key || 'URL'}`, 'json-ld', 'structured data');
+                }
+              } else if (Array.isArray(value)) {
+                value.forEach(item => walkJsonLd(item, key));
+              } else if (value && typeof value === 'object') {
+                Object.entries(value).forEach(([childKey, child]) => walkJsonLd(child, childKey));
+              }
+            };
+            document.querySelectorAll('script[type="application/ld+json"]').forEach(el => {
+              try {
+                walkJsonLd(JSON.parse(el.textContent));
+              } catch {
+                // Invalid JSON-LD is a different problem - nothing to check here
+              }
+            });
+
+            // url(...) in stylesheets (including <style> blocks and @imports) and inline styles.
+            // Imported sheets are walked with their own URL as the base, each sheet once.
+            const walkedSheets = new Set();
+            const walkRules = (rules, base, label) => {
+              Array.from(rules).forEach(rule => {
+                if (rule.styleSheet !== undefined) {
+                  add(rule.href, 'Imported stylesheet', 'css', label, base);
+                  const imported = rule.styleSheet;
+                  if (!imported || walkedSheets.has(imported)) return;
+                  walkedSheets.add(imported);
+                  let importedBase;
+                  try {
+                    importedBase = imported.href || new URL(rule.href, base).href;
+                    walkRules(imported.cssRules, importedBase, `stylesheet ${importedBase}`);
+                  } catch {
+                    // Cross-origin or unresolvable import the browser won't let us read
+                  }
+                } else if (rule.cssRules) {
+                  walkRules(rule.cssRules, base, label);
+                } else {
+                  cssUrls(rule.cssText).forEach(url => add(url, 'CSS background/asset', 'css-url', label, base));
+                }
+              });
+            };
+            Array.from(document.styleSheets).forEach(sheet => {
+              const base = sheet.href || document.baseURI;
+              const label = sheet.href ? `stylesheet ${sheet.href}` : 'style block';
+              try {
+                walkRules(sheet.cssRules, base, label);
+              } catch {
+                // Cross-origin stylesheet the browser won't let us read
+              }
+            });
+            document.querySelectorAll('[style*="url"]').forEach(el => {
+              cssUrls(el.getAttribute('style')).forEach(url => {
+                add(url, 'Inline style background', 'css-url', describeContext(el));
+              });
+            });
+
+            return results;
+          });
+
+          if (inScope) {
+            allLinks.push(...links.map(link => ({
+              ...link,
+              pageUrl: currentUrl
+            })));
+          }
+
+          if (inScope && options.auditAccessibility) {
+            const anchors = await page.evaluate(() => {
+              const isHidden = (el) => el.getAttribute('aria-hidden') === 'true' || el.hidden;
+
+              // Approximation of the accessible name computation: aria-labelledby,
+              // aria-label, then text and image alt of the content, then title
+              const nameFrom = (node) => {
+                if (node.nodeType === Node.TEXT_NODE) return node.textContent;
+                if (node.nodeType !== Node.ELEMENT_NODE || isHidden(node)) return '';
+                if (node.getAttribute('aria-label')) return node.getAttribute('aria-label');
+                if (node.tagName === 'IMG') return node.getAttribute('alt') || '';
+                if (node.tagName.toLowerCase() === 'svg') {
+                  const title = node.querySelector('title');
+                  return title ? title.textContent : '';
+                }
+                return Array.from(node.childNodes).map(nameFrom).join(' ');
+              };
+
+              return Array.from(document.querySelectorAll('a[href]'))
+                .filter(el => !el.closest('[aria-hidden="true"]'))
+                .map(el => {
+                  const labelledBy = (el.getAttribute('aria-labelledby') || '')
+                    .split(/\s+/)
+                    .map(id => id && document.getElementById(id))
+                    .filter(Boolean)
+                    .map(nameFrom)
+                    .join(' ');
+                  const name = [labelledBy, el.getAttribute('aria-label'), Array.from(el.childNodes).map(nameFrom).join(' '), el.title]
+                    .map(value => (value || '').replace(/\s+/g, ' ').trim())
+                    .find(Boolean) || '';
+                  const images = Array.from(el.querySelectorAll('img'));
+
+                  return {
+                    url: el.href,
+                    href: el.getAttribute('href'),
+                    name,
+                    images: images.length,
+                    imagesWithoutAlt: images.filter(img => !img.hasAttribute('alt')).length,
+                    target: el.getAttribute('target'),
+                    rel: el.getAttribute('rel'),
+                    title: el.title
+                  };
+                });
+            });
+
+            const findings = auditPageLinks(currentUrl, anchors, normalizeDestination);
+            if (findings.length > 0) accessibility.push({ pageUrl: currentUrl, findings });
+          }
+
+          const internalLinks = links
+            .filter(link => {
+              if (link.type !== 'link') return false;
+              if (affiliates.match(link.url)) return false;
+              try {
+                const linkHostname = new URL(link.url).hostname;
+                return linkHostname === baseDomain;
+              } catch {
+                return false;
+              }
+            })
+            .map(link => link.url);
+
+          internalLinks.forEach(link => linkedUrls.add(normalizeUrl(link)));
+
+          const canGoDeeper = maxDepth === null || depth < maxDepth;
+          internalLinks.filter(link => canGoDeeper && isInScope(link)).forEach(link => enqueue(link, depth + 1));
+        });
+      } catch (error) {
+        console.error(`Error crawling ${currentUrl}:`, error.message);
+        failedPages.push({ url: currentUrl, error: error.message });
+      }
+
+      if (onPageCrawled) {
+        onPageCrawled(currentUrl, crawledPages.length);
+      }
+    }
+  } finally {
+    if (!browserScope) await scope.close();
+  }
+
+  return {
+    pages: crawledPages,
+    failedPages,
+    links: allLinks,
+    anchors: pageAnchors,
+    finalUrls,
+    pageContent,
+    accessibility,
+    robots: robots && {
+      url: robots.url,
+      found: robots.found,
+      respected: obeyRobots,
+      crawlDelay: robots.crawlDelay,
+      blockedPages: blockedByRobots
+    },
+    sitemap: sitemap && {
+      sitemaps: sitemap.sitemaps,
+      urls: sitemap.urls,
+      notLinkedUrls: sitemap.urls
+        .map(entry => entry.url)
+        .filter(url => normalizeUrl(url) !== normalizeUrl(domain) && !linkedUrls.has(normalizeUrl(url)))
+    }
+  };
+}
+
+// Drop links the scan options exclude from checking
+function filterLinksForScan(links, domain, options) {
+  const baseDomain = new URL(domain).hostname;
+  const excludes = options.excludePatterns.map(compilePattern);
+
+  return links.filter(link => {
+    if (!options.linkTypes.includes(link.type)) return false;
+    if (excludes.some(matches => matches(link.url))) return false;
+
+    if (!options.checkExternal) {
+      try {
+        const parsed = new URL(link.url);
+        const isHttp = parsed.protocol === 'http:' || parsed.protocol === 'https:';
+        if (isHttp && parsed.hostname !== baseDomain) return false;
+      } catch {
+        return true;
+      }
+    }
+
+    return true;
+  });
+}
+
+// Run the full crawl, link check and screenshot pipeline for a domain
+// auth (from normalizeAuth) is kept out of options so it never reaches stored
+// scans; the session built from it is shared by every request the scan makes.
+async function runScan(domain, options = DEFAULT_SCAN_OPTIONS, onProgress = () => {}, auth = null) {
+  console.log(`\n${'='.repeat(60)}`);
+  console.log(`🚀 Starting scan for: ${domain}`);
+  console.log(`${'='.repeat(60)}\n`);
+
+  let browserScope = null;
+
+  try {
+    onProgress({ phase: 'crawling', currentUrl: domain });
+
+    const session = auth ? await createAuthSession(domain, auth) : null;
+    // Crawling, affiliate checks and screenshots all share pages from the browser pool
+    browserScope = openScope({ preparePage: session ? session.preparePage : null });
+    const affiliates = createAffiliateMatcher(await getAffiliateConfig());
+
+    const crawl = await crawlWebsite(domain, options, (pageUrl, pagesCrawled) => {
+      onProgress({ phase: 'crawling', pagesCrawled, currentUrl: pageUrl });
+    }, { session, browserScope, affiliates });
+    const pages = crawl.pages;
+    const scannedLinks = filterLinksForScan(crawl.links, domain, options);
+
+    // Sitemap entries are checked like links so broken ones show up in the report -
+    // only those in the scan's scope, and no more than sitemapCheckLimit of them
+    let uncheckedSitemapUrls = 0;
+    let checkedSitemapEntries = [];
+    if (crawl.sitemap) {
+      const isInScope = createScopeFilter(options);
+      const inScopeEntries = crawl.sitemap.urls.filter(entry => isInScope(entry.url));
+      checkedSitemapEntries = inScopeEntries.slice(0, options.sitemapCheckLimit);
+      uncheckedSitemapUrls = inScopeEntries.length - checkedSitemapEntries.length;
+      if (uncheckedSitemapUrls > 0) {
+        console.log(`🗺️  Checking ${checkedSitemapEntries.length} of ${inScopeEntries.length} sitemap URLs (sitemapCheckLimit)`);
+      }
+      scannedLinks.push(...checkedSitemapEntries.map(entry => ({
+        url: entry.url,
+        text: 'Sitemap entry',
+        context: 'sitemap.xml',
+        type: 'sitemap',
+        pageUrl: entry.sitemapUrl
+      })));
+    }
+
+    // Links matching an ignore rule are dropped before any request is made
+    const rules = createRuleMatcher(await listRules());
+    const links = scannedLinks.filter(link => !rules.match(link.url).some(rule => rule.action === 'ignore'));
+    const ignoredLinks = scannedLinks.length - links.length;
+    console.log(`\n✅ Crawled ${pages.length} pages, found ${crawl.links.length} links ` +
+      `(${links.length} to check, ${ignoredLinks} ignored by rules)\n`);
+
+    // Without any links there's no health score to give, so the scan fails
+    // instead of being saved as a completed scan scoring NaN
+    if (links.length === 0) {
+      const startPageFailure = crawl.failedPages.find(page => page.url === domain);
+      throw new Error(startPageFailure
+        ? `The start page could not be loaded: ${startPageFailure.error}`
+        : `No links to check were found on ${domain}`);
+    }
+
+    // Links are grouped by canonical URL, so each target is requested once.
+    // Links that differ by #fragment are still reported separately since each
+    // fragment is checked against the target page. /docs and /docs/ can be
+    // different resources, so the trailingSlash policy only applies to the
+    // crawl queue (and looking up crawled pages), never to link checks.
+    const normalizeUrl = createUrlNormalizer({ ...options, trailingSlash: 'keep' });
+    const normalizePageUrl = createUrlNormalizer(options);
+    const baseHost = new URL(domain).hostname;
+    const linkAppearances = new Map();
+    // Every page each link appears on, for the report (pageUrl is the first)
+    const linkPages = new Map();
+    const linksByKey = new Map();
+    const targetsByKey = new Map();
+    // Mixed content depends on the page a link appears on, so it's collected per appearance
+    const mixedContentByKey = new Map();
+    const httpsCandidates = new Set();
+    links.forEach(link => {
+      const withoutFragment = link.url.split('#')[0];
+      link.canonicalUrl = normalizeUrl(withoutFragment);
+      link.key = link.canonicalUrl + link.url.slice(withoutFragment.length);
+      linkAppearances.set(link.key, (linkAppearances.get(link.key) || 0) + 1);
+      if (!linkPages.has(link.key)) linkPages.set(link.key, new Set());
+      linkPages.get(link.key).add(link.pageUrl);
+      if (!linksByKey.has(link.key)) linksByKey.set(link.key, link);
+      if (!targetsByKey.has(link.canonicalUrl)) targetsByKey.set(link.canonicalUrl, link);
+
+      // An http:// page that redirects to https:// is an HTTPS page
+      const kind = classifyMixedContent(crawl.finalUrls[link.pageUrl] || link.pageUrl, link.url, link.type) ||
+        (isInsecureOutboundLink(link.url, link.type, baseHost) ? 'insecure-link' : null);
+      if (!kind) return;
+      const mixedContent = mixedContentByKey.get(link.key);
+      if (!mixedContent) {
+        mixedContentByKey.set(link.key, { kind, linkType: link.type, pages: [link.pageUrl] });
+      } else {
+        if (MIXED_CONTENT_KINDS.indexOf(kind) < MIXED_CONTENT_KINDS.indexOf(mixedContent.kind)) {
+          mixedContent.kind = kind;
+          mixedContent.linkType = link.type;
+        }
+        if (!mixedContent.pages.includes(link.pageUrl)) mixedContent.pages.push(link.pageUrl);
+      }
+      httpsCandidates.add(link.canonicalUrl);
+    });
+
+    const uniqueLinks = Array.from(linksByKey.values());
+    const checkTargets = Array.from(targetsByKey.values());
+
+    const results = [];
+
+    console.log(`🔍 Checking ${checkTargets.length} unique links ` +
+      `(concurrency ${options.concurrency}, ${options.perHostConcurrency} per host)...\n`);
+    onProgress({
+      phase: 'checking',
+      pagesCrawled: pages.length,
+      linksChecked: 0,
+      totalLinks: checkTargets.length,
+      currentUrl: null
+    });
+
+    const soft404Detector = options.detectSoft404
+      ? createSoft404Detector(url => (session ? session.headersFor(url) : {}), { probeHost: baseHost })
+      : null;
+
+    const isExistenceOnly = url => rules.match(url).some(rule => rule.action === 'existence-only');
+    const certificateInspector = createCertificateInspector({ warningDays: options.certExpiryWarningDays });
+    const contacts = createContactChecker(options);
+
+    const statusInfos = await runCheckPool(
+      checkTargets,
+      async link => {
+        // Existence-only links skip the affiliate, soft-404 and other content checks
+        const existenceOnly = isExistenceOnly(link.url);
+        const statusInfo = await checkLinkWithRetries(link.url, browserScope, {
+          baseHost,
+          redirectChainLimit: options.redirectChainLimit,
+          retries: options.retries,
+          retryBaseDelayMs: options.retryBaseDelayMs,
+          session,
+          affiliates: existenceOnly ? null : affiliates,
+          contacts
+        });
+
+        // Only HTML pages that answered 2xx can be "not found" templates
+        if (soft404Detector && !existenceOnly && isSuccessStatus(statusInfo.status) && /html/i.test(statusInfo.contentType || '')) {
+          const renderedPage = crawl.pageContent[normalizePageUrl(link.canonicalUrl)] || null;
+          statusInfo.soft404 = await soft404Detector.detect(link.url, statusInfo.finalUrl || link.url, renderedPage);
+        }
+
+        // Certificates of every HTTPS host on the way, starting with the link's own
+        const hopUrls = [link.url, ...(statusInfo.redirectChain || []).map(hop => hop.location)];
+        statusInfo.certificates = (await Promise.all(hopUrls.map(url => certificateInspector.inspect(url)))).filter(Boolean);
+
+        // http:// mixed content and outbound links: does the https:// version work?
+        // One that redirects back to http:// doesn't count.
+        if (httpsCandidates.has(link.canonicalUrl)) {
+          const httpsInfo = await checkLinkStatus(toHttpsUrl(link.url), null, { baseHost, session });
+          statusInfo.httpsWorks = isSuccessStatus(httpsInfo.status) && String(httpsInfo.finalUrl).startsWith('https:');
+        }
+
+        return statusInfo;
+      },
+      {
+        concurrency: options.concurrency,
+        perHostConcurrency: options.perHostConcurrency,
+        perHostDelayMs: options.perHostDelayMs,
+        onItemDone: (link, statusInfo, checked) => {
+          console.log(`[${checked}/${checkTargets.length}] ${statusInfo.status} ${link.url.substring(0, 80)}`);
+          onProgress({ linksChecked: checked, currentUrl: link.url });
+        }
+      }
+    );
+
+    // Analysis and screenshots run in link order so results stay deterministic
+    onProgress({ phase: 'analyzing', currentUrl: null });
+
+    const statusByTarget = new Map(checkTargets.map((link, index) => [link.canonicalUrl, statusInfos[index]]));
+
+    // Sitemap URLs that answered 4xx/5xx or couldn't be fetched at all, whichever
+    // page the check was reported under. Statuses accepted by a rule don't count.
+    const sitemapErrors = [];
+    checkedSitemapEntries.forEach(entry => {
+      const statusInfo = statusByTarget.get(normalizeUrl(entry.url.split('#')[0]));
+      if (!statusInfo || statusInfo.skip) return;
+      const { status } = statusInfo;
+      const failed = typeof status === 'number' ? status >= 400 : !isSuccessStatus(status);
+      const accepted = rules.match(entry.url).some(rule => rule.action === 'ok-status' && rule.statuses.includes(status));
+      if (failed && !accepted) {
+        sitemapErrors.push({ url: entry.url, sitemapUrl: entry.sitemapUrl, status, statusText: statusInfo.statusText });
+      }
+    });
+
+    let acceptedLinks = 0;
+    const warnedCertificateHosts = new Set();
+
+    for (const link of uniqueLinks) {
+      const statusInfo = statusByTarget.get(link.canonicalUrl);
+
+      if (statusInfo.skip) {
+        continue;
+      }
+
+      const appearanceCount = linkAppearances.get(link.key);
+
+      // ok-status rules only count as matched when the link returned one of their statuses
+      const linkRules = rules.match(link.url)
+        .filter(rule => rule.action !== 'ok-status' || rule.statuses.includes(statusInfo.status));
+      const okStatusRule = linkRules.find(rule => rule.action === 'ok-status');
+      const overrideRule = linkRules.find(rule => rule.action === 'override');
+
+      if (okStatusRule) {
+        console.log(`   ℹ️ ${statusInfo.status} accepted by rule "${okStatusRule.note || okStatusRule.id}": ${link.url}\n`);
+        acceptedLinks++;
+        continue;
+      }
+
+      // Any HTTP answer other than 404/410 means the target exists
+      if (linkRules.some(rule => rule.action === 'existence-only') &&
+          typeof statusInfo.status === 'number' && statusInfo.status !== 404 && statusInfo.status !== 410) {
+        continue;
+      }
+
+      const soft404 = statusInfo.soft404 || null;
+      const affiliateIssue = statusInfo.affiliate?.issue || null;
+      const certificates = statusInfo.certificates || [];
+      // A request that failed on a host with a bad certificate is reported as the certificate problem
+      const brokenCertificate = (statusInfo.status === 'TLS_ERROR' || statusInfo.status === 'ERROR')
+        ? certificates.find(cert => BROKEN_CERTIFICATE_STATUSES.includes(cert.status))
+        : null;
+
+      const missingAnchor = isSuccessStatus(statusInfo.status) && !soft404 && !affiliateIssue
+        ? findMissingAnchor(link.url, crawl.anchors, normalizePageUrl)
+        : null;
+
+      const mixedContent = mixedContentByKey.has(link.key)
+        ? { ...mixedContentByKey.get(link.key), httpsUrl: toHttpsUrl(link.url), httpsWorks: Boolean(statusInfo.httpsWorks) }
+        : null;
+      const mixedContentFinding = describeMixedContentIssue(mixedContent);
+      // Broken http:// resources are reported as broken; the result still carries the mixed content details
+      const mixedContentIssue = isSuccessStatus(statusInfo.status) && !soft404 && !affiliateIssue && !missingAnchor
+        ? mixedContentFinding
+        : null;
+
+      const redirectStatus = statusInfo.status === 'REDIRECT_LOOP' || statusInfo.status === 'TOO_MANY_REDIRECTS';
+      const redirectIssue = ((isSuccessStatus(statusInfo.status) && !soft404 && !affiliateIssue) || redirectStatus)
+        ? describeRedirectIssue(statusInfo, options.redirectChainLimit)
+        : null;
+
+      let aiAnalysis = null;
+      const needsAnalysis = !soft404 && !affiliateIssue && !missingAnchor && !mixedContentIssue && !redirectIssue && (
+        statusInfo.status !== 200 ||
+        statusInfo.redirectCount > 0 ||
+        link.context.toLowerCase().includes('cta') ||
+        link.context.toLowerCase().includes('button'));
+
+      if (needsAnalysis) {
+        aiAnalysis = await analyzeWithAI({
+          linkText: link.text,
+          linkUrl: link.url,
+          context: link.context,
+          status: statusInfo.status
+        });
+      }
+
+      const impactScore = calculateImpactScore(
+        { ...link, status: statusInfo.status },
+        appearanceCount
+      );
+
+      const isActualIssue = (
+        !isSuccessStatus(statusInfo.status) &&
+        !statusInfo.treatAsWorking &&
+        statusInfo.status !== 200 &&
+        !(typeof statusInfo.status === 'number' &&
+          statusInfo.status >= 300 &&
+          statusInfo.status < 400)
+      );
+
+      if (statusInfo.status === 403 && statusInfo.treatAsWorking && !affiliateIssue) {
+        console.log(`   ℹ️ Skipping 403 on affiliate landing page (anti-bot protection): ${link.url}\n`);
+        continue;
+      }
+
+      if (statusInfo.status === 405 && link.type === 'form') {
+        console.log(`   ℹ️ Skipping 405 on form action (endpoint only accepts POST): ${link.url}\n`);
+        continue;
+      }
+
+      // A link that only passed after a retry is reported on its own, apart from hard failures
+      const flakyOnly = statusInfo.flaky && !soft404 && !affiliateIssue && !missingAnchor && !mixedContentIssue && !redirectIssue &&
+        !(aiAnalysis && aiAnalysis.issueType !== 'No Issue');
+
+      // Expiring certificates are reported once per host, on a link that has no other issue
+      const hasOtherIssue = isActualIssue || soft404 || affiliateIssue || missingAnchor || mixedContentIssue || redirectIssue ||
+        statusInfo.flaky || (aiAnalysis && aiAnalysis.issueType !== 'No Issue');
+      const expiringCertificate = !hasOtherIssue
+        ? certificates.find(cert => cert.status === 'expiring-soon' && !warnedCertificateHosts.has(cert.host))
+        : null;
+      if (expiringCertificate) warnedCertificateHosts.add(expiringCertificate.host);
+
+      const certificate = brokenCertificate || expiringCertificate;
+      const certificateIssue = describeCertificateIssue(certificate);
+
+      if (isActualIssue || certificateIssue || soft404 || affiliateIssue || missingAnchor || mixedContentIssue || redirectIssue ||
+          statusInfo.flaky || (aiAnalysis && aiAnalysis.issueType !== 'No Issue')) {
+        let friendlyMessage = '';
+
+        if (certificateIssue) {
+          friendlyMessage = certificateIssue.message;
+        } else if (soft404) {
+          friendlyMessage = `Looks like a "page not found" page served with status ${statusInfo.status} ` +
+            `(${Math.round(soft404.confidence * 100)}% confidence: ${soft404.reasons.join('; ')}).`;
+        } else if (affiliateIssue) {
+          friendlyMessage = affiliateIssue.message;
+        } else if (missingAnchor) {
+          friendlyMessage = `Anchor "#${missingAnchor.fragment}" not found on ${missingAnchor.targetPage}. ` +
+            `The page loads, but the link won't jump to the intended section.`;
+        } else if (mixedContentIssue) {
+          friendlyMessage = mixedContentIssue.message;
+        } else if (redirectIssue) {
+          friendlyMessage = redirectIssue.message;
+        } else if (flakyOnly) {
+          friendlyMessage = `Works, but only responded after ${statusInfo.attempts} attempts. ` +
+            `The server may be overloaded or rate limiting.`;
+        } else if (statusInfo.status === 404) {
+          friendlyMessage = `Page not found (404). This link is broken and leads nowhere.`;
+        } else if (statusInfo.status === 403) {
+          friendlyMessage = `Access forbidden (403). The server is blocking access to this page.`;
+        } else if (statusInfo.status === 500) {
+          friendlyMessage = `Server error (500). The destination server has internal problems.`;
+        } else if (statusInfo.status === 'TIMEOUT') {
+          friendlyMessage = `Request timeout. The page took too long to respond.`;
+        } else if (statusInfo.status === 'DNS_ERROR') {
+          friendlyMessage = `Domain not found. The website address doesn't exist.`;
+        } else if (statusInfo.status === 'CONNECTION_REFUSED') {
+          friendlyMessage = `Connection refused. The server is not accepting connections.`;
+        } else if (statusInfo.status === 'CONNECTION_RESET') {
+          friendlyMessage = `Connection reset. The server dropped the connection on every attempt.`;
+        } else if (statusInfo.status === 429) {
+          friendlyMessage = `Rate limited (429). The server kept refusing requests after ${statusInfo.attempts} attempts.`;
+        } else if (statusInfo.status === 'ERROR') {
+          friendlyMessage = `Connection error: ${statusInfo.statusText}`;
+        } else if (statusInfo.status === 'INVALID_EMAIL' || statusInfo.status === 'NO_MAIL_SERVER') {
+          friendlyMessage = `Email link won't reach anyone: ${statusInfo.statusText}.`;
+        } else if (statusInfo.status === 'INVALID_PHONE') {
+          friendlyMessage = `Phone link can't be dialled: ${statusInfo.statusText}.`;
+        } else if (statusInfo.status === 'LOCAL_PHONE') {
+          friendlyMessage = `${statusInfo.statusText}. Use the +country code format, or set a default phone region to validate local numbers.`;
+        } else if (statusInfo.redirectCount > 0 && statusInfo.status >= 300 && statusInfo.status < 400) {
+          friendlyMessage = `Working but has ${statusInfo.redirectCount} redirect(s) which may slow page load.`;
+        } else {
+          friendlyMessage = aiAnalysis?.analysis || `Link returned ${statusInfo.status} status`;
+        }
+
+        if (statusInfo.affiliate) {
+          friendlyMessage += ` [${statusInfo.affiliate.network} link - followed to ${statusInfo.affiliate.landingUrl || 'no landing page'}]`;
+        } else if (statusInfo.checkedWithBrowser) {
+          friendlyMessage += ` (Verified with browser)`;
+        }
+
+        let screenshot = null;
+        const shouldTakeScreenshot = (
+          link.type !== 'sitemap' &&
+          (statusInfo.status === 404 ||
+           statusInfo.status === 500 ||
+           statusInfo.status === 'ERROR' ||
+           statusInfo.status === 'DNS_ERROR' ||
+           statusInfo.status === 'TIMEOUT' ||
+           (soft404 && soft404.confidence >= SOFT_404_CRITICAL_CONFIDENCE)) &&
+          !statusInfo.treatAsWorking
+        );
+
+        if (shouldTakeScreenshot) {
+          console.log(`   🔍 Taking screenshot for ${statusInfo.status} error on: ${link.pageUrl}`);
+          screenshot = await takeErrorScreenshot(link.pageUrl, link.text, link.url, browserScope);
+
+          if (screenshot) {
+            console.log(`   ✅ Screenshot captured successfully`);
+          } else {
+            console.log(`   ❌ Screenshot capture failed`);
+          }
+        }
+
+        console.log(`   ❌ Issue found: ${statusInfo.status} ${link.url}\n`);
+
+        results.push({
+          id: results.length + 1,
+          pageUrl: link.pageUrl,
+          pages: Array.from(linkPages.get(link.key)),
+          linkText: link.text,
+          linkUrl: link.url,
+          linkHref: link.href || link.url,
+          canonicalUrl: link.canonicalUrl,
+          status: statusInfo.status,
+          statusText: statusInfo.statusText,
+          responseTime: statusInfo.responseTime,
+          redirectCount: statusInfo.redirectCount || 0,
+          redirectChain: statusInfo.redirectChain || [],
+          redirectIssues: statusInfo.redirectIssues || [],
+          finalUrl: statusInfo.finalUrl || link.url,
+          contentType: statusInfo.contentType || null,
+          contentLength: statusInfo.contentLength ?? null,
+          attempts: statusInfo.attempts || 1,
+          flaky: Boolean(statusInfo.flaky),
+          soft404Confidence: soft404 ? soft404.confidence : null,
+          affiliate: statusInfo.affiliate || null,
+          certificate: certificate || certificates[0] || null,
+          mixedContent: mixedContentFinding ? mixedContent : null,
+          contact: statusInfo.contact || null,
+          priority: overrideRule?.priority || (
+            certificateIssue ? certificateIssue.priority
+              : soft404 ? (soft404.confidence >= SOFT_404_CRITICAL_CONFIDENCE ? 'Critical' : 'High')
+              : affiliateIssue ? affiliateIssue.priority
+              : missingAnchor ? 'Medium'
+              : mixedContentIssue ? mixedContentIssue.priority
+              : redirectIssue ? redirectIssue.priority
+              : flakyOnly ? 'Low'
+              : (aiAnalysis?.priority || determinePriorityFromStatus(statusInfo.status))),
+          type: overrideRule?.type || (
+            certificateIssue ? certificateIssue.type
+              : soft404 ? 'Soft 404'
+              : affiliateIssue ? affiliateIssue.type
+              : missingAnchor ? 'Missing Anchor'
+              : mixedContentIssue ? mixedContentIssue.type
+              : redirectIssue ? redirectIssue.type
+              : flakyOnly ? FLAKY_LINK_TYPE
+              : (aiAnalysis?.issueType || getIssueType(statusInfo.status))),
+          matchedRules: linkRules.map(describeRule),
+          context: link.context,
+          aiAnalysis: friendlyMessage,
+          suggestedFix: missingAnchor?.suggestedFix || mixedContentIssue?.suggestedFix || redirectIssue?.suggestedFix || aiAnalysis?.suggestedFix || null,
+          analysisSource: aiAnalysis ? 'ai' : 'rules',
+          aiProvider: aiAnalysis ? `${aiAnalysis.provider}/${aiAnalysis.model}` : null,
+          impactScore,
+          appearancesCount: appearanceCount,
+          linkType: link.type,
+          screenshot: screenshot
+        });
+      }
+
+      onProgress({ issuesFound: results.length });
+    }
+
+    // Flaky links work, so they don't count against the health score
+    const totalLinks = links.length;
+    const issueLinks = results.filter(r => r.type !== FLAKY_LINK_TYPE).length;
+    const healthScore = Math.round(((totalLinks - issueLinks) / totalLinks) * 100);
+
+    const stats = {
+      totalPages: pages.length,
+      failedPages: crawl.failedPages.length,
+      totalLinks: totalLinks,
+      brokenLinks: issueLinks,
+      flakyLinks: results.filter(r => r.flaky).length,
+      ignoredLinks,
+      acceptedLinks,
+      certificates: await certificateInspector.summarize(),
+      mixedContentIssues: results.filter(r => r.mixedContent).length,
+      accessibilityIssues: crawl.accessibility.reduce((count, page) => count + page.findings.length, 0),
+      criticalIssues: results.filter(r => r.priority === 'Critical').length,
+      highIssues: results.filter(r => r.priority === 'High').length,
+      avgImpactScore: results.length > 0
+        ? Math.round(results.reduce((acc, r) => acc + r.impactScore, 0) / results.length)
+        : 0
+    };
+
+    console.log(`\n${'='.repeat(60)}`);
+    console.log(`✅ SCAN COMPLETE`);
+    console.log(`${'='.repeat(60)}`);
+    console.log(`Health Score: ${healthScore}/100`);
+    console.log(`Total Links: ${totalLinks}`);
+    console.log(`Issues Found: ${issueLinks}`);
+    console.log(`Flaky Links: ${stats.flakyLinks}`);
+    console.log(`${'='.repeat(60)}\n`);
+
+    return {
+      healthScore,
+      stats,
+      results: results.sort((a, b) => {
+        const priorityOrder = { 'Critical': 0, 'High': 1, 'Medium': 2, 'Low': 3 };
+        return priorityOrder[a.priority] - priorityOrder[b.priority];
+      }),
+      pages,
+      failedPages: crawl.failedPages,
+      robots: crawl.robots,
+      accessibility: crawl.accessibility,
+      sitemap: crawl.sitemap && {
+        sitemaps: crawl.sitemap.sitemaps,
+        urlCount: crawl.sitemap.urls.length,
+        uncheckedUrlCount: uncheckedSitemapUrls,
+        errors: sitemapErrors,
+        notLinkedUrls: crawl.sitemap.notLinkedUrls
+      }
+    };
+  } finally {
+    if (browserScope) {
+      await browserScope.close();
+    }
+  }
+}
+
+module.exports = {
+  LINK_TYPES,
+  DEFAULT_SCAN_OPTIONS,
+  isValidUrl,
+  normalizeScanOptions,
+  checkLinkStatus,
+  checkLinkWithRetries,
+  findRedirectIssues,
+  describeRedirectIssue,
+  findMissingAnchor,
+  runScan
+};
@@ -0,0 +1,188 @@
+// backend/scheduler.js
+// Recurring scans: schedules are stored on disk and checked once a minute
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const cronParser = require('cron-parser');
+const { DATA_DIR, writeJsonAtomic } = require('./scanStore');
+
+const SCHEDULES_FILE = path.join(DATA_DIR, 'schedules.json');
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+// Presets are shorthands for cron expressions (server time)
+const SCHEDULE_PRESETS = {
+  hourly: '0 * * * *',
+  daily: '0 3 * * *',
+  weekly: '0 3 * * 1'
+};
+
+let schedules = [];
+// Shared by every caller, so concurrent first calls don't each reload the file
+let loading = null;
+let running = false;
+
+function cronFor(schedule) {
+  return SCHEDULE_PRESETS[schedule] || schedule;
+}
+
+// Next run time after `from` as an ISO string
+function computeNextRun(schedule, from = new Date()) {
+  return cronParser.parseExpression(cronFor(schedule), { currentDate: from }).next().toDate().toISOString();
+}
+
+// Check a preset name or cron expression, throwing a readable error
+function validateSchedule(schedule) {
+  if (typeof schedule !== 'string' || !schedule.trim()) {
+    throw new Error('schedule must be hourly, daily, weekly or a cron expression');
+  }
+
+  try {
+    computeNextRun(schedule.trim());
+  } catch (error) {
+    throw new Error(`Invalid cron expression "${schedule}": ${error.message}`);
+  }
+
+  return schedule.trim();
+}
+
+function loadSchedules() {
+  if (!loading) {
+    loading = fs.readFile(SCHEDULES_FILE, 'utf8')
+      .then(content => JSON.parse(content))
+      .catch(error => {
+        if (error.code !== 'ENOENT') {
+          loading = null;
+          throw error;
+        }
+        return [];
+      })
+      .then(loadedSchedules => {
+        schedules = loadedSchedules;
+      });
+  }
+  return loading.then(() => schedules);
+}
+
+// Writes are chained so overlapping API calls and scheduled runs can't race
+let schedulesWrite = Promise.resolve();
+
+function saveSchedules() {
+  schedulesWrite = schedulesWrite
+    .catch(() => {})
+    .then(() => writeJsonAtomic(SCHEDULES_FILE, schedules, 2));
+  return schedulesWrite;
+}
+
+// Schedules as the API shows them - sign-in details stay in the file
+function publicSchedule(entry) {
+  const { auth, ...rest } = entry;
+  return { ...rest, hasAuth: Boolean(auth) };
+}
+
+async function listSchedules() {
+  return (await loadSchedules()).map(publicSchedule);
+}
+
+// options and auth are stored as given and normalized each time the schedule
+// runs, so options added in later versions get their current defaults
+async function createSchedule({ domain, schedule, options = {}, auth = null }) {
+  await loadSchedules();
+
+  const entry = {
+    id: crypto.randomUUID(),
+    domain,
+    schedule: validateSchedule(schedule),
+    options,
+    auth,
+    paused: false,
+    createdAt: new Date().toISOString(),
+    nextRunAt: computeNextRun(schedule.trim()),
+    lastRunAt: null,
+    lastScanId: null,
+    lastStatus: null,
+    lastError: null
+  };
+
+  schedules.push(entry);
+  await saveSchedules();
+  return publicSchedule(entry);
+}
+
+// Pause or resume a schedule; returns null if it doesn't exist
+async function setSchedulePaused(id, paused) {
+  await loadSchedules();
+  const entry = schedules.find(s => s.id === id);
+  if (!entry) return null;
+
+  entry.paused = paused;
+  if (!paused) entry.nextRunAt = computeNextRun(entry.schedule);
+
+  await saveSchedules();
+  return publicSchedule(entry);
+}
+
+async function deleteSchedule(id) {
+  await loadSchedules();
+  const before = schedules.length;
+  schedules = schedules.filter(s => s.id !== id);
+  if (schedules.length === before) return false;
+
+  await saveSchedules();
+  return true;
+}
+
+// Run every due schedule, one scan at a time. Schedules missed while the
+// server was down are due on the first check after start-up.
+async function runDueSchedules(launchScan) {
+  if (running) return;
+  running = true;
+
+  try {
+    await loadSchedules();
+    const now = new Date().toISOString();
+    const due = schedules.filter(s => !s.paused && s.nextRunAt <= now);
+
+    for (const entry of due) {
+      console.log(`⏰ Running scheduled scan for ${entry.domain} (${entry.schedule})`);
+      entry.lastRunAt = new Date().toISOString();
+
+      try {
+        const job = await launchScan(entry);
+        entry.lastScanId = job.id;
+        entry.lastStatus = job.status;
+        entry.lastError = job.error;
+      } catch (error) {
+        console.error(`❌ Scheduled scan for ${entry.domain} failed:`, error.message);
+        entry.lastStatus = 'failed';
+        entry.lastError = error.message;
+      }
+
+      entry.nextRunAt = computeNextRun(entry.schedule);
+      await saveSchedules();
+    }
+  } catch (error) {
+    console.error('❌ Scheduler error:', error.message);
+  } finally {
+    running = false;
+  }
+}
+
+// Start checking for due schedules. launchScan(schedule) must resolve with
+// the finished scan job; when it throws, the run is recorded as failed.
+// Returns a function that stops the checks.
+function startScheduler(launchScan) {
+  runDueSchedules(launchScan);
+  const timer = setInterval(() => runDueSchedules(launchScan), CHECK_INTERVAL_MS);
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  SCHEDULE_PRESETS,
+  validateSchedule,
+  listSchedules,
+  createSchedule,
+  setSchedulePaused,
+  deleteSchedule,
+  startScheduler
+};
@@ -3,10 +3,18 @@
 
 const express = require('express');
 const cors = require('cors');
-const puppeteer = require('puppeteer');
-const axios = require('axios');
-const { URL } = require('url');
 const path = require('path');
+const crypto = require('crypto');
+const { isValidUrl, normalizeScanOptions, runScan } = require('./scanner');
+const { normalizeAuth } = require('./auth');
+const scanStore = require('./scanStore');
+const { compareScans } = require('./compareScans');
+const scheduler = require('./scheduler');
+const webhooks = require('./webhooks');
+const affiliates = require('./affiliates');
+const rules = require('./rules');
+const { getAiStatus } = require('./aiProvider');
+const { getPoolStatus } = require('./browserPool');
 
 const app = express();
 const corsOptions = {
@@ -21,871 +29,521 @@ app.use(express.json());
 const PORT = process.env.PORT || 3000;  // Render uses PORT env variable
 const HOST = '0.0.0.0';
 
-// In-memory cache for Claude API responses
-const analysisCache = new Map();
-
-// ✅ HELPER FUNCTION: Launch browser with correct executable
-async function launchBrowser() {
-  const executablePath = process.env.PUPPETEER_EXECUTABLE_PATH || undefined;
-
-  if (executablePath) {
-    console.log(`🌐 Launching browser with custom path: ${executablePath}`);
-  } else {
-    console.log(`🌐 Launching browser with bundled Chromium`);
-  }
-
-  return await puppeteer.launch({
-    executablePath: executablePath,
-    headless: 'new',
-    args: [
-      '--no-sandbox',
-      '--disable-setuid-sandbox',
-      '--disable-dev-shm-usage',
-      '--disable-accelerated-2d-canvas',
-      '--no-first-run',
-      '--no-zygote',
-      '--single-process',
-      '--disable-gpu',
-      '--disable-web-security',
-      '--disable-features=IsolateOrigins,site-per-process'
-    ]
-  });
+// In-memory scan jobs, kept for an hour after they finish
+const scanJobs = new Map();
+const JOB_RETENTION_MS = 60 * 60 * 1000;
+const SSE_HEARTBEAT_MS = 15000;
+
+// Scans share the browser pool, so only this many run at once; the rest wait
+// in order with status 'queued' and their place in line in progress.queuePosition
+const MAX_RUNNING_SCANS = Math.max(1, parseInt(process.env.MAX_RUNNING_SCANS, 10) || 2);
+const scanQueue = [];
+let runningScans = 0;
+
+// Create a scan job and register it in the job store
+// auth stays on the in-memory job only - it is never serialized or saved
+function createScanJob(domain, options, scheduleId = null, auth = null) {
+  const job = {
+    id: crypto.randomUUID(),
+    domain,
+    options,
+    auth,
+    scheduleId,
+    status: 'queued',
+    progress: {
+      phase: 'queued',
+      pagesCrawled: 0,
+      linksChecked: 0,
+      totalLinks: 0,
+      currentUrl: null,
+      issuesFound: 0,
+      queuePosition: null
+    },
+    result: null,
+    error: null,
+    createdAt: new Date().toISOString(),
+    finishedAt: null,
+    listeners: new Set()
+  };
+
+  scanJobs.set(job.id, job);
+  return job;
 }
 
-// Utility: Check if URL is valid
-function isValidUrl(url) {
-  try {
-    new URL(url);
-    return true;
-  } catch {
-    return false;
-  }
+// Apply changes to a job and notify everyone following it
+function updateScanJob(job, changes) {
+  Object.assign(job, changes);
+  job.listeners.forEach(listener => listener(job));
 }
 
-// Check if URL is an affiliate/tracking link
-function isAffiliateLink(url) {
-  const affiliatePatterns = [
-    '/api/click',
-    '/track',
-    '/aff',
-    '/redirect',
-    '/redir',
-    '/goto',
-    '/out',
-    'clickid',
-    'affid',
-    'tid='
-  ];
-  return affiliatePatterns.some(pattern => url.toLowerCase().includes(pattern));
+// Public view of a job (result only once it is finished)
+function serializeScanJob(job) {
+  return {
+    id: job.id,
+    domain: job.domain,
+    options: job.options,
+    status: job.status,
+    progress: job.progress,
+    error: job.error,
+    createdAt: job.createdAt,
+    finishedAt: job.finishedAt,
+    result: job.status === 'completed' ? job.result : undefined
+  };
 }
 
-// Check if URL is a tracking pixel or analytics beacon
-function isTrackingPixel(url) {
-  const trackingPatterns = [
-    'bat.bing.com',
-    'google-analytics.com',
-    'googletagmanager.com',
-    'facebook.com/tr',
-    'doubleclick.net',
-    'analytics.',
-    '/pixel',
-    '/beacon',
-    'track.php',
-    'collect?'
-  ];
-  return trackingPatterns.some(pattern => url.toLowerCase().includes(pattern));
-}
-
-// Check if status code is actually successful (including special cases)
-function isSuccessStatus(status) {
-  if (typeof status === 'number' && status >= 200 && status < 300) {
-    return true;
-  }
-  if (status === 304) {
-    return true;
-  }
-  return false;
+// Queue a job to run as soon as a slot is free. Resolves with the job once it has finished.
+function enqueueScanJob(job) {
+  return new Promise(resolve => {
+    scanQueue.push({ job, resolve });
+    startQueuedScanJobs();
+  });
 }
 
-// Check link status with real browser for affiliate links
-async function checkLinkWithBrowser(url, browser) {
-  let page;
-  try {
-    page = await browser.newPage();
-    await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36');
-
-    const startTime = Date.now();
-    const response = await page.goto(url, {
-      waitUntil: 'domcontentloaded',
-      timeout: 15000
+function startQueuedScanJobs() {
+  while (runningScans < MAX_RUNNING_SCANS && scanQueue.length > 0) {
+    const { job, resolve } = scanQueue.shift();
+    runningScans++;
+    executeScanJob(job).finally(() => {
+      runningScans--;
+      resolve(job);
+      startQueuedScanJobs();
     });
-
-    const finalUrl = page.url();
-    const responseTime = Date.now() - startTime;
-    const status = response.status();
-
-    await page.close();
-
-    return {
-      status: status,
-      statusText: response.statusText(),
-      responseTime,
-      redirectCount: 0,
-      finalUrl,
-      checkedWithBrowser: true,
-      isAffiliate: true
-    };
-  } catch (error) {
-    if (page) await page.close().catch(() => {});
-    return {
-      status: 'ERROR',
-      statusText: error.message,
-      responseTime: 0,
-      checkedWithBrowser: true,
-      isAffiliate: true
-    };
   }
-}
-
-// Check link status with detailed error handling
-async function checkLinkStatus(url, browser = null) {
-  try {
-    if (isTrackingPixel(url)) {
-      return {
-        status: 200,
-        statusText: 'Tracking Pixel',
-        responseTime: 0,
-        skip: true
-      };
-    }
 
-    if (url.startsWith('data:') || url.startsWith('blob:')) {
-      return {
-        status: 200,
-        statusText: 'Inline Content',
-        responseTime: 0,
-        skip: true
-      };
-    }
-
-    if (url.startsWith('mailto:')) {
-      const emailPattern = /^mailto:[a-zA-Z0-9._-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/;
-      return {
-        status: emailPattern.test(url) ? 200 : 'Invalid',
-        statusText: emailPattern.test(url) ? 'Valid Email' : 'Malformed Email',
-        responseTime: 0
-      };
+  scanQueue.forEach(({ job }, index) => {
+    if (job.progress.queuePosition !== index + 1) {
+      updateScanJob(job, { progress: { ...job.progress, queuePosition: index + 1 } });
     }
+  });
+}
 
-    if (url.startsWith('tel:')) {
-      return {
-        status: 200,
-        statusText: 'Phone Link',
-        responseTime: 0
-      };
-    }
+// Run a job and record its outcome
+async function executeScanJob(job) {
+  updateScanJob(job, { status: 'running', progress: { ...job.progress, queuePosition: null } });
 
-    if (url.startsWith('javascript:') || url.startsWith('#')) {
-      return {
-        status: 200,
-        statusText: 'Internal Reference',
-        responseTime: 0
-      };
-    }
+  try {
+    const result = await runScan(job.domain, job.options, (progress) => {
+      updateScanJob(job, { progress: { ...job.progress, ...progress } });
+    }, job.auth);
+    const finishedAt = new Date().toISOString();
 
-    if (browser && isAffiliateLink(url)) {
-      console.log(`Checking affiliate link with browser: ${url}`);
-      const result = await checkLinkWithBrowser(url, browser);
-
-      if (result.status === 403) {
-        console.log(`⚠️ 403 on affiliate link (likely anti-bot) - will be filtered out`);
-        return {
-          ...result,
-          treatAsWorking: true,
-          statusText: 'Anti-bot protection (link works in browsers)'
-        };
-      }
+    try {
+      const [previousSummary] = await scanStore.listScans({ domain: job.domain });
+      const previousScan = previousSummary ? await scanStore.getScan(previousSummary.id) : null;
+
+      const scan = await scanStore.saveScan({
+        id: job.id,
+        domain: job.domain,
+        options: job.options,
+        createdAt: job.createdAt,
+        finishedAt,
+        result,
+        scheduleId: job.scheduleId
+      });
 
-      return result;
+      // Deliveries retry in the background and must not hold up the job
+      webhooks.notifyScanComplete(scan, previousScan).catch(error => {
+        console.error('⚠️ Webhook notification error:', error.message);
+      });
+    } catch (error) {
+      console.error('⚠️ Could not save scan to history:', error.message);
     }
 
-    const startTime = Date.now();
-    const response = await axios.get(url, {
-      timeout: 10000,
-      maxRedirects: 5,
-      validateStatus: () => true,
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-        'Accept-Language': 'en-US,en;q=0.5'
-      }
+    updateScanJob(job, {
+      status: 'completed',
+      result,
+      finishedAt,
+      progress: { ...job.progress, phase: 'complete', currentUrl: null }
     });
-
-    const responseTime = Date.now() - startTime;
-
-    return {
-      status: response.status,
-      statusText: response.statusText,
-      responseTime,
-      redirectCount: response.request._redirectable?._redirectCount || 0,
-      finalUrl: response.request.res?.responseUrl || url
-    };
   } catch (error) {
-    if (error.code === 'ENOTFOUND') {
-      return { status: 'DNS_ERROR', statusText: 'Domain not found', responseTime: 0 };
-    }
-    if (error.code === 'ETIMEDOUT' || error.code === 'ECONNABORTED') {
-      return { status: 'TIMEOUT', statusText: 'Request timeout', responseTime: 10000 };
-    }
-    if (error.code === 'ECONNREFUSED') {
-      return { status: 'CONNECTION_REFUSED', statusText: 'Connection refused', responseTime: 0 };
-    }
-    if (error.response) {
-      return {
-        status: error.response.status,
-        statusText: error.response.statusText,
-        responseTime: 0
-      };
-    }
-    return { status: 'ERROR', statusText: error.message, responseTime: 0 };
+    console.error('❌ Scan error:', error);
+    updateScanJob(job, {
+      status: 'failed',
+      error: error.message,
+      finishedAt: new Date().toISOString(),
+      progress: { ...job.progress, phase: 'failed', currentUrl: null }
+    });
+  } finally {
+    // Credentials aren't needed once the scan is over
+    job.auth = null;
+    job.listeners.clear();
+    setTimeout(() => scanJobs.delete(job.id), JOB_RETENTION_MS);
   }
 }
 
-// AI Analysis using Claude API
-async function analyzeWithAI(linkData) {
-  const cacheKey = `${linkData.linkText}-${linkData.linkUrl}-${linkData.context}`;
+// Main scan endpoint - starts a job and returns its id right away
+app.post('/api/scan', (req, res) => {
+  const { domain } = req.body;
 
-  if (analysisCache.has(cacheKey)) {
-    return analysisCache.get(cacheKey);
+  if (!domain || !isValidUrl(domain)) {
+    return res.status(400).json({ error: 'Invalid domain URL' });
   }
 
+  let options;
+  let auth;
   try {
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        model: 'claude-sonnet-4-20250514',
-        max_tokens: 1000,
-        messages: [{
-          role: 'user',
-          content: `Analyze this link briefly:
-Link Text: "${linkData.linkText}"
-Link URL: ${linkData.linkUrl}
-Context: ${linkData.context}
-Status: ${linkData.status}
-
-Reply with:
-ANALYSIS: [Brief 1 sentence analysis]
-SUGGESTED_FIX: [URL or "None"]
-ISSUE_TYPE: [Broken Link, Context Mismatch, Redirect Chain, or No Issue]
-PRIORITY: [Critical, High, Medium, or Low]`
-        }]
-      })
-    });
+    options = normalizeScanOptions(req.body.options);
+    auth = normalizeAuth(req.body.auth);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
 
-    if (!response.ok) {
-      console.error('AI API error:', response.status, response.statusText);
-      return null;
-    }
+  const job = createScanJob(domain, options, null, auth);
+  enqueueScanJob(job);
 
-    const data = await response.json();
+  res.status(202).json({ jobId: job.id, status: job.status });
+});
 
-    if (!data.content || !Array.isArray(data.content) || data.content.length === 0) {
-      console.error('AI API returned invalid response:', data);
-      return null;
-    }
+// Poll a scan job
+app.get('/api/scan/:id', (req, res) => {
+  const job = scanJobs.get(req.params.id);
 
-    const aiResponse = data.content[0].text;
+  if (!job) {
+    return res.status(404).json({ error: 'Scan job not found' });
+  }
 
-    const analysisMatch = aiResponse.match(/ANALYSIS: (.+)/);
-    const fixMatch = aiResponse.match(/SUGGESTED_FIX: (.+)/);
-    const typeMatch = aiResponse.match(/ISSUE_TYPE: (.+)/);
-    const priorityMatch = aiResponse.match(/PRIORITY: (.+)/);
+  res.json(serializeScanJob(job));
+});
 
-    const result = {
-      analysis: analysisMatch ? analysisMatch[1].trim() : 'Unable to analyze',
-      suggestedFix: fixMatch && fixMatch[1].trim() !== 'None' ? fixMatch[1].trim() : null,
-      issueType: typeMatch ? typeMatch[1].trim() : 'Unknown',
-      priority: priorityMatch ? priorityMatch[1].trim() : 'Low'
-    };
+// Stream scan job progress as Server-Sent Events
+app.get('/api/scan/:id/events', (req, res) => {
+  const job = scanJobs.get(req.params.id);
 
-    analysisCache.set(cacheKey, result);
-    return result;
-  } catch (error) {
-    console.error('AI Analysis error:', error.message);
-    return null;
+  if (!job) {
+    return res.status(404).json({ error: 'Scan job not found' });
   }
-}
 
-// Fallback priority determination
-function determinePriorityFromStatus(status) {
-  if (status === 404 || status === 500 || status === 'ERROR') return 'Critical';
-  if (status === 403 || status === 401 || status === 'TIMEOUT') return 'High';
-  if (status >= 300 && status < 400) return 'Medium';
-  return 'Low';
-}
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const sendState = (current) => {
+    if (current.status === 'completed') {
+      send('complete', serializeScanJob(current));
+      res.end();
+    } else if (current.status === 'failed') {
+      send('failed', serializeScanJob(current));
+      res.end();
+    } else {
+      send('progress', serializeScanJob(current));
+    }
+  };
 
-// Get issue type from status
-function getIssueType(status) {
-  if (status === 404) return 'Broken Link (404)';
-  if (status === 403) return 'Access Forbidden (403)';
-  if (status === 401) return 'Unauthorized (401)';
-  if (status === 500 || status >= 500) return 'Server Error (500+)';
-  if (status === 'TIMEOUT') return 'Timeout Error';
-  if (status === 'DNS_ERROR') return 'DNS Error';
-  if (status === 'CONNECTION_REFUSED') return 'Connection Refused';
-  if (status === 'ERROR') return 'Connection Error';
-  if (status === 304) return 'Not Modified (Cached)';
-  if (status >= 300 && status < 400) return 'Redirect';
-  return 'Unknown Issue';
-}
+  sendState(job);
+  if (job.status === 'completed' || job.status === 'failed') return;
 
-// Calculate impact score
-function calculateImpactScore(linkData, appearanceCount) {
-  let score = 50;
+  // Comment lines keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), SSE_HEARTBEAT_MS);
 
-  if (linkData.status === 404) score += 30;
-  else if (linkData.status >= 500) score += 35;
-  else if (linkData.status === 403) score += 20;
-  else if (linkData.status >= 300 && linkData.status < 400) score += 10;
+  job.listeners.add(sendState);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    job.listeners.delete(sendState);
+  });
+});
 
-  if (linkData.context.toLowerCase().includes('cta') ||
-      linkData.context.toLowerCase().includes('button')) score += 20;
-  if (linkData.context.toLowerCase().includes('hero') ||
-      linkData.context.toLowerCase().includes('header')) score += 15;
-  if (linkData.context.toLowerCase().includes('navigation')) score += 10;
+// List stored scans, newest first
+app.get('/api/scans', async (req, res) => {
+  try {
+    res.json(await scanStore.listScans({ domain: req.query.domain }));
+  } catch (error) {
+    console.error('❌ Scan history error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-  score += Math.min(appearanceCount * 5, 20);
+// Fetch a stored scan report
+app.get('/api/scans/:id', async (req, res) => {
+  try {
+    const scan = await scanStore.getScan(req.params.id);
 
-  return Math.min(Math.max(score, 0), 100);
-}
+    if (!scan) {
+      return res.status(404).json({ error: 'Scan not found' });
+    }
 
-// Take screenshot of page with error highlighted
-async function takeErrorScreenshot(pageUrl, linkText, linkUrl, browser) {
-  let page = null;
+    res.json(scan);
+  } catch (error) {
+    console.error('❌ Scan history error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
+// Compare a stored scan with another scan of the same domain. Without
+// ?with=<id> it is compared with the previous scan of that domain.
+app.get('/api/scans/:id/compare', async (req, res) => {
   try {
-    console.log(`\n📸 SCREENSHOT ATTEMPT for "${linkText}"`);
-    console.log(`   Page: ${pageUrl}`);
-    console.log(`   Target URL: ${linkUrl}`);
+    const scan = await scanStore.getScan(req.params.id);
 
-    page = await browser.newPage();
-    await page.setCacheEnabled(false);
-    await page.setViewport({ width: 1920, height: 1080 });
-    await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36');
-
-    try {
-      await page.goto(pageUrl, {
-        waitUntil: 'domcontentloaded',
-        timeout: 30000
-      });
-      console.log(`   ✅ Page loaded successfully`);
-    } catch (navError) {
-      console.log(`   ⚠️ Navigation timeout/error, continuing anyway: ${navError.message}`);
+    if (!scan) {
+      return res.status(404).json({ error: 'Scan not found' });
     }
 
-    await new Promise(resolve => setTimeout(resolve, 1500));
-
-    const uniqueId = `broken-link-${Date.now()}`;
-    try {
-      await page.evaluate((id) => {
-        const existingStyles = document.querySelectorAll('[id^="broken-link-"]');
-        existingStyles.forEach(s => s.remove());
-
-        const existingHighlights = document.querySelectorAll('.broken-link-highlight');
-        existingHighlights.forEach(el => el.classList.remove('broken-link-highlight'));
-
-        const style = document.createElement('style');
-        style.id = id;
-        style.textContent = `
-          .broken-link-highlight {
-            outline: 6px solid #ff0000 !important;
-            outline-offset: 4px !important;
-            background-color: rgba(255, 0, 0, 0.3) !important;
-            position: relative !important;
-            box-shadow: 0 0 40px rgba(255, 0, 0, 1) !important;
-            z-index: 999998 !important;
-          }
-          .broken-link-highlight::before {
-            content: "❌ BROKEN LINK" !important;
-            display: block !important;
-            position: absolute !important;
-            top: -45px !important;
-            left: 0 !important;
-            background: #ff0000 !important;
-            color: #ffffff !important;
-            padding: 12px 20px !important;
-            font-size: 16px !important;
-            font-weight: bold !important;
-            font-family: Arial, sans-serif !important;
-            border-radius: 8px !important;
-            z-index: 999999 !important;
-            box-shadow: 0 4px 15px rgba(0,0,0,0.5) !important;
-            white-space: nowrap !important;
-          }
-        `;
-        document.head.appendChild(style);
-      }, uniqueId);
-    } catch (cssError) {
-      console.log(`   ⚠️ CSS injection warning: ${cssError.message}`);
-    }
+    let otherId = req.query.with;
+    if (!otherId) {
+      const history = await scanStore.listScans({ domain: scan.domain });
+      const previous = history.find(s => s.createdAt < scan.createdAt);
 
-    const highlightResult = await page.evaluate((searchText, searchUrl) => {
-      try {
-        const allElements = Array.from(document.querySelectorAll('a, img[src], button, [role="button"]'));
-        let found = false;
-        let usedStrategy = 'none';
-        let matchedElement = null;
-
-        for (const el of allElements) {
-          const elementText = (el.innerText || el.alt || el.textContent || '').trim();
-          if (elementText && elementText.toLowerCase() === searchText.toLowerCase()) {
-            el.classList.add('broken-link-highlight');
-            el.scrollIntoView({ behavior: 'auto', block: 'center' });
-            found = true;
-            usedStrategy = 'exact-text';
-            matchedElement = elementText;
-            break;
-          }
-        }
-
-        if (!found && searchText.length > 3) {
-          for (const el of allElements) {
-            const elementText = (el.innerText || el.alt || el.textContent || '').trim().toLowerCase();
-            const searchLower = searchText.toLowerCase();
-            if (elementText && elementText.includes(searchLower)) {
-              el.classList.add('broken-link-highlight');
-              el.scrollIntoView({ behavior: 'auto', block: 'center' });
-              found = true;
-              usedStrategy = 'partial-text';
-              matchedElement = elementText;
-              break;
-            }
-          }
-        }
-
-        if (!found) {
-          for (const el of allElements) {
-            const elementUrl = el.href || el.src || '';
-            if (elementUrl && searchUrl) {
-              const urlParts = searchUrl.split('?')[0];
-              if (elementUrl.includes(urlParts) || searchUrl.includes(elementUrl)) {
-                el.classList.add('broken-link-highlight');
-                el.scrollIntoView({ behavior: 'auto', block: 'center' });
-                found = true;
-                usedStrategy = 'url-match';
-                matchedElement = elementUrl.substring(0, 50);
-                break;
-              }
-            }
-          }
-        }
-
-        if (!found) {
-          const existingBanners = document.querySelectorAll('[id^="broken-link-banner"]');
-          existingBanners.forEach(b => b.remove());
-
-          const banner = document.createElement('div');
-          banner.id = `broken-link-banner-${Date.now()}`;
-          banner.style.cssText = `
-            position: fixed !important;
-            top: 20px !important;
-            left: 50% !important;
-            transform: translateX(-50%) !important;
-            background: #ff0000 !important;
-            color: white !important;
-            padding: 20px 30px !important;
-            border-radius: 10px !important;
-            font-family: Arial, sans-serif !important;
-            font-size: 18px !important;
-            font-weight: bold !important;
-            z-index: 999999 !important;
-            box-shadow: 0 5px 20px rgba(0,0,0,0.6) !important;
-            text-align: center !important;
-            max-width: 80% !important;
-          `;
-          banner.innerHTML = `❌ BROKEN LINK: "${searchText}"<br><span style="font-size:14px;font-weight:normal;margin-top:8px;display:block;">Link not visible on page (may be hidden or loaded dynamically)</span>`;
-          document.body.insertBefore(banner, document.body.firstChild);
-          found = true;
-          usedStrategy = 'banner';
-          matchedElement = 'banner-shown';
-        }
-
-        return {
-          success: found,
-          strategy: usedStrategy,
-          totalElements: allElements.length,
-          matchedText: matchedElement
-        };
-      } catch (err) {
-        return {
-          success: false,
-          strategy: 'error',
-          error: err.message
-        };
+      if (!previous) {
+        return res.status(404).json({ error: 'No earlier scan of this domain to compare with' });
       }
-    }, linkText, linkUrl);
-
-    console.log(`   ✅ Highlight result: ${JSON.stringify(highlightResult)}`);
+      otherId = previous.id;
+    }
 
-    await new Promise(resolve => setTimeout(resolve, 2000));
+    const other = await scanStore.getScan(otherId);
 
-    const screenshot = await page.screenshot({
-      encoding: 'base64',
-      fullPage: false,
-      type: 'png'
-    });
+    if (!other) {
+      return res.status(404).json({ error: 'Comparison scan not found' });
+    }
 
-    const sizeKB = Math.round(screenshot.length / 1024);
-    console.log(`   ✅ SUCCESS! Screenshot captured (${sizeKB} KB)\n`);
+    if (other.domain !== scan.domain) {
+      return res.status(400).json({ error: 'Scans are for different domains' });
+    }
 
-    await page.close();
-    return screenshot;
+    const [base, current] = other.createdAt <= scan.createdAt ? [other, scan] : [scan, other];
+    res.json(compareScans(base, current));
+  } catch (error) {
+    console.error('❌ Scan comparison error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
+// List recurring scan schedules
+app.get('/api/schedules', async (req, res) => {
+  try {
+    res.json(await scheduler.listSchedules());
   } catch (error) {
-    console.log(`   ❌ FAILED: ${error.message}\n`);
+    console.error('❌ Schedule error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    if (page) {
-      try {
-        await page.close();
-      } catch (closeError) {
-        console.log(`   ⚠️ Page close error (ignoring): ${closeError.message}`);
-      }
-    }
+// Register a domain for recurring scans
+app.post('/api/schedules', async (req, res) => {
+  const { domain, schedule } = req.body;
 
-    return null;
+  if (!domain || !isValidUrl(domain)) {
+    return res.status(400).json({ error: 'Invalid domain URL' });
   }
-}
-
-// Crawl website and extract all links
-async function crawlWebsite(domain, maxPages = 50) {
-  const visited = new Set();
-  const toVisit = [domain];
-  const allLinks = [];
-  const baseDomain = new URL(domain).hostname;
 
-  // ✅ REPLACED: Use launchBrowser() helper
-  const browser = await launchBrowser();
+  // Checked now, but stored as entered - each run normalizes them again
+  const options = req.body.options || {};
+  const auth = req.body.auth || null;
+  try {
+    normalizeScanOptions(options);
+    normalizeAuth(auth);
+    scheduler.validateSchedule(schedule);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
 
   try {
-    while (toVisit.length > 0 && visited.size < maxPages) {
-      const currentUrl = toVisit.shift();
-
-      if (visited.has(currentUrl)) continue;
-      visited.add(currentUrl);
-
-      console.log(`Crawling: ${currentUrl}`);
-
-      try {
-        const page = await browser.newPage();
-        await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36');
-
-        await page.goto(currentUrl, {
-          waitUntil: 'networkidle2',
-          timeout: 30000
-        });
-
-        const links = await page.evaluate(() => {
-          const results = [];
-          const elements = document.querySelectorAll('a[href], img[src], link[href], script[src]');
-
-          elements.forEach(el => {
-            let url, text, type;
-
-            if (el.tagName === 'A') {
-              url = el.href;
-              text = el.innerText.trim() || el.getAttribute('aria-label') || 'No text';
-              type = 'link';
-            } else if (el.tagName === 'IMG') {
-              url = el.src;
-              text = el.alt || 'Image';
-              type = 'image';
-            } else if (el.tagName === 'LINK') {
-              url = el.href;
-              text = 'Stylesheet';
-              type = 'css';
-            } else if (el.tagName === 'SCRIPT') {
-              url = el.src;
-              text = 'Script';
-              type = 'script';
-            }
-
-            if (!url) return;
-
-            let context = 'Unknown';
-            let parent = el.closest('header, nav, footer, main, section, aside, div');
-
-            if (parent) {
-              const classes = parent.className || '';
-              const id = parent.id || '';
-              context = `${parent.tagName.toLowerCase()}${id ? '#' + id : ''}${classes ? '.' + classes.split(' ')[0] : ''}`;
-            }
-
-            if (el.classList && (el.classList.contains('btn') ||
-                el.classList.contains('button') ||
-                el.classList.contains('cta'))) {
-              context += ' - CTA button';
-            }
-
-            results.push({ url, text, context, type });
-          });
-
-          return results;
-        });
-
-        allLinks.push(...links.map(link => ({
-          ...link,
-          pageUrl: currentUrl
-        })));
-
-        const internalLinks = links
-          .filter(link => {
-            if (link.type !== 'link') return false;
-            if (isAffiliateLink(link.url)) return false;
-            try {
-              const linkHostname = new URL(link.url).hostname;
-              return linkHostname === baseDomain;
-            } catch {
-              return false;
-            }
-          })
-          .map(link => link.url);
-
-        internalLinks.forEach(link => {
-          if (!visited.has(link) && !toVisit.includes(link)) {
-            toVisit.push(link);
-          }
-        });
-
-        await page.close();
-      } catch (error) {
-        console.error(`Error crawling ${currentUrl}:`, error.message);
+    res.status(201).json(await scheduler.createSchedule({ domain, schedule, options, auth }));
+  } catch (error) {
+    console.error('❌ Schedule error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Pause or resume a schedule
+['pause', 'resume'].forEach(action => {
+  app.post(`/api/schedules/:id/${action}`, async (req, res) => {
+    try {
+      const entry = await scheduler.setSchedulePaused(req.params.id, action === 'pause');
+
+      if (!entry) {
+        return res.status(404).json({ error: 'Schedule not found' });
       }
+
+      res.json(entry);
+    } catch (error) {
+      console.error('❌ Schedule error:', error);
+      res.status(500).json({ error: error.message });
     }
-  } finally {
-    await browser.close();
-  }
+  });
+});
 
-  return { pages: Array.from(visited), links: allLinks };
-}
+// Delete a schedule
+app.delete('/api/schedules/:id', async (req, res) => {
+  try {
+    if (!(await scheduler.deleteSchedule(req.params.id))) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
 
-// Main scan endpoint
-app.post('/api/scan', async (req, res) => {
-  const { domain } = req.body;
+    res.status(204).end();
+  } catch (error) {
+    console.error('❌ Schedule error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-  if (!domain || !isValidUrl(domain)) {
-    return res.status(400).json({ error: 'Invalid domain URL' });
+// List configured webhooks
+app.get('/api/webhooks', async (req, res) => {
+  try {
+    res.json(await webhooks.listWebhooks());
+  } catch (error) {
+    console.error('❌ Webhook error:', error);
+    res.status(500).json({ error: error.message });
   }
+});
 
-  console.log(`\n${'='.repeat(60)}`);
-  console.log(`🚀 Starting scan for: ${domain}`);
-  console.log(`${'='.repeat(60)}\n`);
+// Recent webhook deliveries, newest first
+app.get('/api/webhooks/deliveries', async (req, res) => {
+  try {
+    res.json(await webhooks.listDeliveries());
+  } catch (error) {
+    console.error('❌ Webhook error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-  let affiliateBrowser = null;
-  let screenshotBrowser = null;
+// Register a webhook
+app.post('/api/webhooks', async (req, res) => {
+  try {
+    webhooks.normalizeWebhook(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
 
   try {
-    const { pages, links } = await crawlWebsite(domain);
-    console.log(`\n✅ Crawled ${pages.length} pages, found ${links.length} links\n`);
+    res.status(201).json(await webhooks.createWebhook(req.body));
+  } catch (error) {
+    console.error('❌ Webhook error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    // ✅ REPLACED: Use launchBrowser() helper
-    affiliateBrowser = await launchBrowser();
-    screenshotBrowser = await launchBrowser();
+// Delete a webhook
+app.delete('/api/webhooks/:id', async (req, res) => {
+  try {
+    if (!(await webhooks.deleteWebhook(req.params.id))) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
 
-    const linkAppearances = new Map();
-    links.forEach(link => {
-      const key = link.url;
-      linkAppearances.set(key, (linkAppearances.get(key) || 0) + 1);
-    });
+    res.status(204).end();
+  } catch (error) {
+    console.error('❌ Webhook error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    const uniqueLinks = Array.from(new Set(links.map(l => l.url)))
-      .map(url => links.find(l => l.url === url));
+// Ignore and classification rules applied to every scan
+app.get('/api/rules', async (req, res) => {
+  try {
+    res.json(await rules.listRules());
+  } catch (error) {
+    console.error('❌ Rules error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    const results = [];
-    let processed = 0;
+// Replace the whole rule list (the order is kept)
+app.put('/api/rules', async (req, res) => {
+  try {
+    rules.normalizeRules(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
 
-    console.log(`🔍 Checking ${uniqueLinks.length} unique links...\n`);
+  try {
+    res.json(await rules.saveRules(req.body));
+  } catch (error) {
+    console.error('❌ Rules error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    for (const link of uniqueLinks) {
-      console.log(`[${++processed}/${uniqueLinks.length}] ${link.url.substring(0, 80)}...`);
+// Add a rule
+app.post('/api/rules', async (req, res) => {
+  try {
+    rules.normalizeRule(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
 
-      const statusInfo = await checkLinkStatus(link.url, affiliateBrowser);
+  try {
+    res.status(201).json(await rules.createRule(req.body));
+  } catch (error) {
+    console.error('❌ Rules error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-      if (statusInfo.skip) {
-        console.log(`   ℹ️ Skipped (tracking pixel or inline content)\n`);
-        continue;
-      }
+// Go back to the built-in rules
+app.delete('/api/rules', async (req, res) => {
+  try {
+    res.json(await rules.resetRules());
+  } catch (error) {
+    console.error('❌ Rules error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-      const appearanceCount = linkAppearances.get(link.url);
-
-      let aiAnalysis = null;
-      const needsAnalysis =
-        statusInfo.status !== 200 ||
-        statusInfo.redirectCount > 0 ||
-        link.context.toLowerCase().includes('cta') ||
-        link.context.toLowerCase().includes('button');
-
-      if (needsAnalysis) {
-        aiAnalysis = await analyzeWithAI({
-          linkText: link.text,
-          linkUrl: link.url,
-          context: link.context,
-          status: statusInfo.status
-        });
-      }
+// Delete a rule
+app.delete('/api/rules/:id', async (req, res) => {
+  try {
+    if (!(await rules.deleteRule(req.params.id))) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
 
-      const impactScore = calculateImpactScore(
-        { ...link, status: statusInfo.status },
-        appearanceCount
-      );
-
-      const isActualIssue = (
-        !isSuccessStatus(statusInfo.status) &&
-        !statusInfo.treatAsWorking &&
-        statusInfo.status !== 200 &&
-        !(typeof statusInfo.status === 'number' &&
-          statusInfo.status >= 300 &&
-          statusInfo.status < 400)
-      );
-
-      if (statusInfo.status === 403 && statusInfo.isAffiliate) {
-        console.log(`   ℹ️ Skipping 403 on affiliate link (anti-bot protection)\n`);
-        continue;
-      }
+    res.status(204).end();
+  } catch (error) {
+    console.error('❌ Rules error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-      if (statusInfo.status === 304) {
-        console.log(`   ℹ️ Skipping 304 Not Modified (cached content - working correctly)\n`);
-        continue;
-      }
+// Affiliate networks and expected merchants used by every scan
+app.get('/api/affiliates', async (req, res) => {
+  try {
+    res.json(await affiliates.getAffiliateConfig());
+  } catch (error) {
+    console.error('❌ Affiliate settings error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-      if (isActualIssue || (aiAnalysis && aiAnalysis.issueType !== 'No Issue')) {
-        let friendlyMessage = '';
-
-        if (statusInfo.status === 404) {
-          friendlyMessage = `Page not found (404). This link is broken and leads nowhere.`;
-        } else if (statusInfo.status === 403) {
-          friendlyMessage = `Access forbidden (403). The server is blocking access to this page.`;
-        } else if (statusInfo.status === 500) {
-          friendlyMessage = `Server error (500). The destination server has internal problems.`;
-        } else if (statusInfo.status === 'TIMEOUT') {
-          friendlyMessage = `Request timeout. The page took too long to respond.`;
-        } else if (statusInfo.status === 'DNS_ERROR') {
-          friendlyMessage = `Domain not found. The website address doesn't exist.`;
-        } else if (statusInfo.status === 'CONNECTION_REFUSED') {
-          friendlyMessage = `Connection refused. The server is not accepting connections.`;
-        } else if (statusInfo.status === 'ERROR') {
-          friendlyMessage = `Connection error: ${statusInfo.statusText}`;
-        } else if (statusInfo.redirectCount > 0 && statusInfo.status >= 300 && statusInfo.status < 400) {
-          friendlyMessage = `Working but has ${statusInfo.redirectCount} redirect(s) which may slow page load.`;
-        } else {
-          friendlyMessage = aiAnalysis?.analysis || `Link returned ${statusInfo.status} status`;
-        }
-
-        if (statusInfo.isAffiliate) {
-          friendlyMessage += ` [Affiliate link - only checked if it opens, destination not scanned]`;
-        } else if (statusInfo.checkedWithBrowser) {
-          friendlyMessage += ` (Verified with browser)`;
-        }
-
-        let screenshot = null;
-        const shouldTakeScreenshot = (
-          (statusInfo.status === 404 ||
-           statusInfo.status === 500 ||
-           statusInfo.status === 'ERROR' ||
-           statusInfo.status === 'DNS_ERROR' ||
-           statusInfo.status === 'TIMEOUT') &&
-          !statusInfo.treatAsWorking
-        );
-
-        if (shouldTakeScreenshot) {
-          console.log(`   🔍 Taking screenshot for ${statusInfo.status} error on: ${link.pageUrl}`);
-          screenshot = await takeErrorScreenshot(link.pageUrl, link.text, link.url, screenshotBrowser);
-
-          if (screenshot) {
-            console.log(`   ✅ Screenshot captured successfully`);
-          } else {
-            console.log(`   ❌ Screenshot capture failed`);
-          }
-        }
-
-        console.log(`   ❌ Issue found: ${statusInfo.status}\n`);
-
-        results.push({
-          id: results.length + 1,
-          pageUrl: link.pageUrl,
-          linkText: link.text,
-          linkUrl: link.url,
-          status: statusInfo.status,
-          statusText: statusInfo.statusText,
-          responseTime: statusInfo.responseTime,
-          redirectCount: statusInfo.redirectCount || 0,
-          finalUrl: statusInfo.finalUrl || link.url,
-          priority: aiAnalysis?.priority || determinePriorityFromStatus(statusInfo.status),
-          type: aiAnalysis?.issueType || getIssueType(statusInfo.status),
-          context: link.context,
-          aiAnalysis: friendlyMessage,
-          suggestedFix: aiAnalysis?.suggestedFix || null,
-          impactScore,
-          appearancesCount: appearanceCount,
-          linkType: link.type,
-          screenshot: screenshot
-        });
-      } else {
-        console.log(`   ✅ OK (${statusInfo.status})\n`);
-      }
-    }
+// Replace the affiliate settings
+app.put('/api/affiliates', async (req, res) => {
+  try {
+    affiliates.normalizeAffiliateConfig(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
 
-    const totalLinks = links.length;
-    const issueLinks = results.length;
-    const healthScore = Math.round(((totalLinks - issueLinks) / totalLinks) * 100);
-
-    const stats = {
-      totalPages: pages.length,
-      totalLinks: totalLinks,
-      brokenLinks: issueLinks,
-      criticalIssues: results.filter(r => r.priority === 'Critical').length,
-      highIssues: results.filter(r => r.priority === 'High').length,
-      avgImpactScore: results.length > 0
-        ? Math.round(results.reduce((acc, r) => acc + r.impactScore, 0) / results.length)
-        : 0
-    };
-
-    console.log(`\n${'='.repeat(60)}`);
-    console.log(`✅ SCAN COMPLETE`);
-    console.log(`${'='.repeat(60)}`);
-    console.log(`Health Score: ${healthScore}/100`);
-    console.log(`Total Links: ${totalLinks}`);
-    console.log(`Issues Found: ${issueLinks}`);
-    console.log(`${'='.repeat(60)}\n`);
-
-    res.json({
-      healthScore,
-      stats,
-      results: results.sort((a, b) => {
-        const priorityOrder = { 'Critical': 0, 'High': 1, 'Medium': 2, 'Low': 3 };
-        return priorityOrder[a.priority] - priorityOrder[b.priority];
-      }),
-      pages
-    });
+  try {
+    res.json(await affiliates.saveAffiliateConfig(req.body));
+  } catch (error) {
+    console.error('❌ Affiliate settings error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
+// Go back to the built-in affiliate networks
+app.delete('/api/affiliates', async (req, res) => {
+  try {
+    res.json(await affiliates.resetAffiliateConfig());
   } catch (error) {
-    console.error('❌ Scan error:', error);
+    console.error('❌ Affiliate settings error:', error);
     res.status(500).json({ error: error.message });
-  } finally {
-    if (affiliateBrowser) {
-      await affiliateBrowser.close();
-    }
-    if (screenshotBrowser) {
-      await screenshotBrowser.close();
-    }
   }
 });
 
+// Which AI provider (if any) analyses links
+app.get('/api/ai/status', (req, res) => {
+  res.json(getAiStatus());
+});
+
 // Health check endpoint
 app.get('/api/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+  res.json({ status: 'ok', timestamp: new Date().toISOString(), browser: getPoolStatus() });
 });
 
 // Serve static files from React build (for production)
@@ -904,4 +562,13 @@ app.listen(PORT, HOST, () => {
   console.log(`🚀 Link Checker Backend running on http://${HOST}:${PORT}`);
   console.log(`✅ Ready to scan websites!`);
   console.log(`${'='.repeat(60)}\n`);
+
+  // Scheduled scans go through the same job pipeline as /api/scan. Options
+  // that no longer validate make this run fail and are recorded on the schedule.
+  scheduler.startScheduler(async (schedule) => {
+    const options = normalizeScanOptions(schedule.options);
+    const auth = normalizeAuth(schedule.auth);
+    const job = createScanJob(schedule.domain, options, schedule.id, auth);
+    return enqueueScanJob(job);
+  });
 });
@@ -0,0 +1,98 @@
+// backend/sitemap.js
+// sitemap.xml discovery, including sitemap indexes and gzipped sitemaps
+
+const axios = require('axios');
+const cheerio = require('cheerio');
+const zlib = require('zlib');
+const { URL } = require('url');
+const { CRAWLER_USER_AGENT } = require('./robots');
+
+const MAX_SITEMAP_FILES = 50;
+const MAX_SITEMAP_URLS = 50000;
+
+// Download a sitemap and return its XML, unzipping .gz files
+async function downloadSitemap(sitemapUrl, extraHeaders = {}) {
+  const response = await axios.get(sitemapUrl, {
+    timeout: 15000,
+    responseType: 'arraybuffer',
+    validateStatus: () => true,
+    headers: { 'User-Agent': CRAWLER_USER_AGENT, ...extraHeaders }
+  });
+
+  if (response.status < 200 || response.status >= 300) {
+    return { status: response.status, xml: null };
+  }
+
+  let body = Buffer.from(response.data);
+  // Gzip magic bytes - servers often send .gz sitemaps without Content-Encoding
+  if (body[0] === 0x1f && body[1] === 0x8b) {
+    body = zlib.gunzipSync(body);
+  }
+
+  return { status: response.status, xml: body.toString('utf8') };
+}
+
+// Collect page URLs from the site's sitemaps. Follows sitemap indexes, and
+// only keeps URLs on the same host as the site. getHeaders(url) adds auth headers.
+async function fetchSitemapUrls(siteUrl, extraSitemaps = [], getHeaders = () => ({})) {
+  const baseHost = new URL(siteUrl).hostname;
+  // Sitemaps declared in robots.txt take precedence over the conventional location
+  const queue = extraSitemaps.length > 0
+    ? [...extraSitemaps]
+    : [new URL('/sitemap.xml', siteUrl).href];
+  const seenSitemaps = new Set();
+  const seenUrls = new Set();
+  const sitemaps = [];
+  const urls = [];
+
+  while (queue.length > 0 && sitemaps.length < MAX_SITEMAP_FILES) {
+    const sitemapUrl = queue.shift();
+    if (seenSitemaps.has(sitemapUrl)) continue;
+    seenSitemaps.add(sitemapUrl);
+
+    const entry = { url: sitemapUrl, status: null, urlCount: 0, error: null };
+    sitemaps.push(entry);
+
+    try {
+      const { status, xml } = await downloadSitemap(sitemapUrl, getHeaders(sitemapUrl));
+      entry.status = status;
+
+      if (!xml) {
+        entry.error = `Sitemap returned ${status}`;
+        continue;
+      }
+
+      const $ = cheerio.load(xml, { xmlMode: true });
+
+      $('sitemapindex > sitemap > loc').each((_, el) => {
+        const loc = $(el).text().trim();
+        if (loc && !seenSitemaps.has(loc)) queue.push(loc);
+      });
+
+      $('urlset > url > loc').each((_, el) => {
+        const loc = $(el).text().trim();
+        if (!loc || seenUrls.has(loc) || urls.length >= MAX_SITEMAP_URLS) return;
+
+        try {
+          if (new URL(loc).hostname !== baseHost) return;
+        } catch {
+          return;
+        }
+
+        seenUrls.add(loc);
+        urls.push({ url: loc, sitemapUrl });
+        entry.urlCount++;
+      });
+    } catch (error) {
+      entry.error = error.message;
+    }
+
+    console.log(`🗺️  Sitemap ${sitemapUrl}: ${entry.error || `${entry.urlCount} URLs`}`);
+  }
+
+  return { sitemaps, urls };
+}
+
+module.exports = {
+  fetchSitemapUrls
+};
@@ -0,0 +1,205 @@
+// backend/soft404.js
+// Soft-404 detection: pages that answer 200 but are really "page not found" templates
+
+const axios = require('axios');
+const cheerio = require('cheerio');
+const crypto = require('crypto');
+const { URL } = require('url');
+const { CRAWLER_USER_AGENT } = require('./robots');
+
+const MAX_PAGE_BYTES = 2 * 1024 * 1024;
+// Results below this confidence are not reported
+const SOFT_404_THRESHOLD = 0.5;
+// Pages this similar to the host's error page are treated as the same template
+const SIMILARITY_THRESHOLD = 0.85;
+// Body phrases only count on short pages - long articles mention "not found" legitimately
+const SHORT_PAGE_CHARS = 3000;
+// Pages with less text than this (single-page app shells, image galleries) all
+// look alike, so they aren't compared with the error page at all
+const MIN_COMPARABLE_SHINGLES = 20;
+
+const NOT_FOUND_PATTERNS = [
+  /\b404\b/,
+  /\b(page|file|article|product|post)s? (was )?not found\b/i,
+  /\bnot found\b/i,
+  /\bno longer (available|exists)\b/i,
+  /\b(does not|doesn'?t|did not|didn'?t) exist\b/i,
+  /\b(could not|couldn'?t|cannot|can'?t) (be )?(found|find)\b/i,
+  /\bnothing (was )?found\b/i,
+  /\bpage (has been|was) (removed|deleted|moved)\b/i
+];
+
+// Download a page and reduce it to what we compare
+async function fetchPageSignature(url, extraHeaders = {}) {
+  const response = await axios.get(url, {
+    timeout: 10000,
+    responseType: 'text',
+    maxContentLength: MAX_PAGE_BYTES,
+    validateStatus: () => true,
+    headers: {
+      'User-Agent': CRAWLER_USER_AGENT,
+      'Accept': 'text/html,application/xhtml+xml',
+      ...extraHeaders
+    }
+  });
+
+  const $ = cheerio.load(typeof response.data === 'string' ? response.data : '');
+  $('script, style, noscript, template').remove();
+
+  return buildPageSignature({
+    status: response.status,
+    finalUrl: response.request?.res?.responseUrl || url,
+    title: $('title').first().text(),
+    text: $('body').text()
+  });
+}
+
+// Title, text length and word shingles of a page, from a download or from the crawler
+function buildPageSignature({ status, finalUrl, title = '', text = '' }) {
+  const cleanText = text.replace(/\s+/g, ' ').trim();
+  return {
+    status,
+    finalUrl,
+    title: title.replace(/\s+/g, ' ').trim(),
+    text: cleanText,
+    textLength: cleanText.length,
+    shingles: buildShingles(cleanText)
+  };
+}
+
+// Three-word shingles, so page similarity reflects layout and wording, not just vocabulary
+function buildShingles(text) {
+  const words = text.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  const shingles = new Set();
+  for (let i = 0; i + 3 <= words.length; i++) {
+    shingles.add(words.slice(i, i + 3).join(' '));
+  }
+  return shingles;
+}
+
+function jaccardSimilarity(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  a.forEach(shingle => {
+    if (b.has(shingle)) shared++;
+  });
+  return shared / (a.size + b.size - shared);
+}
+
+function findNotFoundPhrase(text) {
+  const pattern = NOT_FOUND_PATTERNS.find(p => p.test(text));
+  return pattern ? text.match(pattern)[0] : null;
+}
+
+// Learn how a host answers a URL that can't exist. Resolves with null when the
+// host returns a real 4xx, since its missing pages are then caught by status.
+async function learnErrorFingerprint(origin, getHeaders) {
+  const probeUrl = `${origin}/link-checker-probe-${crypto.randomBytes(8).toString('hex')}`;
+
+  try {
+    const signature = await fetchPageSignature(probeUrl, getHeaders(probeUrl));
+    if (signature.status < 200 || signature.status >= 300) return null;
+
+    console.log(`🕵️ ${origin} answers missing pages with ${signature.status} - soft-404 fingerprint learned`);
+    return {
+      ...signature,
+      // Missing pages that redirect (usually to the home page) share this destination
+      redirectUrl: signature.finalUrl !== probeUrl ? signature.finalUrl : null
+    };
+  } catch (error) {
+    console.log(`⚠️ Could not probe ${origin} for its error page: ${error.message}`);
+    return null;
+  }
+}
+
+// Create a detector that caches one error-page fingerprint per host for the scan.
+// getHeaders(url) adds auth headers for protected sites. Only probeHost (the
+// scanned site) is sent a made-up URL; links elsewhere get the phrase checks only.
+function createSoft404Detector(getHeaders = () => ({}), { probeHost = null } = {}) {
+  const fingerprints = new Map();
+
+  const getFingerprint = (origin) => {
+    if (new URL(origin).hostname !== probeHost) return null;
+    if (!fingerprints.has(origin)) {
+      fingerprints.set(origin, learnErrorFingerprint(origin, getHeaders));
+    }
+    return fingerprints.get(origin);
+  };
+
+  // Resolves with { confidence, reasons } for a likely soft 404, otherwise null.
+  // renderedPage ({ title, text }) is what the crawler saw when it visited the
+  // link itself; only links it didn't visit are downloaded here.
+  async function detect(linkUrl, finalUrl = linkUrl, renderedPage = null) {
+    let linkOrigin;
+    let finalOrigin;
+    try {
+      linkOrigin = new URL(linkUrl).origin;
+      finalOrigin = new URL(finalUrl).origin;
+    } catch {
+      return null;
+    }
+
+    const fingerprint = await getFingerprint(linkOrigin);
+    const signals = [];
+
+    if (fingerprint && fingerprint.redirectUrl && finalUrl === fingerprint.redirectUrl && linkUrl !== finalUrl) {
+      signals.push({ score: 0.75, reason: 'redirects to the same page this site sends missing URLs to' });
+    }
+
+    let page;
+    if (renderedPage) {
+      page = buildPageSignature({ status: 200, finalUrl, ...renderedPage });
+    } else {
+      try {
+        page = await fetchPageSignature(finalUrl, getHeaders(finalUrl));
+      } catch {
+        return null;
+      }
+    }
+    if (page.status < 200 || page.status >= 300) return null;
+
+    const comparable = page.shingles.size >= MIN_COMPARABLE_SHINGLES &&
+      Boolean(fingerprint) && fingerprint.shingles.size >= MIN_COMPARABLE_SHINGLES;
+    if (comparable && !fingerprint.redirectUrl && new URL(fingerprint.finalUrl).origin === finalOrigin) {
+      const similarity = jaccardSimilarity(page.shingles, fingerprint.shingles);
+      const sameTitle = Boolean(page.title) && page.title === fingerprint.title;
+      const similarLength = Math.abs(page.textLength - fingerprint.textLength) <= fingerprint.textLength * 0.1;
+
+      if (similarity >= SIMILARITY_THRESHOLD) {
+        signals.push({ score: similarity, reason: `content is ${Math.round(similarity * 100)}% similar to this site's error page` });
+      } else if (sameTitle && similarLength) {
+        signals.push({ score: 0.7, reason: `same title and length as this site's error page ("${page.title}")` });
+      }
+    }
+
+    const titlePhrase = findNotFoundPhrase(page.title);
+    if (titlePhrase) {
+      signals.push({ score: 0.7, reason: `title says "${titlePhrase}"` });
+    } else if (page.textLength <= SHORT_PAGE_CHARS) {
+      const bodyPhrase = findNotFoundPhrase(page.text);
+      if (bodyPhrase) {
+        signals.push({ score: 0.5, reason: `short page saying "${bodyPhrase}"` });
+      }
+    }
+
+    if (signals.length === 0) return null;
+
+    // Independent signals reinforce each other: 1 - product of the misses
+    const confidence = 1 - signals.reduce((miss, signal) => miss * (1 - signal.score), 1);
+    if (confidence < SOFT_404_THRESHOLD) return null;
+
+    return {
+      confidence: Math.round(Math.min(confidence, 0.99) * 100) / 100,
+      reasons: signals.map(signal => signal.reason)
+    };
+  }
+
+  return { detect };
+}
+
+module.exports = {
+  createSoft404Detector,
+  buildPageSignature,
+  jaccardSimilarity,
+  findNotFoundPhrase
+};
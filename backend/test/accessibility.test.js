@@ -0,0 +1,50 @@
+// backend/test/accessibility.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { auditPageLinks } = require('../accessibility');
+const { createUrlNormalizer } = require('../urlNormalizer');
+
+const PAGE = 'https://example.com/';
+const anchor = (fields) => ({ url: 'https://example.com/pricing', href: '/pricing', name: 'Pricing', images: 0, imagesWithoutAlt: 0, target: '', rel: '', ...fields });
+const types = findings => findings.map(finding => finding.type);
+
+test('well-described links have no findings', () => {
+  assert.deepEqual(auditPageLinks(PAGE, [anchor(), anchor({ url: 'https://example.com/about', name: 'About us' })]), []);
+});
+
+test('links without a name and image links without alt text are reported', () => {
+  const [noName] = auditPageLinks(PAGE, [anchor({ name: '  ', images: 1, imagesWithoutAlt: 1 })]);
+  assert.equal(noName.type, 'Link Without Accessible Name');
+  assert.equal(noName.wcag, '2.4.4');
+  assert.match(noName.message, /Image link/);
+
+  assert.deepEqual(types(auditPageLinks(PAGE, [anchor({ images: 2, imagesWithoutAlt: 2 })])), ['Image Link Without Alt Text']);
+});
+
+test('vague text is recognised despite case, arrows and punctuation', () => {
+  const findings = auditPageLinks(PAGE, [anchor({ name: 'Read More →' }), anchor({ name: 'Read more...' })]);
+  assert.deepEqual(types(findings), ['Vague Link Text', 'Vague Link Text']);
+});
+
+test('new windows need a warning, and other sites need rel="noopener"', () => {
+  const external = anchor({ url: 'https://partner.example/', name: 'Our partner', target: '_blank' });
+  assert.deepEqual(types(auditPageLinks(PAGE, [external])), ['New Window Without Warning', 'Missing rel="noopener"']);
+  assert.deepEqual(auditPageLinks(PAGE, [{ ...external, name: 'Our partner (opens in a new tab)', rel: 'noopener noreferrer' }]), []);
+});
+
+test('repeated findings are counted, not listed again', () => {
+  const findings = auditPageLinks(PAGE, [anchor({ name: 'here' }), anchor({ name: 'here' })]);
+  assert.equal(findings.length, 1);
+  assert.equal(findings[0].occurrences, 2);
+});
+
+test('the same text leading to different destinations is reported once', () => {
+  const normalizeUrl = createUrlNormalizer({ trailingSlash: 'remove' });
+  const sameTarget = [anchor({ name: 'Docs', url: 'https://example.com/docs' }), anchor({ name: 'Docs', url: 'https://example.com/docs/' })];
+  assert.deepEqual(auditPageLinks(PAGE, sameTarget, normalizeUrl), []);
+
+  const findings = auditPageLinks(PAGE, [...sameTarget, anchor({ name: 'docs', url: 'https://example.com/api' })], normalizeUrl);
+  assert.deepEqual(types(findings), ['Same Text, Different Destinations']);
+  assert.deepEqual(findings[0].destinations, ['https://example.com/docs', 'https://example.com/api']);
+});
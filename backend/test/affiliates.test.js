@@ -0,0 +1,84 @@
+// backend/test/affiliates.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'link-checker-affiliates-'));
+
+const {
+  DEFAULT_AFFILIATE_CONFIG,
+  normalizeAffiliateConfig,
+  getAffiliateConfig,
+  saveAffiliateConfig,
+  resetAffiliateConfig,
+  createAffiliateMatcher
+} = require('../affiliates');
+
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+test('affiliate links are matched to their network and expected merchant', () => {
+  const matcher = createAffiliateMatcher();
+
+  const amazon = matcher.match('https://amzn.to/3abc');
+  assert.equal(amazon.network, 'Amazon Associates');
+  assert.ok(amazon.expectedMerchants.includes('amazon.co.uk'));
+
+  // Networks without merchant domains expect the deep link's host
+  const awin = matcher.match('https://www.awin1.com/cread.php?awinmid=1&ued=https%3A%2F%2Fwww.shop.example%2Fshoes');
+  assert.equal(awin.network, 'Awin');
+  assert.deepEqual(awin.expectedMerchants, ['shop.example']);
+  assert.equal(awin.deepLink, 'https://www.shop.example/shoes');
+
+  assert.equal(matcher.match('https://example.com/blog/post'), null);
+});
+
+test('landings are judged: network error, wrong merchant, expired offer, homepage', () => {
+  const matcher = createAffiliateMatcher();
+  const awin = matcher.match('https://www.awin1.com/cread.php?ued=https%3A%2F%2Fshop.example%2Fshoes');
+
+  assert.equal(matcher.assessLanding(awin, { finalUrl: 'https://www.awin1.com/error' }).type, 'Affiliate Network Error');
+  assert.equal(matcher.assessLanding(awin, { finalUrl: 'https://other.example/shoes' }).type, 'Affiliate Wrong Merchant');
+  assert.equal(
+    matcher.assessLanding(awin, { finalUrl: 'https://shop.example/shoes', title: 'Sorry', text: 'This OFFER HAS EXPIRED.' }).type,
+    'Affiliate Offer Expired'
+  );
+  const homepage = matcher.assessLanding(awin, { finalUrl: 'https://www.shop.example/index.html' });
+  assert.equal(homepage.type, 'Affiliate Homepage Landing');
+  assert.equal(homepage.priority, 'Medium');
+  assert.equal(matcher.assessLanding(awin, { finalUrl: 'https://shop.example/shoes' }), null);
+
+  assert.equal(matcher.isOnNetwork(awin, 'https://tracking.awin1.com/x'), true);
+  assert.equal(matcher.isOnNetwork(awin, 'https://shop.example/'), false);
+});
+
+test('merchant rules override the network merchants', () => {
+  const config = normalizeAffiliateConfig({
+    ...DEFAULT_AFFILIATE_CONFIG,
+    merchants: [{ pattern: '*tag=shoes-21*', domains: ['*.Shoes.example'] }]
+  });
+  const matcher = createAffiliateMatcher(config);
+  assert.deepEqual(matcher.match('https://www.amazon.com/dp/B01?tag=shoes-21').expectedMerchants, ['shoes.example']);
+});
+
+test('invalid affiliate settings are rejected', () => {
+  assert.throws(() => normalizeAffiliateConfig([]), /must be an object/);
+  assert.throws(() => normalizeAffiliateConfig({ networks: [{ name: 'X', patterns: [] }] }), /needs at least one pattern/);
+  assert.throws(() => normalizeAffiliateConfig({ networks: [{ patterns: ['*'] }] }), /needs a name/);
+  assert.throws(() => normalizeAffiliateConfig({ merchants: [{ pattern: '*', domains: [] }] }), /needs at least one domain/);
+  assert.throws(() => normalizeAffiliateConfig({ networks: [{ name: 'X', patterns: ['regex:('] }] }));
+});
+
+test('saved settings replace the defaults until reset', async () => {
+  assert.equal(await getAffiliateConfig(), DEFAULT_AFFILIATE_CONFIG);
+
+  await saveAffiliateConfig({ networks: [{ name: ' In-house ', patterns: ['*/go/*'] }] });
+  const saved = await getAffiliateConfig();
+  assert.deepEqual(saved.networks.map(n => n.name), ['In-house']);
+  assert.deepEqual(saved.expiredPhrases, DEFAULT_AFFILIATE_CONFIG.expiredPhrases);
+
+  assert.equal(await resetAffiliateConfig(), DEFAULT_AFFILIATE_CONFIG);
+  assert.equal(await getAffiliateConfig(), DEFAULT_AFFILIATE_CONFIG);
+});
@@ -0,0 +1,111 @@
+// backend/test/aiProvider.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+const settingsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'link-checker-ai-'));
+const SETTINGS_FILE = path.join(settingsDir, 'ai-settings.json');
+process.env.AI_SETTINGS_FILE = SETTINGS_FILE;
+['AI_ENABLED', 'AI_PROVIDER', 'AI_API_KEY', 'ANTHROPIC_API_KEY', 'AI_MODEL', 'AI_BASE_URL', 'AI_TIMEOUT_MS', 'AI_MAX_TOKENS']
+  .forEach(name => delete process.env[name]);
+
+const { analyzeWithAI, getAiStatus, validateAnalysis } = require('../aiProvider');
+
+// Settings file changes are detected by modification time, so make each write visibly newer
+let writes = 0;
+function writeSettings(settings) {
+  fs.writeFileSync(SETTINGS_FILE, JSON.stringify(settings));
+  const time = new Date(Date.now() + ++writes * 1000);
+  fs.utimesSync(SETTINGS_FILE, time, time);
+}
+
+const link = (fields) => ({ linkText: 'Pricing', linkUrl: 'https://example.com/pricing', context: 'nav', status: 404, ...fields });
+
+test.after(() => fs.rmSync(settingsDir, { recursive: true, force: true }));
+
+test('validateAnalysis accepts the expected shape and cleans it up', () => {
+  assert.deepEqual(validateAnalysis({
+    analysis: '  Missing page.  ',
+    suggestedFix: 'None',
+    issueType: 'Broken Link',
+    priority: 'Critical'
+  }), { analysis: 'Missing page.', suggestedFix: null, issueType: 'Broken Link', priority: 'Critical' });
+});
+
+test('validateAnalysis rejects replies that do not fit', () => {
+  const valid = { analysis: 'Fine', suggestedFix: null, issueType: 'No Issue', priority: 'Low' };
+  assert.equal(validateAnalysis(null), null);
+  assert.equal(validateAnalysis('text'), null);
+  assert.equal(validateAnalysis({ ...valid, analysis: ' ' }), null);
+  assert.equal(validateAnalysis({ ...valid, issueType: 'Other' }), null);
+  assert.equal(validateAnalysis({ ...valid, priority: 'Urgent' }), null);
+});
+
+test('the mock provider analyses links offline through validation', async () => {
+  writeSettings({ provider: 'mock' });
+  assert.deepEqual(getAiStatus(), { enabled: true, provider: 'mock', model: 'mock' });
+
+  const broken = await analyzeWithAI(link({ status: 404 }));
+  assert.equal(broken.issueType, 'Broken Link');
+  assert.equal(broken.priority, 'Critical');
+  assert.equal(broken.provider, 'mock');
+
+  assert.equal((await analyzeWithAI(link({ status: 301 }))).issueType, 'Redirect Chain');
+  assert.equal((await analyzeWithAI(link({ status: 200 }))).issueType, 'No Issue');
+  assert.equal((await analyzeWithAI(link({ status: 'TIMEOUT' }))).priority, 'High');
+});
+
+test('a reply that fails validation gives no analysis', async () => {
+  const server = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ content: [{ text: '{"analysis": "Looks odd", "issueType": "Weird", "priority": "Low"}' }] }));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    writeSettings({ provider: 'anthropic', apiKey: 'test-key', model: 'test-model', baseUrl: `http://127.0.0.1:${server.address().port}` });
+    assert.equal(getAiStatus().provider, 'anthropic');
+    assert.equal(await analyzeWithAI(link({ linkUrl: 'https://example.com/rejected' })), null);
+  } finally {
+    server.close();
+  }
+});
+
+test('settings file changes are picked up and AI can be turned off', () => {
+  writeSettings({ enabled: false, provider: 'mock' });
+  assert.deepEqual(getAiStatus(), { enabled: false, provider: null, model: null });
+});
+
+test('invalid timeouts and token limits fall back to the defaults', async () => {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const { max_tokens: maxTokens } = JSON.parse(body);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ content: [{ text: JSON.stringify({ analysis: `max ${maxTokens}`, issueType: 'Broken Link', priority: 'High' }) }] }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  process.env.AI_TIMEOUT_MS = 'abc';
+  process.env.AI_MAX_TOKENS = '0';
+  try {
+    // A timeout of NaN would abort the request straight away
+    writeSettings({ provider: 'anthropic', apiKey: 'test-key', baseUrl: `http://127.0.0.1:${server.address().port}` });
+    const result = await analyzeWithAI(link({ linkUrl: 'https://example.com/defaults' }));
+    assert.equal(result.analysis, 'max 500');
+
+    process.env.AI_MAX_TOKENS = '42';
+    writeSettings({ provider: 'anthropic', apiKey: 'test-key', baseUrl: `http://127.0.0.1:${server.address().port}` });
+    assert.equal((await analyzeWithAI(link({ linkUrl: 'https://example.com/override' }))).analysis, 'max 42');
+  } finally {
+    delete process.env.AI_TIMEOUT_MS;
+    delete process.env.AI_MAX_TOKENS;
+    server.close();
+  }
+});
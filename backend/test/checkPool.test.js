@@ -0,0 +1,77 @@
+// backend/test/checkPool.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { runCheckPool } = require('../checkPool');
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Worker that records how many checks run at once, overall and per host
+function trackingWorker(ms = 10) {
+  const stats = { active: 0, maxActive: 0, perHost: new Map(), maxPerHost: 0, starts: [] };
+  const worker = async (item) => {
+    const host = new URL(item.url).hostname;
+    stats.starts.push({ host, at: Date.now() });
+    stats.active++;
+    stats.perHost.set(host, (stats.perHost.get(host) || 0) + 1);
+    stats.maxActive = Math.max(stats.maxActive, stats.active);
+    stats.maxPerHost = Math.max(stats.maxPerHost, stats.perHost.get(host));
+    await delay(ms);
+    stats.active--;
+    stats.perHost.set(host, stats.perHost.get(host) - 1);
+    return item.url;
+  };
+  return { worker, stats };
+}
+
+test('results keep the order of the items', async () => {
+  const items = [30, 5, 15].map((ms, i) => ({ url: `https://h${i}.example/`, ms }));
+  const results = await runCheckPool(items, async (item, index) => {
+    await delay(item.ms);
+    return index;
+  });
+  assert.deepEqual(results, [0, 1, 2]);
+});
+
+test('global and per-host limits are respected', async () => {
+  const items = [];
+  for (let i = 0; i < 12; i++) items.push({ url: `https://${i % 2 ? 'a' : 'b'}.example/${i}` });
+  items.push({ url: 'mailto:someone@example.com' });
+
+  const { worker, stats } = trackingWorker();
+  const done = [];
+  await runCheckPool(items, worker, {
+    concurrency: 3,
+    perHostConcurrency: 1,
+    onItemDone: (item, value, completed) => done.push(completed)
+  });
+
+  assert.equal(stats.maxActive <= 3, true);
+  assert.equal(stats.maxPerHost, 1);
+  assert.deepEqual(done, items.map((_, i) => i + 1));
+});
+
+test('requests to one host start at least perHostDelayMs apart', async () => {
+  const items = [1, 2, 3].map(i => ({ url: `https://slow.example/${i}` }));
+  const { worker, stats } = trackingWorker(0);
+  await runCheckPool(items, worker, { concurrency: 3, perHostConcurrency: 3, perHostDelayMs: 40 });
+
+  for (let i = 1; i < stats.starts.length; i++) {
+    assert.ok(stats.starts[i].at - stats.starts[i - 1].at >= 35);
+  }
+});
+
+test('a failing worker rejects the pool', async () => {
+  const items = [{ url: 'https://a.example/' }, { url: 'https://b.example/' }];
+  await assert.rejects(
+    runCheckPool(items, async item => {
+      if (item.url.includes('b.')) throw new Error('boom');
+      return true;
+    }),
+    /boom/
+  );
+});
+
+test('an empty list resolves straight away', async () => {
+  assert.deepEqual(await runCheckPool([], () => assert.fail('no items to check')), []);
+});
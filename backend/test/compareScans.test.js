@@ -0,0 +1,85 @@
+// backend/test/compareScans.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { compareScans } = require('../compareScans');
+
+function issue(fields) {
+  return {
+    linkUrl: 'https://example.com/a',
+    canonicalUrl: 'https://example.com/a',
+    pageUrl: 'https://example.com/',
+    type: 'Broken Link (404)',
+    status: 404,
+    priority: 'Critical',
+    ...fields
+  };
+}
+
+function scan(results, fields = {}) {
+  return {
+    id: fields.id || 'scan',
+    domain: 'https://example.com/',
+    createdAt: fields.createdAt || '2026-01-01T00:00:00.000Z',
+    healthScore: 'healthScore' in fields ? fields.healthScore : 90,
+    stats: { criticalIssues: results.length, highIssues: 0, brokenLinks: results.length },
+    results
+  };
+}
+
+test('an issue found under a different page is still the same issue', () => {
+  const base = scan([issue({ pageUrl: 'https://example.com/about' })]);
+  const current = scan([issue({ pageUrl: 'https://example.com/contact', pages: ['https://example.com/contact', 'https://example.com/about'] })]);
+  const comparison = compareScans(base, current);
+
+  assert.equal(comparison.newIssues.length, 0);
+  assert.equal(comparison.fixedIssues.length, 0);
+  assert.equal(comparison.persistingIssues.length, 1);
+  assert.deepEqual(comparison.persistingIssues[0].pages, ['https://example.com/contact', 'https://example.com/about']);
+});
+
+test('links are matched by canonical URL and issue type', () => {
+  const base = scan([
+    issue({ linkUrl: 'https://example.com/a?utm_source=x', status: 404 }),
+    issue({ linkUrl: 'https://example.com/b', canonicalUrl: 'https://example.com/b', type: 'Timeout Error', status: 'TIMEOUT', priority: 'High' })
+  ]);
+  const current = scan([
+    issue({ status: 404 }),
+    issue({ linkUrl: 'https://example.com/b', canonicalUrl: 'https://example.com/b', type: 'Server Error (500+)', status: 500 })
+  ]);
+  const comparison = compareScans(base, current);
+
+  assert.deepEqual(comparison.persistingIssues.map(i => i.linkUrl), ['https://example.com/a']);
+  assert.deepEqual(comparison.newIssues.map(i => i.type), ['Server Error (500+)']);
+  assert.deepEqual(comparison.fixedIssues.map(i => i.type), ['Timeout Error']);
+});
+
+test('different fragments of one page are different issues', () => {
+  const base = scan([issue({ linkUrl: 'https://example.com/a#one', type: 'Missing Anchor' })]);
+  const current = scan([
+    issue({ linkUrl: 'https://example.com/a#one', type: 'Missing Anchor' }),
+    issue({ linkUrl: 'https://example.com/a#two', type: 'Missing Anchor' })
+  ]);
+  const comparison = compareScans(base, current);
+
+  assert.equal(comparison.persistingIssues.length, 1);
+  assert.deepEqual(comparison.newIssues.map(i => i.linkUrl), ['https://example.com/a#two']);
+});
+
+test('persisting issues carry the previous status and screenshots are dropped', () => {
+  const base = scan([issue({ status: 500, priority: 'Critical' })]);
+  const current = scan([issue({ status: 404, screenshot: 'data:image/png;base64,AAAA' })]);
+  const [persisting] = compareScans(base, current).persistingIssues;
+
+  assert.equal(persisting.previousStatus, 500);
+  assert.equal(persisting.screenshot, undefined);
+  assert.equal(persisting.hasScreenshot, true);
+});
+
+test('health score and stat deltas, with no score delta for scans without a score', () => {
+  const comparison = compareScans(scan([issue({})], { healthScore: 80 }), scan([], { healthScore: 95 }));
+  assert.equal(comparison.healthScoreDelta, 15);
+  assert.equal(comparison.brokenLinksDelta, -1);
+
+  assert.equal(compareScans(scan([], { healthScore: null }), scan([])).healthScoreDelta, null);
+});
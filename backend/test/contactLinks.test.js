@@ -0,0 +1,74 @@
+// backend/test/contactLinks.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseMailto, parseTel, normalizeDnsServers, createContactChecker } = require('../contactLinks');
+
+test('mailto: links are split into recipients and fields', () => {
+  const mailto = parseMailto('mailto:sales@example.com,Info@Example.co.uk?cc=boss%40example.com&subject=Hello%20there&body=a+b&X-Ref=1');
+  assert.deepEqual(mailto.to, ['sales@example.com', 'Info@Example.co.uk']);
+  assert.deepEqual(mailto.cc, ['boss@example.com']);
+  assert.equal(mailto.subject, 'Hello there');
+  // "+" is a literal plus in mailto:
+  assert.equal(mailto.body, 'a+b');
+  assert.deepEqual(mailto.headers, { 'x-ref': '1' });
+  assert.deepEqual(mailto.problems, []);
+
+  assert.deepEqual(parseMailto('mailto:?subject=Share').problems, []);
+  assert.deepEqual(parseMailto('mailto:"john doe"@example.com').problems, []);
+  assert.deepEqual(parseMailto('mailto:user@[192.0.2.1]').problems, []);
+});
+
+test('every problem in a mailto: link is reported', () => {
+  assert.deepEqual(parseMailto('mailto:').problems, ['No recipient']);
+  assert.match(parseMailto('mailto:sales.example.com').problems[0], /missing "@"/);
+  assert.match(parseMailto('mailto:john..doe@example.com').problems[0], /dots that aren't allowed/);
+  assert.match(parseMailto('mailto:sales@example').problems[0], /no top-level domain/);
+  assert.match(parseMailto('mailto:sales@-example.com').problems[0], /invalid label/);
+
+  const problems = parseMailto('mailto:a@example.com?cc=nope&subject=%E0%A4%A').problems;
+  assert.equal(problems.length, 2);
+  assert.match(problems[0], /Invalid cc address "nope"/);
+  assert.match(problems[1], /Malformed percent-encoding in subject/);
+});
+
+test('international tel: numbers are checked against the numbering plan', () => {
+  assert.deepEqual(parseTel('tel:+44 20 7946 0958'), { number: '+442079460958', extension: null, region: null, problem: null });
+  assert.equal(parseTel('tel:+1-202-555-0143;ext=12').extension, '12');
+  assert.match(parseTel('tel:+44 020 7946 0958').problem, /trunk prefix 0/);
+  assert.match(parseTel('tel:+44 20 7946').problem, /digits after the country code/);
+  assert.match(parseTel('tel:+0123456789').problem, /never start with 0/);
+  assert.match(parseTel('tel:+12').problem, /7 to 15 digits/);
+  assert.match(parseTel('tel:').problem, /No phone number/);
+});
+
+test('local tel: numbers need a phone-context or a default region', () => {
+  const local = parseTel('tel:020 7946 0958');
+  assert.equal(local.local, true);
+  assert.match(local.problem, /no country code/);
+
+  assert.equal(parseTel('tel:020 7946 0958', 'GB').number, '+442079460958');
+  assert.match(parseTel('tel:020 7946', 'GB').problem, /GB numbers have 9 or 10/);
+  assert.equal(parseTel('tel:7946 0958;phone-context=+44-20').number, '+442079460958');
+  assert.match(parseTel('tel:*21#').problem, /aren't digits/);
+});
+
+test('DNS servers must be IP addresses, with an optional port', () => {
+  assert.deepEqual(normalizeDnsServers([' 1.1.1.1 ', '8.8.8.8:53', '[2606:4700::1111]:53', '::1', '']),
+    ['1.1.1.1', '8.8.8.8:53', '[2606:4700::1111]:53', '::1']);
+  assert.throws(() => normalizeDnsServers(['dns.example.com']), /is not an IP address/);
+  assert.throws(() => normalizeDnsServers('1.1.1.1'), /must be an array/);
+});
+
+test('the contact checker turns problems into link statuses', async () => {
+  const contacts = createContactChecker({ phoneRegion: 'US' });
+
+  assert.equal((await contacts.checkMailto('mailto:sales@example.com')).status, 200);
+  const invalid = await contacts.checkMailto('mailto:sales@example');
+  assert.equal(invalid.status, 'INVALID_EMAIL');
+  assert.equal(invalid.contact.kind, 'email');
+
+  assert.equal(contacts.checkTel('tel:(202) 555-0143').contact.number, '+12025550143');
+  assert.equal(contacts.checkTel('tel:555-01').status, 'INVALID_PHONE');
+  assert.equal(createContactChecker().checkTel('tel:555 0143 22').status, 'LOCAL_PHONE');
+});
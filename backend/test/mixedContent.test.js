@@ -0,0 +1,59 @@
+// backend/test/mixedContent.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { classifyMixedContent, isInsecureOutboundLink, toHttpsUrl, describeMixedContentIssue } = require('../mixedContent');
+
+test('http:// resources on https:// pages are classified the way browsers treat them', () => {
+  const page = 'https://example.com/';
+  assert.equal(classifyMixedContent(page, 'http://cdn.example.com/app.js', 'script'), 'active');
+  assert.equal(classifyMixedContent(page, 'http://cdn.example.com/site.css', 'css'), 'active');
+  assert.equal(classifyMixedContent(page, 'http://cdn.example.com/logo.png', 'image'), 'passive');
+  assert.equal(classifyMixedContent(page, 'http://example.com/subscribe', 'form'), 'insecure-form');
+  // Not mixed content: plain links, hints, https:// resources and http:// pages
+  assert.equal(classifyMixedContent(page, 'http://other.com/', 'link'), null);
+  assert.equal(classifyMixedContent(page, 'http://cdn.example.com/', 'resource-hint'), null);
+  assert.equal(classifyMixedContent(page, 'https://cdn.example.com/app.js', 'script'), null);
+  assert.equal(classifyMixedContent('http://example.com/', 'http://cdn.example.com/app.js', 'script'), null);
+});
+
+test('form submissions are reported as insecure forms, not blocked content', () => {
+  const issue = describeMixedContentIssue({
+    kind: 'insecure-form',
+    linkType: 'form',
+    httpsUrl: 'https://example.com/subscribe',
+    httpsWorks: true,
+    pages: ['https://example.com/', 'https://example.com/about']
+  });
+  assert.equal(issue.type, 'Insecure Form');
+  assert.equal(issue.priority, 'High');
+  assert.doesNotMatch(issue.message, /block/);
+  assert.match(issue.message, /on 2 pages/);
+  assert.equal(issue.suggestedFix, 'https://example.com/subscribe');
+});
+
+test('active mixed content is critical and suggests the working https:// version', () => {
+  const issue = describeMixedContentIssue({
+    kind: 'active', linkType: 'script', httpsUrl: 'https://cdn.example.com/app.js', httpsWorks: false, pages: ['https://example.com/']
+  });
+  assert.equal(issue.priority, 'Critical');
+  assert.match(issue.message, /loads a script over HTTP\. Browsers block it/);
+  assert.equal(issue.suggestedFix, null);
+});
+
+test('insecure outbound links are only reported when https:// works', () => {
+  assert.equal(isInsecureOutboundLink('http://other.com/', 'link', 'example.com'), true);
+  assert.equal(isInsecureOutboundLink('http://example.com/', 'link', 'example.com'), false);
+  assert.equal(isInsecureOutboundLink('http://other.com/a.png', 'image', 'example.com'), false);
+
+  const info = { kind: 'insecure-link', linkType: 'link', httpsUrl: 'https://other.com/', pages: ['https://example.com/'] };
+  assert.equal(describeMixedContentIssue({ ...info, httpsWorks: false }), null);
+  assert.equal(describeMixedContentIssue({ ...info, httpsWorks: true }).priority, 'Low');
+});
+
+test('toHttpsUrl upgrades http:// URLs and drops the default port', () => {
+  assert.equal(toHttpsUrl('http://example.com:80/a?b=1'), 'https://example.com/a?b=1');
+  assert.equal(toHttpsUrl('http://example.com:8080/'), 'https://example.com:8080/');
+  assert.equal(toHttpsUrl('https://example.com/'), null);
+  assert.equal(toHttpsUrl('not a url'), null);
+});
@@ -0,0 +1,43 @@
+// backend/test/patterns.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { compilePattern } = require('../patterns');
+
+test('path globs match the path only', () => {
+  const matches = compilePattern('/blog/*');
+  assert.equal(matches('https://example.com/blog/post-1'), true);
+  assert.equal(matches('https://example.com/blog/post-1?page=2'), true);
+  assert.equal(matches('https://example.com/news/blog/post-1'), false);
+});
+
+test('? in a glob is a literal query separator, not a wildcard', () => {
+  const matches = compilePattern('/search?q=*');
+  assert.equal(matches('https://example.com/search?q=shoes'), true);
+  assert.equal(matches('https://example.com/searchXq=shoes'), false);
+  assert.equal(matches('https://example.com/search'), false);
+
+  const fullUrl = compilePattern('*?page=*');
+  assert.equal(fullUrl('https://example.com/tag/a?page=3'), true);
+  assert.equal(fullUrl('https://example.com/tag/a/page=3'), false);
+});
+
+test('globs escape regular expression characters and ignore case', () => {
+  const matches = compilePattern('https://example.com/file(1).PDF');
+  assert.equal(matches('https://example.com/file(1).pdf'), true);
+  assert.equal(matches('https://example.com/file(1)xpdf'), false);
+});
+
+test('regex: patterns are tested against the full URL', () => {
+  const matches = compilePattern('regex:/docs/v[0-9]+/');
+  assert.equal(matches('https://example.com/docs/v2/intro'), true);
+  assert.equal(matches('https://example.com/docs/latest/intro'), false);
+});
+
+test('invalid regex patterns throw a readable error', () => {
+  assert.throws(() => compilePattern('regex:(unclosed'), /Invalid regex pattern "regex:\(unclosed"/);
+});
+
+test('unparseable URLs never match a path glob', () => {
+  assert.equal(compilePattern('/blog/*')('not a url'), false);
+});
@@ -0,0 +1,88 @@
+// backend/test/robots.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { ROBOTS_USER_AGENT, CRAWLER_USER_AGENT, parseRobotsTxt, fetchRobotsPolicy } = require('../robots');
+
+// Serve robots.txt from a local server for the duration of fn
+async function withRobotsTxt(body, fn) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(req);
+    if (body === null) {
+      res.writeHead(404);
+      return res.end();
+    }
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end(body);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    return await fn(`http://127.0.0.1:${server.address().port}/`, requests);
+  } finally {
+    server.close();
+  }
+}
+
+test('the crawler user agent contains the robots.txt token', () => {
+  assert.ok(CRAWLER_USER_AGENT.includes(ROBOTS_USER_AGENT));
+});
+
+test('parseRobotsTxt groups consecutive user-agent lines and collects sitemaps', () => {
+  const { groups, sitemaps } = parseRobotsTxt([
+    'User-agent: a',
+    'User-agent: b # comment',
+    'Disallow: /private',
+    'Disallow:',
+    'Crawl-delay: 2',
+    '',
+    'Sitemap: https://example.com/sitemap.xml',
+    'User-agent: *',
+    'Allow: /'
+  ].join('\r\n'));
+
+  assert.deepEqual(groups[0].agents, ['a', 'b']);
+  assert.deepEqual(groups[0].rules, [{ allow: false, path: '/private' }]);
+  assert.equal(groups[0].crawlDelay, 2);
+  assert.deepEqual(groups[1].agents, ['*']);
+  assert.deepEqual(sitemaps, ['https://example.com/sitemap.xml']);
+});
+
+test('our own group wins over *, and longest rule wins with Allow breaking ties', async () => {
+  const robotsTxt = [
+    'User-agent: *',
+    'Disallow: /',
+    '',
+    'User-agent: linkcheckerpro',
+    'Disallow: /admin',
+    'Allow: /admin/public',
+    'Disallow: /*.pdf$',
+    'Disallow: /tie',
+    'Allow: /tie',
+    'Crawl-delay: 120'
+  ].join('\n');
+
+  await withRobotsTxt(robotsTxt, async (site, requests) => {
+    const policy = await fetchRobotsPolicy(site);
+    assert.equal(policy.found, true);
+    assert.equal(policy.isAllowed(`${site}blog`), true);
+    assert.equal(policy.isAllowed(`${site}admin/users`), false);
+    assert.equal(policy.isAllowed(`${site}admin/public/page`), true);
+    assert.equal(policy.isAllowed(`${site}files/report.pdf`), false);
+    assert.equal(policy.isAllowed(`${site}files/report.pdf?download=1`), true);
+    assert.equal(policy.isAllowed(`${site}tie`), true);
+    // Crawl-delay is capped
+    assert.equal(policy.crawlDelay, 30);
+    assert.equal(requests[0].headers['user-agent'], CRAWLER_USER_AGENT);
+  });
+});
+
+test('a missing robots.txt allows everything', async () => {
+  await withRobotsTxt(null, async (site) => {
+    const policy = await fetchRobotsPolicy(site);
+    assert.equal(policy.found, false);
+    assert.equal(policy.crawlDelay, 0);
+    assert.equal(policy.isAllowed(`${site}anything`), true);
+  });
+});
@@ -0,0 +1,80 @@
+// backend/test/rules.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'link-checker-rules-'));
+
+const {
+  DEFAULT_RULES,
+  normalizeRule,
+  normalizeRules,
+  listRules,
+  saveRules,
+  createRule,
+  deleteRule,
+  resetRules,
+  createRuleMatcher
+} = require('../rules');
+
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+test('normalizeRule cleans up a rule and drops fields its action does not use', () => {
+  const rule = normalizeRule({ action: 'ignore', hosts: [' *.Tracker.example '], statuses: [404], priority: 'High', note: ' pixels ' });
+  assert.deepEqual({ ...rule, id: undefined }, {
+    id: undefined, action: 'ignore', pattern: null, hosts: ['tracker.example'], statuses: [], priority: null, type: null, note: 'pixels'
+  });
+  assert.equal(normalizeRule({ id: 'keep-me', action: 'ok-status', pattern: '*', statuses: ['999', 999] }).id, 'keep-me');
+  assert.deepEqual(normalizeRule({ action: 'ok-status', pattern: '*', statuses: ['999', 999] }).statuses, [999]);
+});
+
+test('invalid rules are rejected with a readable error', () => {
+  assert.throws(() => normalizeRule({ action: 'delete', pattern: '*' }), /action must be one of/);
+  assert.throws(() => normalizeRule({ action: 'ignore' }), /needs a URL pattern or at least one host/);
+  assert.throws(() => normalizeRule({ action: 'ok-status', pattern: '*' }), /need at least one status/);
+  assert.throws(() => normalizeRule({ action: 'ok-status', pattern: '*', statuses: [42] }), /HTTP status codes/);
+  assert.throws(() => normalizeRule({ action: 'override', pattern: '*' }), /need a priority or a type/);
+  assert.throws(() => normalizeRule({ action: 'override', pattern: '*', priority: 'Urgent' }), /priority must be one of/);
+  assert.throws(() => normalizeRules([{ action: 'ignore', pattern: '*' }, null]), /^Error: Rule 2: A rule must be an object$/);
+});
+
+test('rules match by pattern or by host and subdomain, in rule order', () => {
+  const rules = normalizeRules([
+    { id: 'docs', action: 'override', pattern: '/docs/*', type: 'Docs Link' },
+    { id: 'cdn', action: 'existence-only', hosts: ['cdn.example'] }
+  ]);
+  const matcher = createRuleMatcher(rules);
+
+  assert.deepEqual(matcher.match('https://example.com/docs/intro').map(r => r.id), ['docs']);
+  assert.deepEqual(matcher.match('https://img.cdn.example/docs/a.png').map(r => r.id), ['docs', 'cdn']);
+  assert.deepEqual(matcher.match('https://notcdn.example/'), []);
+  assert.deepEqual(matcher.match('mailto:a@example.com'), []);
+});
+
+test('the default rules cover tracking pixels, 304 and LinkedIn', () => {
+  const matcher = createRuleMatcher();
+  assert.equal(matcher.match('https://www.google-analytics.com/collect?v=1')[0].action, 'ignore');
+  assert.deepEqual(matcher.match('https://www.linkedin.com/company/x').map(r => r.id),
+    ['default-not-modified', 'default-linkedin-999']);
+});
+
+test('saved rules replace the defaults, overlapping edits are all kept, reset restores them', async () => {
+  assert.equal(await listRules(), DEFAULT_RULES);
+
+  await saveRules([]);
+  const [a, b] = await Promise.all([
+    createRule({ action: 'ignore', pattern: '*/logout*' }),
+    createRule({ action: 'ignore', hosts: ['ads.example'] })
+  ]);
+  assert.deepEqual((await listRules()).map(r => r.id), [a.id, b.id]);
+
+  assert.equal(await deleteRule(a.id), true);
+  assert.equal(await deleteRule(a.id), false);
+  assert.deepEqual((await listRules()).map(r => r.id), [b.id]);
+
+  await resetRules();
+  assert.equal(await listRules(), DEFAULT_RULES);
+});
@@ -0,0 +1,60 @@
+// backend/test/scanStore.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'link-checker-scans-'));
+
+const { writeJsonAtomic, saveScan, listScans, getScan } = require('../scanStore');
+
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+const scan = (id, domain, createdAt) => ({
+  id,
+  domain,
+  options: { maxPages: 5 },
+  createdAt,
+  finishedAt: createdAt,
+  result: { healthScore: 90, stats: { brokenLinks: 1 }, results: [{ linkUrl: `${domain}missing` }] }
+});
+
+test('writeJsonAtomic creates the folder and leaves no temp files', async () => {
+  const file = path.join(process.env.DATA_DIR, 'nested', 'data.json');
+  await Promise.all([1, 2, 3].map(n => writeJsonAtomic(file, { n }, 2)));
+
+  assert.ok([1, 2, 3].includes(JSON.parse(fs.readFileSync(file, 'utf8')).n));
+  assert.deepEqual(fs.readdirSync(path.dirname(file)), ['data.json']);
+});
+
+test('concurrent saves all reach the index, newest first', async () => {
+  await Promise.all([
+    saveScan(scan('a', 'https://a.example/', '2026-01-01T00:00:00.000Z')),
+    saveScan(scan('b', 'https://b.example/', '2026-01-03T00:00:00.000Z')),
+    saveScan(scan('c', 'https://a.example/', '2026-01-02T00:00:00.000Z'))
+  ]);
+
+  assert.deepEqual((await listScans()).map(s => s.id), ['b', 'c', 'a']);
+  assert.deepEqual((await listScans({ domain: 'https://a.example/' })).map(s => s.id), ['c', 'a']);
+  // Index rows are summaries, the full results stay in the scan file
+  assert.equal((await listScans())[0].results, undefined);
+});
+
+test('saving a scan again replaces its index row', async () => {
+  await saveScan({ ...scan('a', 'https://a.example/', '2026-01-01T00:00:00.000Z'), result: { healthScore: 100, stats: {} } });
+  const rows = (await listScans()).filter(s => s.id === 'a');
+  assert.equal(rows.length, 1);
+  assert.equal(rows[0].healthScore, 100);
+});
+
+test('getScan loads full scans and refuses unknown or unsafe ids', async () => {
+  const stored = await getScan('b');
+  assert.equal(stored.domain, 'https://b.example/');
+  assert.equal(stored.results.length, 1);
+  assert.equal(stored.scheduleId, null);
+
+  assert.equal(await getScan('missing'), null);
+  assert.equal(await getScan('../index'), null);
+});
@@ -0,0 +1,177 @@
+// backend/test/scanner.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { checkLinkStatus, checkLinkWithRetries, findRedirectIssues, describeRedirectIssue, findMissingAnchor } = require('../scanner');
+const { createUrlNormalizer } = require('../urlNormalizer');
+
+// Local site: ROUTES maps a path to a handler, everything else is a plain 200 page
+const ROUTES = {
+  '/temporary': (req, res) => redirect(res, 302, '/moved'),
+  '/moved': (req, res) => redirect(res, 301, '/final'),
+  '/loop-a': (req, res) => redirect(res, 301, '/loop-b'),
+  '/loop-b': (req, res) => redirect(res, 301, '/loop-a'),
+  '/report.pdf': (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/pdf', 'Content-Length': 40000000 });
+    res.end();
+  },
+  // Rejects HEAD; the GET body never finishes, so the check must hang up after the headers
+  '/no-head': (req, res) => {
+    if (req.method === 'HEAD') {
+      res.writeHead(405);
+      return res.end();
+    }
+    res.writeHead(200, { 'Content-Type': 'video/mp4', 'Content-Length': 50000000 });
+    res.write(Buffer.alloc(1024));
+    req.on('close', () => closedEarly.push(req.url));
+  },
+  // Busy on the first request only, asking to come back straight away
+  '/flaky': (req, res) => {
+    const busy = requests.filter(r => r.endsWith('/flaky')).length === 1;
+    res.writeHead(busy ? 503 : 200, busy ? { 'Retry-After': '0' } : {});
+    res.end();
+  },
+  '/down': (req, res) => {
+    res.writeHead(503);
+    res.end();
+  },
+  '/gone': (req, res) => {
+    res.writeHead(404);
+    res.end();
+  }
+};
+const requests = [];
+const closedEarly = [];
+
+function redirect(res, status, location) {
+  res.writeHead(status, { Location: location });
+  res.end();
+}
+
+const baseHost = '127.0.0.1';
+let server;
+let site;
+
+test.before(async () => {
+  server = http.createServer((req, res) => {
+    requests.push(`${req.method} ${req.url}`);
+    const route = ROUTES[req.url];
+    if (route) return route(req, res);
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.end('<p>ok</p>');
+  });
+  await new Promise(resolve => server.listen(0, baseHost, resolve));
+  site = `http://${baseHost}:${server.address().port}`;
+});
+
+test.after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+test('fragments are checked against the anchors of the crawled target page', () => {
+  const anchors = { 'https://example.com/pricing': ['enterprise', 'Team Plan'] };
+
+  assert.equal(findMissingAnchor('https://example.com/pricing#enterprise', anchors), null);
+  assert.equal(findMissingAnchor('https://example.com/pricing#Team%20Plan', anchors), null);
+  assert.deepEqual(findMissingAnchor('https://example.com/pricing#startup', anchors), {
+    fragment: 'startup',
+    targetPage: 'https://example.com/pricing',
+    suggestedFix: null
+  });
+});
+
+test('a fragment that only differs in case suggests the right one', () => {
+  const anchors = { 'https://example.com/pricing': ['enterprise'] };
+  assert.equal(
+    findMissingAnchor('https://example.com/pricing#Enterprise', anchors).suggestedFix,
+    'https://example.com/pricing#enterprise'
+  );
+});
+
+test('fragments that are not element references, or pages never crawled, are not reported', () => {
+  const anchors = { 'https://example.com/': [] };
+  assert.equal(findMissingAnchor('https://example.com/#', anchors), null);
+  assert.equal(findMissingAnchor('https://example.com/#top', anchors), null);
+  assert.equal(findMissingAnchor('https://example.com/#!/route', anchors), null);
+  assert.equal(findMissingAnchor('https://example.com/#/settings', anchors), null);
+  assert.equal(findMissingAnchor('https://other.example/#section', anchors), null);
+});
+
+test('target pages are looked up by the crawler\'s canonical URL', () => {
+  const normalizeUrl = createUrlNormalizer({ trailingSlash: 'remove' });
+  const anchors = { [normalizeUrl('https://example.com/docs/')]: ['install'] };
+  assert.equal(findMissingAnchor('https://example.com/docs/#install', anchors, normalizeUrl), null);
+  assert.equal(findMissingAnchor('https://example.com/docs#setup', anchors, normalizeUrl).fragment, 'setup');
+});
+
+test('every redirect hop is recorded and internal temporary redirects are reported', async () => {
+  const info = await checkLinkStatus(`${site}/temporary`, null, { baseHost });
+
+  assert.equal(info.status, 200);
+  assert.equal(info.finalUrl, `${site}/final`);
+  assert.deepEqual(info.redirectChain, [
+    { url: `${site}/temporary`, status: 302, location: `${site}/moved` },
+    { url: `${site}/moved`, status: 301, location: `${site}/final` }
+  ]);
+  assert.deepEqual(info.redirectIssues, ['temporary-internal', 'internal-redirect']);
+  assert.equal(describeRedirectIssue(info, 3).type, 'Temporary Internal Redirect');
+
+  // External links aren't held to the internal rules, only the chain limit
+  const external = await checkLinkStatus(`${site}/temporary`, null, { baseHost: 'example.com', redirectChainLimit: 1 });
+  assert.deepEqual(external.redirectIssues, ['too-long']);
+  assert.equal(describeRedirectIssue(external, 1).suggestedFix, `${site}/final`);
+});
+
+test('redirect loops are detected', async () => {
+  const info = await checkLinkStatus(`${site}/loop-a`, null, { baseHost });
+  assert.equal(info.status, 'REDIRECT_LOOP');
+  assert.equal(info.redirectChain.length, 2);
+  assert.equal(describeRedirectIssue(info, 3).priority, 'Critical');
+});
+
+test('HTTPS to HTTP downgrades outrank the other redirect issues', () => {
+  const chain = [{ url: 'https://example.com/a', status: 302, location: 'http://example.com/b' }];
+  assert.deepEqual(findRedirectIssues(chain, { isInternal: true, redirectChainLimit: 3 }),
+    ['https-downgrade', 'temporary-internal', 'internal-redirect']);
+  assert.deepEqual(findRedirectIssues([], { loop: false, isInternal: true, redirectChainLimit: 3 }), []);
+});
+
+test('links are checked with HEAD and the headers are recorded', async () => {
+  const info = await checkLinkStatus(`${site}/report.pdf`, null, { baseHost });
+  assert.equal(info.status, 200);
+  assert.equal(info.checkMethod, 'HEAD');
+  assert.equal(info.contentType, 'application/pdf');
+  assert.equal(info.contentLength, 40000000);
+  assert.ok(!requests.includes('GET /report.pdf'));
+});
+
+test('servers that reject HEAD get a GET that stops after the headers', async () => {
+  const info = await checkLinkStatus(`${site}/no-head`, null, { baseHost });
+  assert.equal(info.status, 200);
+  assert.equal(info.checkMethod, 'GET');
+  assert.equal(info.contentType, 'video/mp4');
+  assert.deepEqual(requests.filter(r => r.endsWith('/no-head')), ['HEAD /no-head', 'GET /no-head']);
+
+  await new Promise(resolve => setTimeout(resolve, 100));
+  assert.deepEqual(closedEarly, ['/no-head']);
+});
+
+test('links that pass after a retry are marked flaky', async () => {
+  const info = await checkLinkWithRetries(`${site}/flaky`, null, { baseHost, retries: 2, retryBaseDelayMs: 5000 });
+  assert.equal(info.status, 200);
+  assert.equal(info.attempts, 2);
+  assert.equal(info.flaky, true);
+});
+
+test('transient failures are retried until the retries run out, hard failures are not', async () => {
+  const down = await checkLinkWithRetries(`${site}/down`, null, { baseHost, retries: 2, retryBaseDelayMs: 5 });
+  assert.equal(down.status, 503);
+  assert.equal(down.attempts, 3);
+  assert.equal(down.flaky, false);
+
+  const gone = await checkLinkWithRetries(`${site}/gone`, null, { baseHost, retries: 2, retryBaseDelayMs: 5 });
+  assert.equal(gone.status, 404);
+  assert.equal(gone.attempts, 1);
+});
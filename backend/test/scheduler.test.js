@@ -0,0 +1,111 @@
+// backend/test/scheduler.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'link-checker-scheduler-'));
+const SCHEDULES_FILE = path.join(process.env.DATA_DIR, 'schedules.json');
+
+// Saved before the scheduler is loaded: a schedule from an older version whose
+// options lack later settings, and one whose options no longer validate
+const past = new Date(Date.now() - 60000).toISOString();
+const legacyEntry = (id, options) => ({
+  id,
+  domain: 'https://example.com/',
+  schedule: 'daily',
+  options,
+  paused: false,
+  createdAt: past,
+  nextRunAt: past,
+  lastRunAt: null,
+  lastScanId: null,
+  lastStatus: null,
+  lastError: null
+});
+fs.writeFileSync(SCHEDULES_FILE, JSON.stringify([
+  legacyEntry('legacy', { maxPages: 5, linkTypes: ['link'] }),
+  legacyEntry('invalid', { maxPages: 0 })
+]));
+
+const scheduler = require('../scheduler');
+const { normalizeScanOptions } = require('../scanner');
+
+test('due schedules run with normalized options, and invalid ones are recorded as failed', async () => {
+  const launched = [];
+  const stop = scheduler.startScheduler(async (schedule) => {
+    const options = normalizeScanOptions(schedule.options);
+    launched.push({ id: schedule.id, options });
+    return { id: `job-${schedule.id}`, status: 'completed', error: null };
+  });
+
+  try {
+    let list;
+    for (let i = 0; i < 50; i++) {
+      list = await scheduler.listSchedules();
+      if (list.every(s => s.lastRunAt)) break;
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+
+    assert.equal(launched.length, 1);
+    assert.equal(launched[0].options.maxPages, 5);
+    assert.equal(launched[0].options.retries, 2);
+    assert.equal(launched[0].options.trailingSlash, 'keep');
+
+    const legacy = list.find(s => s.id === 'legacy');
+    assert.equal(legacy.lastStatus, 'completed');
+    assert.equal(legacy.lastScanId, 'job-legacy');
+    assert.ok(legacy.nextRunAt > past);
+
+    const invalid = list.find(s => s.id === 'invalid');
+    assert.equal(invalid.lastStatus, 'failed');
+    assert.match(invalid.lastError, /maxPages/);
+  } finally {
+    stop();
+  }
+});
+
+test('schedules keep options as entered and never expose their sign-in details', async () => {
+  const auth = { basicAuth: { username: 'user', password: 'secret' } };
+  const created = await scheduler.createSchedule({
+    domain: 'https://private.example.com/',
+    schedule: 'hourly',
+    options: { maxPages: 3 },
+    auth
+  });
+
+  assert.equal(created.auth, undefined);
+  assert.equal(created.hasAuth, true);
+  assert.deepEqual(created.options, { maxPages: 3 });
+
+  const listed = (await scheduler.listSchedules()).find(s => s.id === created.id);
+  assert.equal(listed.auth, undefined);
+
+  const stored = JSON.parse(fs.readFileSync(SCHEDULES_FILE, 'utf8')).find(s => s.id === created.id);
+  assert.deepEqual(stored.auth, auth);
+});
+
+test('overlapping changes are all saved', async () => {
+  const created = await Promise.all(Array.from({ length: 10 }, (_, i) => scheduler.createSchedule({
+    domain: `https://site${i}.example.com/`,
+    schedule: 'weekly'
+  })));
+  await Promise.all(created.slice(0, 4).map(entry => scheduler.deleteSchedule(entry.id)));
+  await Promise.all(created.slice(4, 6).map(entry => scheduler.setSchedulePaused(entry.id, true)));
+
+  const stored = JSON.parse(fs.readFileSync(SCHEDULES_FILE, 'utf8'));
+  const ids = new Set(stored.map(s => s.id));
+  assert.equal(created.filter(entry => ids.has(entry.id)).length, 6);
+  assert.equal(stored.filter(s => s.paused).length, 2);
+});
+
+test('schedules must be a preset or a valid cron expression', () => {
+  assert.equal(scheduler.validateSchedule(' daily '), 'daily');
+  assert.equal(scheduler.validateSchedule('*/15 * * * *'), '*/15 * * * *');
+  assert.throws(() => scheduler.validateSchedule(''), /hourly, daily, weekly/);
+  assert.throws(() => scheduler.validateSchedule('every tuesday'), /Invalid cron expression/);
+});
+
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
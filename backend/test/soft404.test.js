@@ -0,0 +1,78 @@
+// backend/test/soft404.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createSoft404Detector, buildPageSignature, jaccardSimilarity, findNotFoundPhrase } = require('../soft404');
+
+const ERROR_TEMPLATE = '<title>Example Store</title><body><nav>Home Shop About Contact</nav>' +
+  '<p>We looked everywhere for this page but it seems to have wandered off somewhere, ' +
+  'try searching the shop or head back to the home page to keep browsing our latest products and offers.</p></body>';
+const REAL_PAGE = '<title>Blue Shoes</title><body><p>Our blue shoes are hand made from soft leather ' +
+  'and come in every size from small to large, with free delivery on orders over fifty pounds.</p></body>';
+
+// Serve the error template for every path except /real, recording each request path
+async function withSite(fn) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(req.url);
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.end(req.url === '/real' ? REAL_PAGE : ERROR_TEMPLATE);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    return await fn(`http://127.0.0.1:${server.address().port}`, requests);
+  } finally {
+    server.close();
+  }
+}
+
+test('page signatures collapse whitespace and compare by shingles', () => {
+  const a = buildPageSignature({ status: 200, finalUrl: 'https://example.com/', title: ' Hello\n world ', text: 'one  two three\nfour' });
+  assert.equal(a.title, 'Hello world');
+  assert.equal(a.textLength, 'one two three four'.length);
+  assert.deepEqual([...a.shingles], ['one two three', 'two three four']);
+
+  const b = buildPageSignature({ status: 200, finalUrl: 'https://example.com/', text: 'one two three five' });
+  assert.equal(jaccardSimilarity(a.shingles, b.shingles), 1 / 3);
+  assert.equal(jaccardSimilarity(a.shingles, new Set()), 0);
+});
+
+test('not-found phrases are recognised', () => {
+  assert.equal(findNotFoundPhrase('Error 404'), '404');
+  assert.equal(findNotFoundPhrase('Sorry, that page was not found'), 'page was not found');
+  assert.equal(findNotFoundPhrase("This product doesn't exist"), "doesn't exist");
+  assert.equal(findNotFoundPhrase('Our story since 1998'), null);
+});
+
+test('pages matching the site error page are soft 404s, real pages are not', async () => {
+  await withSite(async (site) => {
+    const detector = createSoft404Detector(undefined, { probeHost: '127.0.0.1' });
+
+    const missing = await detector.detect(`${site}/old-product`);
+    assert.ok(missing.confidence >= 0.85);
+    assert.match(missing.reasons[0], /similar to this site's error page/);
+
+    assert.equal(await detector.detect(`${site}/real`), null);
+  });
+});
+
+test('pages the crawler rendered are not downloaded again', async () => {
+  await withSite(async (site, requests) => {
+    const detector = createSoft404Detector(undefined, { probeHost: '127.0.0.1' });
+
+    const result = await detector.detect(`${site}/real`, `${site}/real`, { title: 'Page not found', text: 'Sorry!' });
+    assert.deepEqual(result.reasons, ['title says "Page not found"']);
+    assert.ok(!requests.includes('/real'));
+  });
+});
+
+test('only the scanned site is probed for its error page', async () => {
+  await withSite(async (site, requests) => {
+    const detector = createSoft404Detector(undefined, { probeHost: 'example.com' });
+
+    // Without a fingerprint only the page's own wording counts
+    assert.equal(await detector.detect(`${site}/old-product`), null);
+    assert.deepEqual(requests, ['/old-product']);
+  });
+});
@@ -0,0 +1,37 @@
+// backend/test/urlNormalizer.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createUrlNormalizer } = require('../urlNormalizer');
+
+test('by default fragments and tracking parameters are dropped and the query is sorted', () => {
+  const normalize = createUrlNormalizer();
+  assert.equal(normalize('https://EXAMPLE.com:443/page#top'), 'https://example.com/page');
+  assert.equal(normalize('https://example.com/page?utm_source=x&b=2&gclid=1&a=1'), 'https://example.com/page?a=1&b=2');
+  // Repeated parameters keep their order
+  assert.equal(normalize('https://example.com/?tag=b&id=1&tag=a'), 'https://example.com/?id=1&tag=b&tag=a');
+  assert.equal(normalize('https://example.com/page?utm_medium=email'), 'https://example.com/page');
+});
+
+test('each normalization can be switched off', () => {
+  const normalize = createUrlNormalizer({ stripFragments: false, stripTrackingParams: false, sortQueryParams: false });
+  assert.equal(normalize('https://example.com/page?utm_source=x&b=2&a=1#top'), 'https://example.com/page?utm_source=x&b=2&a=1#top');
+});
+
+test('trailing slashes follow the policy, files and the root are left alone', () => {
+  const keep = createUrlNormalizer();
+  const add = createUrlNormalizer({ trailingSlash: 'add' });
+  const remove = createUrlNormalizer({ trailingSlash: 'remove' });
+
+  assert.equal(keep('https://example.com/docs/'), 'https://example.com/docs/');
+  assert.equal(add('https://example.com/docs'), 'https://example.com/docs/');
+  assert.equal(add('https://example.com/logo.png'), 'https://example.com/logo.png');
+  assert.equal(remove('https://example.com/docs//'), 'https://example.com/docs');
+  assert.equal(remove('https://example.com/'), 'https://example.com/');
+});
+
+test('non-HTTP and unparseable URLs pass through', () => {
+  const normalize = createUrlNormalizer();
+  assert.equal(normalize('mailto:sales@example.com?subject=Hi'), 'mailto:sales@example.com?subject=Hi');
+  assert.equal(normalize('not a url'), 'not a url');
+});
@@ -0,0 +1,113 @@
+// backend/test/webhooks.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'link-checker-webhooks-'));
+
+const { normalizeWebhook, createWebhook, deleteWebhook, listWebhooks, listDeliveries, notifyScanComplete } = require('../webhooks');
+
+const issue = (linkUrl, priority) => ({
+  linkUrl, canonicalUrl: linkUrl, type: 'link', priority, status: 404, linkText: 'Link', pageUrl: 'https://example.com/', aiAnalysis: 'Missing'
+});
+const scan = (id, results) => ({
+  id,
+  domain: 'https://example.com/',
+  finishedAt: new Date().toISOString(),
+  healthScore: 80,
+  stats: { criticalIssues: results.filter(r => r.priority === 'Critical').length, highIssues: 0 },
+  results
+});
+
+// Receive webhook posts; respond(n) gives the status for the nth request
+let server;
+let received = [];
+let respond = () => 200;
+let hookUrl;
+
+test.before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ url: req.url, body: JSON.parse(body) });
+      res.writeHead(respond(received.length));
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  hookUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.close();
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+test('normalizeWebhook rejects bad settings', () => {
+  assert.throws(() => normalizeWebhook({ url: 'ftp://example.com/' }), /http\(s\) URL/);
+  assert.throws(() => normalizeWebhook({ url: 'https://example.com/', format: 'teams' }), /format must be/);
+  assert.throws(() => normalizeWebhook({ url: 'https://example.com/', mode: 'never' }), /mode must be/);
+  assert.throws(() => normalizeWebhook({ url: 'https://example.com/', domains: 'example.com' }), /domains must be/);
+  assert.deepEqual(normalizeWebhook({ url: 'https://example.com/' }),
+    { url: 'https://example.com/', format: 'generic', mode: 'always', domains: [] });
+});
+
+test('webhooks can be created together and deleted', async () => {
+  const [a, b] = await Promise.all([
+    createWebhook({ url: 'https://a.example/' }),
+    createWebhook({ url: 'https://b.example/' })
+  ]);
+  assert.equal((await listWebhooks()).length, 2);
+
+  assert.equal(await deleteWebhook(a.id), true);
+  assert.equal(await deleteWebhook(a.id), false);
+  assert.equal(await deleteWebhook(b.id), true);
+  assert.deepEqual(await listWebhooks(), []);
+});
+
+test('scans are posted to matching webhooks, new-critical only when critical issues appear', async () => {
+  received = [];
+  const generic = await createWebhook({ url: `${hookUrl}/generic` });
+  const slack = await createWebhook({ url: `${hookUrl}/slack`, format: 'slack', mode: 'new-critical' });
+  const other = await createWebhook({ url: `${hookUrl}/other`, domains: ['https://other.example/'] });
+
+  const previous = scan('first', [issue('https://example.com/old', 'Critical')]);
+  const current = scan('second', [issue('https://example.com/old', 'Critical'), issue('https://example.com/new', 'Critical')]);
+
+  const deliveries = await notifyScanComplete(current, previous);
+  assert.deepEqual(deliveries.map(d => d.status), ['delivered', 'delivered']);
+
+  const genericPost = received.find(r => r.url === '/generic').body;
+  assert.equal(genericPost.event, 'scan.completed');
+  assert.deepEqual(genericPost.newCriticalIssues.map(i => i.linkUrl), ['https://example.com/new']);
+  assert.equal(genericPost.topIssues.length, 2);
+  assert.match(received.find(r => r.url === '/slack').body.text, /health score 80\/100, 2 critical/);
+
+  // Nothing new since the last scan: the new-critical webhook is skipped
+  received = [];
+  const repeat = await notifyScanComplete(scan('third', current.results), current);
+  assert.deepEqual(repeat.map(d => d.status), ['delivered', 'skipped']);
+  assert.deepEqual(received.map(r => r.url), ['/generic']);
+
+  await Promise.all([generic, slack, other].map(w => deleteWebhook(w.id)));
+});
+
+test('failed deliveries are retried and logged', async () => {
+  received = [];
+  respond = n => (n === 1 ? 503 : 204);
+  const webhook = await createWebhook({ url: `${hookUrl}/flaky` });
+
+  const [delivery] = await notifyScanComplete(scan('retry', []));
+  assert.equal(delivery.status, 'delivered');
+  assert.equal(delivery.attempts, 2);
+  assert.equal(delivery.responseStatus, 204);
+
+  const log = await listDeliveries();
+  assert.equal(log[0].id, delivery.id);
+  assert.equal(log[0].webhookId, webhook.id);
+});
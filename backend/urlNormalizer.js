@@ -0,0 +1,69 @@
+// backend/urlNormalizer.js
+// Canonical URL keys, so "/page", "/page#top" and "/page?utm_source=x" are
+// crawled and checked once ("/page/" too when the crawl's trailingSlash policy
+// says so). Keys are only used for deduplication - requests and reports keep
+// the URL as it was written on the page.
+
+const { URL } = require('url');
+
+const TRAILING_SLASH_POLICIES = ['keep', 'add', 'remove'];
+
+// Query parameters that only carry campaign or click tracking
+const TRACKING_PARAM_PATTERNS = [
+  /^utm_/i,
+  /^gclid$/i,
+  /^fbclid$/i,
+  /^msclkid$/i,
+  /^mc_(cid|eid)$/i
+];
+
+function isTrackingParam(name) {
+  return TRACKING_PARAM_PATTERNS.some(pattern => pattern.test(name));
+}
+
+// Build a function mapping a URL to its canonical key. Hosts are always
+// lowercased and default ports dropped (URL parsing does both); the rest
+// follows the scan options. Unparseable URLs are returned unchanged.
+function createUrlNormalizer({
+  stripFragments = true,
+  stripTrackingParams = true,
+  sortQueryParams = true,
+  trailingSlash = 'keep'
+} = {}) {
+  return (url) => {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return url;
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return parsed.href;
+
+    if (stripFragments) parsed.hash = '';
+
+    if (stripTrackingParams || sortQueryParams) {
+      let params = Array.from(parsed.searchParams.entries());
+      if (stripTrackingParams) params = params.filter(([name]) => !isTrackingParam(name));
+      // Stable sort keeps repeated parameters (?tag=a&tag=b) in their original order
+      if (sortQueryParams) params.sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+      parsed.search = new URLSearchParams(params).toString();
+    }
+
+    if (parsed.pathname !== '/') {
+      if (trailingSlash === 'remove' && parsed.pathname.endsWith('/')) {
+        parsed.pathname = parsed.pathname.replace(/\/+$/, '');
+      } else if (trailingSlash === 'add' && !parsed.pathname.endsWith('/') &&
+          !/\.[a-z0-9]+$/i.test(parsed.pathname)) {
+        // Files like /logo.png never get a slash
+        parsed.pathname += '/';
+      }
+    }
+
+    return parsed.href;
+  };
+}
+
+module.exports = {
+  TRAILING_SLASH_POLICIES,
+  createUrlNormalizer
+};
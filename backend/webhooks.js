@@ -0,0 +1,240 @@
+// backend/webhooks.js
+// Webhook notifications when scans finish, with retries and a delivery log
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const { DATA_DIR, writeJsonAtomic } = require('./scanStore');
+const { compareScans } = require('./compareScans');
+
+const WEBHOOKS_FILE = path.join(DATA_DIR, 'webhooks.json');
+const DELIVERIES_FILE = path.join(DATA_DIR, 'webhook-deliveries.json');
+
+const WEBHOOK_FORMATS = ['generic', 'slack'];
+// 'always' posts after every scan, 'new-critical' only when Critical issues appear
+const WEBHOOK_MODES = ['always', 'new-critical'];
+const MAX_ATTEMPTS = 3;
+const RETRY_BASE_DELAY_MS = 2000;
+const MAX_LOGGED_DELIVERIES = 200;
+const TOP_ISSUES_LIMIT = 10;
+
+// File writes are chained so overlapping deliveries don't lose log entries
+let fileWrite = Promise.resolve();
+
+async function readJson(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+function updateJson(filePath, update) {
+  fileWrite = fileWrite
+    .catch(() => {})
+    .then(async () => {
+      const data = update(await readJson(filePath));
+      await writeJsonAtomic(filePath, data, 2);
+      return data;
+    });
+  return fileWrite;
+}
+
+function listWebhooks() {
+  return readJson(WEBHOOKS_FILE);
+}
+
+function listDeliveries() {
+  return readJson(DELIVERIES_FILE);
+}
+
+// Validate webhook settings, throwing a readable error
+function normalizeWebhook({ url, format = 'generic', mode = 'always', domains = [] } = {}) {
+  try {
+    const parsed = new URL(url);
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') throw new Error();
+  } catch {
+    throw new Error('url must be an http(s) URL');
+  }
+
+  if (!WEBHOOK_FORMATS.includes(format)) {
+    throw new Error(`format must be one of: ${WEBHOOK_FORMATS.join(', ')}`);
+  }
+  if (!WEBHOOK_MODES.includes(mode)) {
+    throw new Error(`mode must be one of: ${WEBHOOK_MODES.join(', ')}`);
+  }
+  if (!Array.isArray(domains) || domains.some(d => typeof d !== 'string')) {
+    throw new Error('domains must be an array of domain URLs');
+  }
+
+  return { url, format, mode, domains };
+}
+
+async function createWebhook(input) {
+  const webhook = {
+    id: crypto.randomUUID(),
+    ...normalizeWebhook(input),
+    createdAt: new Date().toISOString()
+  };
+
+  await updateJson(WEBHOOKS_FILE, webhooks => [...webhooks, webhook]);
+  return webhook;
+}
+
+async function deleteWebhook(id) {
+  let found = false;
+  await updateJson(WEBHOOKS_FILE, webhooks => webhooks.filter(w => {
+    if (w.id === id) found = true;
+    return w.id !== id;
+  }));
+  return found;
+}
+
+function summarizeIssue(result) {
+  return {
+    priority: result.priority,
+    type: result.type,
+    status: result.status,
+    linkText: result.linkText,
+    linkUrl: result.linkUrl,
+    pageUrl: result.pageUrl,
+    aiAnalysis: result.aiAnalysis,
+    suggestedFix: result.suggestedFix
+  };
+}
+
+function buildGenericPayload(scan, topIssues, newCriticalIssues) {
+  return {
+    event: 'scan.completed',
+    scanId: scan.id,
+    domain: scan.domain,
+    finishedAt: scan.finishedAt,
+    healthScore: scan.healthScore,
+    stats: scan.stats,
+    newCriticalIssues: newCriticalIssues.map(summarizeIssue),
+    topIssues: topIssues.map(summarizeIssue)
+  };
+}
+
+// Slack incoming-webhook message
+function buildSlackPayload(scan, topIssues, newCriticalIssues) {
+  const headline = `Link check for ${scan.domain}: health score ${scan.healthScore}/100, ` +
+    `${scan.stats.criticalIssues} critical, ${scan.stats.highIssues} high`;
+
+  const issueLines = topIssues.map(issue =>
+    `• *${issue.priority}* ${issue.status} <${issue.linkUrl}|${issue.linkText}> on ${issue.pageUrl}\n` +
+    `   ${issue.aiAnalysis}${issue.suggestedFix ? `\n   Fix: ${issue.suggestedFix}` : ''}`
+  );
+
+  const blocks = [
+    { type: 'section', text: { type: 'mrkdwn', text: `*${headline}*` } }
+  ];
+
+  if (newCriticalIssues.length > 0) {
+    blocks.push({
+      type: 'section',
+      text: { type: 'mrkdwn', text: `:rotating_light: ${newCriticalIssues.length} new critical issue(s) since the last scan` }
+    });
+  }
+
+  if (issueLines.length > 0) {
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: issueLines.join('\n') } });
+  }
+
+  return { text: headline, blocks };
+}
+
+// Add an entry to the delivery log, keeping only the most recent ones
+async function recordDelivery(webhook, scan, outcome) {
+  const entry = {
+    id: crypto.randomUUID(),
+    webhookId: webhook.id,
+    scanId: scan.id,
+    domain: scan.domain,
+    url: webhook.url,
+    attempts: 0,
+    responseStatus: null,
+    error: null,
+    ...outcome,
+    at: new Date().toISOString()
+  };
+
+  await updateJson(DELIVERIES_FILE, deliveries =>
+    [entry, ...deliveries].slice(0, MAX_LOGGED_DELIVERIES)
+  );
+  return entry;
+}
+
+// POST a payload, retrying with exponential backoff
+async function deliver(webhook, scan, payload) {
+  let attempts = 0;
+  let lastError = null;
+  let responseStatus = null;
+
+  while (attempts < MAX_ATTEMPTS) {
+    if (attempts > 0) {
+      await new Promise(resolve => setTimeout(resolve, RETRY_BASE_DELAY_MS * 2 ** (attempts - 1)));
+    }
+    attempts++;
+
+    try {
+      const response = await axios.post(webhook.url, payload, {
+        timeout: 10000,
+        validateStatus: () => true,
+        headers: { 'Content-Type': 'application/json' }
+      });
+      responseStatus = response.status;
+
+      if (response.status >= 200 && response.status < 300) {
+        lastError = null;
+        break;
+      }
+      lastError = `HTTP ${response.status}`;
+    } catch (error) {
+      lastError = error.message;
+    }
+  }
+
+  const status = lastError ? 'failed' : 'delivered';
+  console.log(`${lastError ? '❌' : '📨'} Webhook ${webhook.url}: ${status} after ${attempts} attempt(s)`);
+
+  return recordDelivery(webhook, scan, { status, attempts, responseStatus, error: lastError });
+}
+
+// Notify every matching webhook about a finished scan. previousScan is the
+// last scan of the same domain (or null) and drives 'new-critical' mode.
+async function notifyScanComplete(scan, previousScan = null) {
+  const webhooks = (await listWebhooks()).filter(w =>
+    w.domains.length === 0 || w.domains.includes(scan.domain)
+  );
+  if (webhooks.length === 0) return [];
+
+  const newIssues = previousScan ? compareScans(previousScan, scan).newIssues : scan.results;
+  const newCriticalIssues = newIssues.filter(r => r.priority === 'Critical');
+  const topIssues = scan.results
+    .filter(r => r.priority === 'Critical' || r.priority === 'High')
+    .slice(0, TOP_ISSUES_LIMIT);
+
+  return Promise.all(webhooks.map(async webhook => {
+    if (webhook.mode === 'new-critical' && newCriticalIssues.length === 0) {
+      return recordDelivery(webhook, scan, { status: 'skipped' });
+    }
+
+    const payload = webhook.format === 'slack'
+      ? buildSlackPayload(scan, topIssues, newCriticalIssues)
+      : buildGenericPayload(scan, topIssues, newCriticalIssues);
+
+    return deliver(webhook, scan, payload);
+  }));
+}
+
+module.exports = {
+  normalizeWebhook,
+  listWebhooks,
+  createWebhook,
+  deleteWebhook,
+  listDeliveries,
+  notifyScanComplete
+};
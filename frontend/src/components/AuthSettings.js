@@ -0,0 +1,136 @@
+import React from 'react';
+import { Lock } from 'lucide-react';
+
+export const EMPTY_AUTH_SETTINGS = {
+  basicUsername: '',
+  basicPassword: '',
+  headers: '',
+  cookies: '',
+  loginUrl: '',
+  usernameSelector: '',
+  passwordSelector: '',
+  submitSelector: '',
+  loginUsername: '',
+  loginPassword: '',
+  successSelector: ''
+};
+
+// Convert the form into the auth object /api/scan expects, or null when empty.
+// Credentials are only sent with the scan request and are never saved, unless
+// they are added to a scheduled scan.
+export const buildAuth = (settings) => {
+  const auth = {};
+
+  if (settings.basicUsername) {
+    auth.basicAuth = { username: settings.basicUsername, password: settings.basicPassword };
+  }
+
+  const headerLines = settings.headers.split('\n').map(line => line.trim()).filter(Boolean);
+  if (headerLines.length > 0) {
+    auth.headers = {};
+    headerLines.forEach(line => {
+      const separator = line.indexOf(':');
+      if (separator > 0) {
+        auth.headers[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+      }
+    });
+  }
+
+  if (settings.cookies.trim()) {
+    auth.cookies = settings.cookies.trim();
+  }
+
+  if (settings.loginUrl) {
+    auth.login = {
+      url: settings.loginUrl,
+      usernameSelector: settings.usernameSelector,
+      passwordSelector: settings.passwordSelector,
+      submitSelector: settings.submitSelector,
+      username: settings.loginUsername,
+      password: settings.loginPassword,
+      ...(settings.successSelector && { successSelector: settings.successSelector })
+    };
+  }
+
+  return Object.keys(auth).length > 0 ? auth : null;
+};
+
+const AuthSettings = ({ settings, onChange, disabled }) => {
+  const update = (key, value) => onChange({ ...settings, [key]: value });
+
+  const input = (key, label, { type = 'text', placeholder = '' } = {}) => (
+    <label className="flex-1 text-sm text-slate-700">
+      {label}
+      <input
+        type={type}
+        value={settings[key]}
+        onChange={(e) => update(key, e.target.value)}
+        placeholder={placeholder}
+        autoComplete="off"
+        className="mt-1 w-full px-3 py-2 border border-slate-300 rounded-lg"
+        disabled={disabled}
+      />
+    </label>
+  );
+
+  return (
+    <div className="md:col-span-2 border-t border-slate-200 pt-4 space-y-4">
+      <div className="text-sm font-semibold text-slate-800 flex items-center gap-2">
+        <Lock size={16} />
+        Authentication
+        <span className="font-normal text-xs text-slate-500">
+          Sent to the scanned site only - never saved with scan results
+        </span>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div className="flex gap-4">
+          {input('basicUsername', 'Basic auth username')}
+          {input('basicPassword', 'Basic auth password', { type: 'password' })}
+        </div>
+        <label className="text-sm text-slate-700">
+          Cookies
+          <input
+            type="text"
+            value={settings.cookies}
+            onChange={(e) => update('cookies', e.target.value)}
+            placeholder="session=abc123; consent=yes"
+            autoComplete="off"
+            className="mt-1 w-full px-3 py-2 border border-slate-300 rounded-lg font-mono text-xs"
+            disabled={disabled}
+          />
+        </label>
+        <label className="text-sm text-slate-700 md:col-span-2">
+          Extra headers (one "Name: value" per line)
+          <textarea
+            value={settings.headers}
+            onChange={(e) => update('headers', e.target.value)}
+            placeholder="X-Preview-Token: abc123"
+            rows={2}
+            className="mt-1 w-full px-3 py-2 border border-slate-300 rounded-lg font-mono text-xs"
+            disabled={disabled}
+          />
+        </label>
+      </div>
+
+      <div className="text-sm text-slate-700">Login form (filled in by the crawler before the scan)</div>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {input('loginUrl', 'Login page URL', { placeholder: 'https://example.com/login' })}
+        <div className="flex gap-4">
+          {input('loginUsername', 'Username')}
+          {input('loginPassword', 'Password', { type: 'password' })}
+        </div>
+        <div className="flex gap-4">
+          {input('usernameSelector', 'Username field', { placeholder: '#email' })}
+          {input('passwordSelector', 'Password field', { placeholder: '#password' })}
+        </div>
+        <div className="flex gap-4">
+          {input('submitSelector', 'Submit button', { placeholder: 'button[type=submit]' })}
+          {input('successSelector', 'Visible after login (optional)', { placeholder: '.account-menu' })}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AuthSettings;
@@ -1,5 +1,37 @@
 import React, { useState } from 'react';
-import { AlertCircle, CheckCircle, Download, Play, Search, Brain, ExternalLink, RefreshCw, XCircle } from 'lucide-react';
+import { AlertCircle, CheckCircle, Download, Play, Search, Brain, ExternalLink, RefreshCw, XCircle, Settings, History, Calendar, ListFilter } from 'lucide-react';
+import ScanHistory from './ScanHistory';
+import ScanComparison from './ScanComparison';
+import ScheduleManager from './ScheduleManager';
+import RulesManager from './RulesManager';
+import AuthSettings, { EMPTY_AUTH_SETTINGS, buildAuth } from './AuthSettings';
+
+const LINK_TYPE_OPTIONS = [
+  { value: 'link', label: 'Links' },
+  { value: 'image', label: 'Images' },
+  { value: 'srcset', label: 'Responsive images (srcset)' },
+  { value: 'media', label: 'Video & audio' },
+  { value: 'iframe', label: 'Iframes' },
+  { value: 'form', label: 'Form actions' },
+  { value: 'css', label: 'Stylesheets' },
+  { value: 'css-url', label: 'CSS url() assets' },
+  { value: 'script', label: 'Scripts' },
+  { value: 'meta-refresh', label: 'Meta refresh' },
+  { value: 'social-image', label: 'Social share images' },
+  { value: 'canonical', label: 'Canonical URLs' },
+  { value: 'hreflang', label: 'hreflang alternates' },
+  { value: 'json-ld', label: 'JSON-LD URLs' },
+  { value: 'icon', label: 'Icons' },
+  { value: 'manifest', label: 'Web app manifests' },
+  { value: 'resource-hint', label: 'Resource hints (preconnect, prefetch)' },
+  { value: 'head-link', label: 'Other <link> elements (feeds, prev/next)' }
+];
+
+// Regions the backend can validate local (non +) tel: numbers for
+const PHONE_REGIONS = [
+  'US', 'CA', 'GB', 'IE', 'DE', 'FR', 'ES', 'IT', 'NL', 'BE', 'CH', 'AT', 'SE', 'NO',
+  'DK', 'FI', 'PL', 'PT', 'AU', 'NZ', 'IN', 'JP', 'CN', 'BR', 'MX', 'ZA', 'SG', 'HK'
+];
 
 const LinkCheckerPro = () => {
   const [scanning, setScanning] = useState(false);
@@ -8,16 +40,173 @@ const LinkCheckerPro = () => {
   const [filter, setFilter] = useState('all');
   const [searchTerm, setSearchTerm] = useState('');
   const [sortBy, setSortBy] = useState('priority');
+  const [linkTypeFilter, setLinkTypeFilter] = useState('all');
   const [healthScore, setHealthScore] = useState(null);
   const [stats, setStats] = useState(null);
   const [error, setError] = useState(null);
   const [scanProgress, setScanProgress] = useState('');
   const [expandedScreenshot, setExpandedScreenshot] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [showSettings, setShowSettings] = useState(false);
+  const [scanSettings, setScanSettings] = useState({
+    maxPages: 50,
+    maxDepth: '',
+    includePatterns: '',
+    excludePatterns: '',
+    linkTypes: LINK_TYPE_OPTIONS.map(o => o.value),
+    checkExternal: true,
+    useSitemap: false,
+    sitemapCheckLimit: 500,
+    respectRobotsTxt: true,
+    concurrency: 8,
+    perHostConcurrency: 2,
+    perHostDelayMs: 250,
+    redirectChainLimit: 3,
+    retries: 2,
+    retryBaseDelayMs: 1000,
+    detectSoft404: true,
+    stripFragments: true,
+    stripTrackingParams: true,
+    sortQueryParams: true,
+    trailingSlash: 'keep',
+    certExpiryWarningDays: 21,
+    verifyMailDomains: false,
+    dnsServers: '',
+    phoneRegion: '',
+    auditAccessibility: true
+  });
+  const [authSettings, setAuthSettings] = useState(EMPTY_AUTH_SETTINGS);
+  const [crawlReport, setCrawlReport] = useState(null);
+  const [scanMeta, setScanMeta] = useState(null);
+  const [showHistory, setShowHistory] = useState(false);
+  const [historyRefreshKey, setHistoryRefreshKey] = useState(0);
+  const [comparison, setComparison] = useState(null);
+  const [showSchedules, setShowSchedules] = useState(false);
+  const [showRules, setShowRules] = useState(false);
 
   const BACKEND_URL = process.env.REACT_APP_BACKEND_URL ||
                    (window.location.hostname === 'localhost'
                      ? 'http://localhost:3001'
                      : '');  // Empty string = same origin
+  const POLL_INTERVAL_MS = 2000;
+
+  const updateSetting = (key, value) => {
+    setScanSettings(prev => ({ ...prev, [key]: value }));
+  };
+
+  const toggleLinkType = (type) => {
+    setScanSettings(prev => ({
+      ...prev,
+      linkTypes: prev.linkTypes.includes(type)
+        ? prev.linkTypes.filter(t => t !== type)
+        : [...prev.linkTypes, type]
+    }));
+  };
+
+  // Convert the settings form into the options object /api/scan expects
+  const buildScanOptions = () => {
+    const toLines = (text) => text.split('\n').map(line => line.trim()).filter(Boolean);
+
+    return {
+      maxPages: Number(scanSettings.maxPages),
+      maxDepth: scanSettings.maxDepth === '' ? null : Number(scanSettings.maxDepth),
+      includePatterns: toLines(scanSettings.includePatterns),
+      excludePatterns: toLines(scanSettings.excludePatterns),
+      linkTypes: scanSettings.linkTypes,
+      checkExternal: scanSettings.checkExternal,
+      useSitemap: scanSettings.useSitemap,
+      sitemapCheckLimit: Number(scanSettings.sitemapCheckLimit),
+      respectRobotsTxt: scanSettings.respectRobotsTxt,
+      concurrency: Number(scanSettings.concurrency),
+      perHostConcurrency: Number(scanSettings.perHostConcurrency),
+      perHostDelayMs: Number(scanSettings.perHostDelayMs),
+      redirectChainLimit: Number(scanSettings.redirectChainLimit),
+      retries: Number(scanSettings.retries),
+      retryBaseDelayMs: Number(scanSettings.retryBaseDelayMs),
+      detectSoft404: scanSettings.detectSoft404,
+      stripFragments: scanSettings.stripFragments,
+      stripTrackingParams: scanSettings.stripTrackingParams,
+      sortQueryParams: scanSettings.sortQueryParams,
+      trailingSlash: scanSettings.trailingSlash,
+      certExpiryWarningDays: Number(scanSettings.certExpiryWarningDays),
+      verifyMailDomains: scanSettings.verifyMailDomains,
+      dnsServers: scanSettings.dnsServers.split(',').map(server => server.trim()).filter(Boolean),
+      phoneRegion: scanSettings.phoneRegion || null,
+      auditAccessibility: scanSettings.auditAccessibility
+    };
+  };
+
+  // Human-readable label for the current scan phase
+  const describeProgress = (progress) => {
+    switch (progress.phase) {
+      case 'queued': return progress.queuePosition
+        ? `Scan queued... (position ${progress.queuePosition} in line)`
+        : 'Scan queued...';
+      case 'crawling': return `Crawling website... ${progress.pagesCrawled} pages crawled`;
+      case 'checking': return `Checking links... ${progress.linksChecked}/${progress.totalLinks}`;
+      case 'analyzing': return 'Analyzing issues and capturing screenshots...';
+      case 'complete': return 'Scan complete!';
+      case 'failed': return 'Scan failed';
+      default: return 'Working...';
+    }
+  };
+
+  // Follow a scan job over SSE, falling back to polling if the stream drops
+  const followScanJob = (jobId) => new Promise((resolve, reject) => {
+    const handleUpdate = (job) => {
+      setProgress(job.progress);
+      setScanProgress(describeProgress(job.progress));
+    };
+
+    const finish = (job) => {
+      if (job.status === 'completed') {
+        resolve(job);
+      } else {
+        reject(new Error(job.error || 'Scan failed'));
+      }
+    };
+
+    const pollJob = async () => {
+      try {
+        const response = await fetch(`${BACKEND_URL}/api/scan/${jobId}`);
+        if (!response.ok) {
+          throw new Error(`Lost track of scan: ${response.statusText}`);
+        }
+
+        const job = await response.json();
+        handleUpdate(job);
+
+        if (job.status === 'completed' || job.status === 'failed') {
+          finish(job);
+        } else {
+          setTimeout(pollJob, POLL_INTERVAL_MS);
+        }
+      } catch (err) {
+        reject(err);
+      }
+    };
+
+    if (typeof EventSource === 'undefined') {
+      pollJob();
+      return;
+    }
+
+    const source = new EventSource(`${BACKEND_URL}/api/scan/${jobId}/events`);
+    const handleFinal = (event) => {
+      source.close();
+      const job = JSON.parse(event.data);
+      handleUpdate(job);
+      finish(job);
+    };
+
+    source.addEventListener('progress', (event) => handleUpdate(JSON.parse(event.data)));
+    source.addEventListener('complete', handleFinal);
+    source.addEventListener('failed', handleFinal);
+    source.onerror = () => {
+      source.close();
+      pollJob();
+    };
+  });
 
   // Start real scan
   const startScan = async () => {
@@ -26,27 +215,34 @@ const LinkCheckerPro = () => {
     setHealthScore(null);
     setStats(null);
     setError(null);
+    setProgress(null);
+    setCrawlReport(null);
+    setScanMeta(null);
     setScanProgress('Initializing scan...');
 
     try {
-      setScanProgress('Crawling website and discovering pages...');
-
       const response = await fetch(`${BACKEND_URL}/api/scan`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ domain: domainUrl })
+        body: JSON.stringify({ domain: domainUrl, options: buildScanOptions(), auth: buildAuth(authSettings) })
       });
 
       if (!response.ok) {
-        throw new Error(`Scan failed: ${response.statusText}`);
+        const body = await response.json().catch(() => ({}));
+        throw new Error(`Scan failed: ${body.error || response.statusText}`);
       }
 
-      setScanProgress('Analyzing links with AI...');
-      const data = await response.json();
+      const { jobId } = await response.json();
+      setScanProgress('Scan queued...');
 
-      setHealthScore(data.healthScore);
-      setStats(data.stats);
-      setResults(data.results);
+      const { result, createdAt } = await followScanJob(jobId);
+
+      setHealthScore(result.healthScore);
+      setStats(result.stats);
+      setResults(result.results);
+      setCrawlReport({ robots: result.robots, sitemap: result.sitemap, accessibility: result.accessibility, failedPages: result.failedPages });
+      setScanMeta({ id: jobId, createdAt });
+      setHistoryRefreshKey(key => key + 1);
       setScanProgress('Scan complete!');
 
     } catch (err) {
@@ -58,6 +254,18 @@ const LinkCheckerPro = () => {
     }
   };
 
+  // Show a stored report from scan history
+  const openStoredScan = (scan) => {
+    setDomainUrl(scan.domain);
+    setHealthScore(scan.healthScore);
+    setStats(scan.stats);
+    setResults(scan.results);
+    setCrawlReport({ robots: scan.robots, sitemap: scan.sitemap, accessibility: scan.accessibility, failedPages: scan.failedPages });
+    setScanMeta({ id: scan.id, createdAt: scan.createdAt });
+    setError(null);
+    setShowHistory(false);
+  };
+
   // Filter and sort results
   const filteredResults = results
     .filter(r => {
@@ -65,8 +273,11 @@ const LinkCheckerPro = () => {
       if (filter === 'critical') return r.priority === 'Critical';
       if (filter === 'high') return r.priority === 'High';
       if (filter === 'medium') return r.priority === 'Medium';
+      if (filter === 'flaky') return r.flaky;
+      if (filter === 'mixed-content') return Boolean(r.mixedContent);
       return true;
     })
+    .filter(r => linkTypeFilter === 'all' || r.linkType === linkTypeFilter)
     .filter(r => {
       if (!searchTerm) return true;
       const search = searchTerm.toLowerCase();
@@ -85,12 +296,28 @@ const LinkCheckerPro = () => {
       return 0;
     });
 
+  // Recipients of a mailto: link or the dialled number of a tel: link
+  const describeContact = (contact) => {
+    if (contact.kind === 'phone') {
+      return contact.number ? `${contact.number}${contact.extension ? ` ext. ${contact.extension}` : ''}` : 'invalid number';
+    }
+    return [
+      contact.to.length > 0 && `to ${contact.to.join(', ')}`,
+      contact.cc.length > 0 && `cc ${contact.cc.join(', ')}`,
+      contact.bcc.length > 0 && `bcc ${contact.bcc.join(', ')}`,
+      contact.subject && `subject "${contact.subject}"`
+    ].filter(Boolean).join('; ');
+  };
+
   // Export to CSV
   const exportToCSV = () => {
     const headers = [
       'Priority', 'Type', 'Status', 'Link Text', 'Link URL', 'Page URL',
       'Context', 'AI Analysis', 'Suggested Fix', 'Impact Score',
-      'Appearances', 'Response Time', 'Has Screenshot'
+      'Appearances', 'Response Time', 'Has Screenshot', 'Analysis Source', 'Redirect Chain',
+      'Content Type', 'Content Length', 'Attempts', 'Flaky', 'Soft 404 Confidence',
+      'Element Type', 'Href As Written', 'Affiliate Network', 'Expected Merchant',
+      'Matched Rules', 'Certificate', 'Mixed Content', 'Contact'
     ];
 
     const rows = filteredResults.map(r => [
@@ -106,7 +333,22 @@ const LinkCheckerPro = () => {
       r.impactScore,
       r.appearancesCount,
       r.responseTime ? `${r.responseTime}ms` : 'N/A',
-      r.screenshot ? 'Yes' : 'No'
+      r.screenshot ? 'Yes' : 'No',
+      r.analysisSource === 'ai' ? `AI (${r.aiProvider})` : 'Rule-based',
+      (r.redirectChain || []).map(hop => `${hop.status} ${hop.url} -> ${hop.location}`).join(' | '),
+      r.contentType || 'N/A',
+      r.contentLength ?? 'N/A',
+      r.attempts || 1,
+      r.flaky ? 'Yes' : 'No',
+      r.soft404Confidence != null ? `${Math.round(r.soft404Confidence * 100)}%` : 'N/A',
+      r.linkType,
+      r.linkHref || r.linkUrl,
+      r.affiliate ? r.affiliate.network : 'N/A',
+      r.affiliate && r.affiliate.expectedMerchants.length > 0 ? r.affiliate.expectedMerchants.join(' | ') : 'N/A',
+      (r.matchedRules || []).map(rule => rule.note || rule.id).join(' | '),
+      r.certificate ? `${r.certificate.status}${r.certificate.validTo ? ` (expires ${r.certificate.validTo.slice(0, 10)})` : ''}` : 'N/A',
+      r.mixedContent ? `${r.mixedContent.kind}${r.mixedContent.httpsWorks ? ' (HTTPS available)' : ''}` : 'N/A',
+      r.contact ? describeContact(r.contact) : 'N/A'
     ]);
 
     const csvContent = [headers, ...rows]
@@ -125,7 +367,7 @@ const LinkCheckerPro = () => {
   // Export to JSON
   const exportToJSON = () => {
     const exportData = {
-      scanDate: new Date().toISOString(),
+      scanDate: scanMeta?.createdAt || new Date().toISOString(),
       domain: domainUrl,
       healthScore,
       stats,
@@ -176,6 +418,12 @@ const LinkCheckerPro = () => {
     return 'text-gray-600 bg-gray-50';
   };
 
+  const formatBytes = (bytes) => {
+    if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${bytes} B`;
+  };
+
   const getHealthColor = (score) => {
     if (score >= 90) return 'text-green-600';
     if (score >= 70) return 'text-yellow-600';
@@ -233,8 +481,348 @@ const LinkCheckerPro = () => {
                 </>
               )}
             </button>
+            <button
+              onClick={() => setShowSettings(!showSettings)}
+              disabled={scanning}
+              className={`px-4 py-3 rounded-lg font-medium flex items-center gap-2 transition-all ${
+                showSettings ? 'bg-slate-800 text-white' : 'bg-slate-100 text-slate-700 hover:bg-slate-200'
+              }`}
+            >
+              <Settings size={20} />
+              Settings
+            </button>
+            <button
+              onClick={() => setShowHistory(!showHistory)}
+              className={`px-4 py-3 rounded-lg font-medium flex items-center gap-2 transition-all ${
+                showHistory ? 'bg-slate-800 text-white' : 'bg-slate-100 text-slate-700 hover:bg-slate-200'
+              }`}
+            >
+              <History size={20} />
+              History
+            </button>
+            <button
+              onClick={() => setShowSchedules(!showSchedules)}
+              className={`px-4 py-3 rounded-lg font-medium flex items-center gap-2 transition-all ${
+                showSchedules ? 'bg-slate-800 text-white' : 'bg-slate-100 text-slate-700 hover:bg-slate-200'
+              }`}
+            >
+              <Calendar size={20} />
+              Schedules
+            </button>
+            <button
+              onClick={() => setShowRules(!showRules)}
+              className={`px-4 py-3 rounded-lg font-medium flex items-center gap-2 transition-all ${
+                showRules ? 'bg-slate-800 text-white' : 'bg-slate-100 text-slate-700 hover:bg-slate-200'
+              }`}
+            >
+              <ListFilter size={20} />
+              Rules
+            </button>
           </div>
 
+          {scanMeta && !scanning && (
+            <div className="mt-2 text-xs text-slate-500">
+              Report from {new Date(scanMeta.createdAt).toLocaleString()}
+            </div>
+          )}
+
+          {/* Scan Settings */}
+          {showSettings && (
+            <div className="mt-4 p-4 bg-slate-50 border border-slate-200 rounded-lg grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div className="flex gap-4">
+                <label className="flex-1 text-sm text-slate-700">
+                  Max pages
+                  <input
+                    type="number"
+                    min="1"
+                    value={scanSettings.maxPages}
+                    onChange={(e) => updateSetting('maxPages', e.target.value)}
+                    className="mt-1 w-full px-3 py-2 border border-slate-300 rounded-lg"
+                    disabled={scanning}
+                  />
+                </label>
+                <label className="flex-1 text-sm text-slate-700">
+                  Max click depth
+                  <input
+                    type="number"
+                    min="0"
+                    value={scanSettings.maxDepth}
+                    onChange={(e) => updateSetting('maxDepth', e.target.value)}
+                    placeholder="Unlimited"
+                    className="mt-1 w-full px-3 py-2 border border-slate-300 rounded-lg"
+                    disabled={scanning}
+                  />
+                </label>
+              </div>
+              <div className="flex gap-4">
+                <label className="flex-1 text-sm text-slate-700">
+                  Parallel checks
+                  <input
+                    type="number"
+                    min="1"
+                    value={scanSettings.concurrency}
+                    onChange={(e) => updateSetting('concurrency', e.target.value)}
+                    className="mt-1 w-full px-3 py-2 border border-slate-300 rounded-lg"
+                    disabled={scanning}
+                  />
+                </label>
+                <label className="flex-1 text-sm text-slate-700">
+                  Per host
+                  <input
+                    type="number"
+                    min="1"
+                    value={scanSettings.perHostConcurrency}
+                    onChange={(e) => updateSetting('perHostConcurrency', e.target.value)}
+                    className="mt-1 w-full px-3 py-2 border border-slate-300 rounded-lg"
+                    disabled={scanning}
+                  />
+                </label>
+                <label className="flex-1 text-sm text-slate-700">
+                  Host delay (ms)
+                  <input
+                    type="number"
+                    min="0"
+                    value={scanSettings.perHostDelayMs}
+                    onChange={(e) => updateSetting('perHostDelayMs', e.target.value)}
+                    className="mt-1 w-full px-3 py-2 border border-slate-300 rounded-lg"
+                    disabled={scanning}
+                  />
+                </label>
+                <label className="flex-1 text-sm text-slate-700">
+                  Max redirects
+                  <input
+                    type="number"
+                    min="1"
+                    max="10"
+                    value={scanSettings.redirectChainLimit}
+                    onChange={(e) => updateSetting('redirectChainLimit', e.target.value)}
+                    className="mt-1 w-full px-3 py-2 border border-slate-300 rounded-lg"
+                    disabled={scanning}
+                  />
+                </label>
+              </div>
+              <div className="flex gap-4">
+                <label className="flex-1 text-sm text-slate-700">
+                  Retries for transient failures
+                  <input
+                    type="number"
+                    min="0"
+                    max="5"
+                    value={scanSettings.retries}
+                    onChange={(e) => updateSetting('retries', e.target.value)}
+                    className="mt-1 w-full px-3 py-2 border border-slate-300 rounded-lg"
+                    disabled={scanning}
+                  />
+                </label>
+                <label className="flex-1 text-sm text-slate-700">
+                  Retry delay (ms, doubles each retry)
+                  <input
+                    type="number"
+                    min="0"
+                    value={scanSettings.retryBaseDelayMs}
+                    onChange={(e) => updateSetting('retryBaseDelayMs', e.target.value)}
+                    className="mt-1 w-full px-3 py-2 border border-slate-300 rounded-lg"
+                    disabled={scanning}
+                  />
+                </label>
+                <label className="flex-1 text-sm text-slate-700">
+                  Certificate expiry warning (days)
+                  <input
+                    type="number"
+                    min="0"
+                    max="365"
+                    value={scanSettings.certExpiryWarningDays}
+                    onChange={(e) => updateSetting('certExpiryWarningDays', e.target.value)}
+                    className="mt-1 w-full px-3 py-2 border border-slate-300 rounded-lg"
+                    disabled={scanning}
+                  />
+                </label>
+                <label className="flex-1 text-sm text-slate-700">
+                  Sitemap URLs to check
+                  <input
+                    type="number"
+                    min="0"
+                    max="50000"
+                    value={scanSettings.sitemapCheckLimit}
+                    onChange={(e) => updateSetting('sitemapCheckLimit', e.target.value)}
+                    className="mt-1 w-full px-3 py-2 border border-slate-300 rounded-lg"
+                    disabled={scanning || !scanSettings.useSitemap}
+                  />
+                </label>
+              </div>
+              <div className="text-sm text-slate-700">
+                Check element types
+                <div className="mt-2 flex flex-wrap gap-4">
+                  {LINK_TYPE_OPTIONS.map(option => (
+                    <label key={option.value} className="flex items-center gap-1">
+                      <input
+                        type="checkbox"
+                        checked={scanSettings.linkTypes.includes(option.value)}
+                        onChange={() => toggleLinkType(option.value)}
+                        disabled={scanning}
+                      />
+                      {option.label}
+                    </label>
+                  ))}
+                  <label className="flex items-center gap-1">
+                    <input
+                      type="checkbox"
+                      checked={scanSettings.checkExternal}
+                      onChange={(e) => updateSetting('checkExternal', e.target.checked)}
+                      disabled={scanning}
+                    />
+                    External links
+                  </label>
+                </div>
+                <div className="mt-3 flex flex-wrap gap-4">
+                  <label className="flex items-center gap-1">
+                    <input
+                      type="checkbox"
+                      checked={scanSettings.useSitemap}
+                      onChange={(e) => updateSetting('useSitemap', e.target.checked)}
+                      disabled={scanning}
+                    />
+                    Seed from sitemap.xml
+                  </label>
+                  <label className="flex items-center gap-1">
+                    <input
+                      type="checkbox"
+                      checked={scanSettings.respectRobotsTxt}
+                      onChange={(e) => updateSetting('respectRobotsTxt', e.target.checked)}
+                      disabled={scanning}
+                    />
+                    Respect robots.txt (User-agent: LinkCheckerPro)
+                  </label>
+                  <label className="flex items-center gap-1">
+                    <input
+                      type="checkbox"
+                      checked={scanSettings.detectSoft404}
+                      onChange={(e) => updateSetting('detectSoft404', e.target.checked)}
+                      disabled={scanning}
+                    />
+                    Detect soft 404s
+                  </label>
+                  <label className="flex items-center gap-1">
+                    <input
+                      type="checkbox"
+                      checked={scanSettings.auditAccessibility}
+                      onChange={(e) => updateSetting('auditAccessibility', e.target.checked)}
+                      disabled={scanning}
+                    />
+                    Audit link text and accessibility
+                  </label>
+                </div>
+              </div>
+              <div className="text-sm text-slate-700">
+                Treat as the same URL
+                <div className="mt-2 flex flex-wrap items-center gap-4">
+                  <label className="flex items-center gap-1">
+                    <input
+                      type="checkbox"
+                      checked={scanSettings.stripFragments}
+                      onChange={(e) => updateSetting('stripFragments', e.target.checked)}
+                      disabled={scanning}
+                    />
+                    Ignore #fragments
+                  </label>
+                  <label className="flex items-center gap-1">
+                    <input
+                      type="checkbox"
+                      checked={scanSettings.stripTrackingParams}
+                      onChange={(e) => updateSetting('stripTrackingParams', e.target.checked)}
+                      disabled={scanning}
+                    />
+                    Ignore utm_*, gclid, fbclid
+                  </label>
+                  <label className="flex items-center gap-1">
+                    <input
+                      type="checkbox"
+                      checked={scanSettings.sortQueryParams}
+                      onChange={(e) => updateSetting('sortQueryParams', e.target.checked)}
+                      disabled={scanning}
+                    />
+                    Ignore query order
+                  </label>
+                  <label className="flex items-center gap-2">
+                    Trailing slash when crawling
+                    <select
+                      value={scanSettings.trailingSlash}
+                      onChange={(e) => updateSetting('trailingSlash', e.target.value)}
+                      className="px-2 py-1 border border-slate-300 rounded-lg"
+                      disabled={scanning}
+                    >
+                      <option value="keep">Keep as written</option>
+                      <option value="remove">/page/ = /page</option>
+                      <option value="add">/page = /page/</option>
+                    </select>
+                  </label>
+                </div>
+              </div>
+              <div className="text-sm text-slate-700">
+                Contact links (mailto: and tel:)
+                <div className="mt-2 flex flex-wrap items-center gap-4">
+                  <label className="flex items-center gap-1">
+                    <input
+                      type="checkbox"
+                      checked={scanSettings.verifyMailDomains}
+                      onChange={(e) => updateSetting('verifyMailDomains', e.target.checked)}
+                      disabled={scanning}
+                    />
+                    Check email domains have a mail server
+                  </label>
+                  <input
+                    type="text"
+                    value={scanSettings.dnsServers}
+                    onChange={(e) => updateSetting('dnsServers', e.target.value)}
+                    placeholder="DNS servers, e.g. 1.1.1.1 (blank = system)"
+                    className="flex-1 min-w-[220px] px-2 py-1 border border-slate-300 rounded-lg"
+                    disabled={scanning || !scanSettings.verifyMailDomains}
+                  />
+                  <label className="flex items-center gap-2">
+                    Local phone numbers
+                    <select
+                      value={scanSettings.phoneRegion}
+                      onChange={(e) => updateSetting('phoneRegion', e.target.value)}
+                      className="px-2 py-1 border border-slate-300 rounded-lg"
+                      disabled={scanning}
+                    >
+                      <option value="">Require +country code</option>
+                      {PHONE_REGIONS.map(region => (
+                        <option key={region} value={region}>Validate as {region}</option>
+                      ))}
+                    </select>
+                  </label>
+                </div>
+              </div>
+              <label className="text-sm text-slate-700">
+                Include patterns (one per line)
+                <textarea
+                  value={scanSettings.includePatterns}
+                  onChange={(e) => updateSetting('includePatterns', e.target.value)}
+                  placeholder={'/blog/*\nregex:/docs/v[0-9]+/'}
+                  rows={3}
+                  className="mt-1 w-full px-3 py-2 border border-slate-300 rounded-lg font-mono text-xs"
+                  disabled={scanning}
+                />
+              </label>
+              <label className="text-sm text-slate-700">
+                Exclude patterns (one per line)
+                <textarea
+                  value={scanSettings.excludePatterns}
+                  onChange={(e) => updateSetting('excludePatterns', e.target.value)}
+                  placeholder={'/tag/*\n*?page=*'}
+                  rows={3}
+                  className="mt-1 w-full px-3 py-2 border border-slate-300 rounded-lg font-mono text-xs"
+                  disabled={scanning}
+                />
+                <span className="text-xs text-slate-500">
+                  In patterns, * matches anything and ? is a literal query string "?". Use regex: for anything else.
+                </span>
+              </label>
+              <AuthSettings settings={authSettings} onChange={setAuthSettings} disabled={scanning} />
+            </div>
+          )}
+
           {/* Progress Status */}
           {scanning && scanProgress && (
             <div className="mt-4 p-4 bg-blue-50 border border-blue-200 rounded-lg">
@@ -242,6 +830,26 @@ const LinkCheckerPro = () => {
                 <RefreshCw className="animate-spin text-blue-600" size={20} />
                 <span className="text-blue-800 font-medium">{scanProgress}</span>
               </div>
+              {progress && (
+                <div className="mt-3 space-y-2">
+                  {progress.totalLinks > 0 && (
+                    <div className="w-full bg-blue-100 rounded-full h-2">
+                      <div
+                        className="bg-blue-600 h-2 rounded-full transition-all"
+                        style={{ width: `${Math.round((progress.linksChecked / progress.totalLinks) * 100)}%` }}
+                      />
+                    </div>
+                  )}
+                  <div className="flex flex-wrap gap-4 text-sm text-blue-700">
+                    <span>Pages crawled: <strong>{progress.pagesCrawled}</strong></span>
+                    <span>Links checked: <strong>{progress.linksChecked}/{progress.totalLinks}</strong></span>
+                    <span>Issues so far: <strong>{progress.issuesFound}</strong></span>
+                  </div>
+                  {progress.currentUrl && (
+                    <div className="text-xs text-blue-600 break-all">Current: {progress.currentUrl}</div>
+                  )}
+                </div>
+              )}
             </div>
           )}
 
@@ -258,6 +866,34 @@ const LinkCheckerPro = () => {
           )}
         </div>
 
+        {/* Scan History */}
+        {showHistory && (
+          <ScanHistory
+            backendUrl={BACKEND_URL}
+            onOpen={openStoredScan}
+            onCompare={setComparison}
+            refreshKey={historyRefreshKey}
+          />
+        )}
+
+        {/* Scheduled Scans */}
+        {showSchedules && (
+          <ScheduleManager
+            backendUrl={BACKEND_URL}
+            domain={domainUrl}
+            scanOptions={buildScanOptions()}
+            auth={buildAuth(authSettings)}
+          />
+        )}
+
+        {/* Ignore and classification rules */}
+        {showRules && <RulesManager backendUrl={BACKEND_URL} />}
+
+        {/* Scan Comparison */}
+        {comparison && (
+          <ScanComparison comparison={comparison} onClose={() => setComparison(null)} />
+        )}
+
         {/* Stats Dashboard */}
         {stats && (
           <div className="grid grid-cols-2 md:grid-cols-6 gap-4 mb-6">
@@ -268,10 +904,16 @@ const LinkCheckerPro = () => {
             <div className="bg-white rounded-lg shadow p-4 border-l-4 border-slate-500">
               <div className="text-2xl font-bold text-slate-800">{stats.totalLinks}</div>
               <div className="text-sm text-slate-600">Total Links</div>
+              {stats.ignoredLinks > 0 && (
+                <div className="text-xs text-slate-500 mt-1">+{stats.ignoredLinks} ignored by rules</div>
+              )}
             </div>
             <div className="bg-white rounded-lg shadow p-4 border-l-4 border-red-500">
               <div className="text-2xl font-bold text-red-600">{stats.brokenLinks}</div>
               <div className="text-sm text-slate-600">Issues Found</div>
+              {stats.flakyLinks > 0 && (
+                <div className="text-xs text-amber-600 mt-1">+{stats.flakyLinks} flaky</div>
+              )}
             </div>
             <div className="bg-white rounded-lg shadow p-4 border-l-4 border-red-600">
               <div className="text-2xl font-bold text-red-600">{stats.criticalIssues}</div>
@@ -288,6 +930,153 @@ const LinkCheckerPro = () => {
           </div>
         )}
 
+        {/* Crawl Coverage (robots.txt and sitemap) */}
+        {crawlReport && (crawlReport.sitemap || crawlReport.robots?.blockedPages.length > 0 || crawlReport.failedPages?.length > 0) && (
+          <div className="bg-white rounded-lg shadow-lg p-4 mb-6 space-y-3">
+            <h3 className="font-semibold text-slate-800">Crawl Coverage</h3>
+            {crawlReport.robots?.blockedPages.length > 0 && (
+              <div className="text-sm text-slate-700">
+                <strong>{crawlReport.robots.blockedPages.length}</strong> pages skipped because robots.txt disallows them
+                {crawlReport.robots.crawlDelay > 0 && ` (crawl delay ${crawlReport.robots.crawlDelay}s applied)`}
+              </div>
+            )}
+            {crawlReport.failedPages?.length > 0 && (
+              <details className="text-sm">
+                <summary className="cursor-pointer text-red-700 font-medium">
+                  Pages that failed to load ({crawlReport.failedPages.length})
+                </summary>
+                <ul className="mt-2 space-y-1">
+                  {crawlReport.failedPages.map(page => (
+                    <li key={page.url} className="text-xs text-slate-600 break-all">
+                      {page.url}: <span className="text-red-600">{page.error}</span>
+                    </li>
+                  ))}
+                </ul>
+              </details>
+            )}
+            {crawlReport.sitemap && (
+              <>
+                <div className="text-sm text-slate-700">
+                  <strong>{crawlReport.sitemap.urlCount}</strong> URLs in {crawlReport.sitemap.sitemaps.length} sitemap file(s)
+                  {crawlReport.sitemap.uncheckedUrlCount > 0 && (
+                    <div className="text-xs text-slate-500">
+                      {crawlReport.sitemap.uncheckedUrlCount} in-scope URLs not checked (over the sitemap check limit)
+                    </div>
+                  )}
+                  {crawlReport.sitemap.sitemaps.filter(s => s.error).map(s => (
+                    <div key={s.url} className="text-xs text-red-600 break-all">{s.url}: {s.error}</div>
+                  ))}
+                </div>
+                {crawlReport.sitemap.errors.length > 0 && (
+                  <details className="text-sm">
+                    <summary className="cursor-pointer text-red-700 font-medium">
+                      Sitemap URLs returning errors ({crawlReport.sitemap.errors.length})
+                    </summary>
+                    <ul className="mt-2 space-y-1">
+                      {crawlReport.sitemap.errors.map(e => (
+                        <li key={e.url} className="text-xs text-slate-600 break-all">
+                          <span className="font-semibold text-red-600">{e.status}</span> {e.url}
+                        </li>
+                      ))}
+                    </ul>
+                  </details>
+                )}
+                {crawlReport.sitemap.notLinkedUrls.length > 0 && (
+                  <details className="text-sm">
+                    <summary className="cursor-pointer text-orange-700 font-medium">
+                      Sitemap pages not reached through links ({crawlReport.sitemap.notLinkedUrls.length})
+                    </summary>
+                    <ul className="mt-2 space-y-1">
+                      {crawlReport.sitemap.notLinkedUrls.map(url => (
+                        <li key={url} className="text-xs text-slate-600 break-all">{url}</li>
+                      ))}
+                    </ul>
+                  </details>
+                )}
+              </>
+            )}
+          </div>
+        )}
+
+        {/* Link accessibility findings, grouped per page */}
+        {crawlReport && crawlReport.accessibility && crawlReport.accessibility.length > 0 && (
+          <div className="bg-white rounded-lg shadow-lg p-4 mb-6 space-y-3">
+            <h3 className="font-semibold text-slate-800">
+              Link Accessibility ({crawlReport.accessibility.reduce((count, page) => count + page.findings.length, 0)} findings
+              on {crawlReport.accessibility.length} page{crawlReport.accessibility.length === 1 ? '' : 's'})
+            </h3>
+            {crawlReport.accessibility.map(page => (
+              <details key={page.pageUrl} className="text-sm">
+                <summary className="cursor-pointer text-slate-700 font-medium break-all">
+                  {page.pageUrl} ({page.findings.length})
+                </summary>
+                <ul className="mt-2 space-y-2">
+                  {page.findings.map((finding, idx) => (
+                    <li key={idx} className="text-xs text-slate-600 border-l-2 border-slate-200 pl-3">
+                      <div>
+                        <span className={`font-semibold ${
+                          finding.priority === 'High' ? 'text-orange-600' : finding.priority === 'Medium' ? 'text-yellow-700' : 'text-blue-600'
+                        }`}>
+                          {finding.type}
+                        </span>
+                        {' '}
+                        <span className="font-mono break-all">
+                          {finding.linkText ? `"${finding.linkText}"` : '(no name)'} → {finding.linkUrl}
+                        </span>
+                        {finding.occurrences > 1 && ` ×${finding.occurrences}`}
+                      </div>
+                      <div>{finding.message}</div>
+                      <a
+                        href={finding.referenceUrl}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="text-blue-600 hover:underline"
+                      >
+                        {finding.reference} (opens in a new tab)
+                      </a>
+                    </li>
+                  ))}
+                </ul>
+              </details>
+            ))}
+          </div>
+        )}
+
+        {/* TLS certificates of the hosts that need attention */}
+        {stats && stats.certificates && stats.certificates.some(cert => cert.status !== 'valid') && (
+          <div className="bg-white rounded-lg shadow-lg p-4 mb-6">
+            <h3 className="font-semibold text-slate-800 mb-3">TLS Certificates</h3>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead className="text-left text-slate-500 border-b border-slate-200">
+                  <tr>
+                    <th className="py-2 pr-4 font-medium">Host</th>
+                    <th className="py-2 pr-4 font-medium">Status</th>
+                    <th className="py-2 pr-4 font-medium">Issuer</th>
+                    <th className="py-2 pr-4 font-medium">Expires</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-slate-100">
+                  {stats.certificates.filter(cert => cert.status !== 'valid').map(cert => (
+                    <tr key={`${cert.host}:${cert.port}`} className="text-slate-700">
+                      <td className="py-2 pr-4 font-mono text-xs break-all">{cert.host}{cert.port !== 443 && `:${cert.port}`}</td>
+                      <td className={`py-2 pr-4 font-medium ${cert.status === 'expiring-soon' ? 'text-orange-600' : 'text-red-600'}`}>
+                        {cert.status === 'error' ? cert.error : cert.status}
+                      </td>
+                      <td className="py-2 pr-4">{cert.issuer || 'N/A'}</td>
+                      <td className="py-2 pr-4 whitespace-nowrap">
+                        {cert.validTo
+                          ? `${new Date(cert.validTo).toLocaleDateString()} (${cert.daysRemaining} days)`
+                          : 'N/A'}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
         {/* Filters and Search */}
         {results.length > 0 && (
           <div className="bg-white rounded-lg shadow-lg p-4 mb-6">
@@ -330,8 +1119,39 @@ const LinkCheckerPro = () => {
                 >
                   High ({results.filter(r => r.priority === 'High').length})
                 </button>
+                <button
+                  onClick={() => setFilter('flaky')}
+                  className={`px-4 py-2 rounded-lg font-medium transition-all ${
+                    filter === 'flaky' ? 'bg-amber-500 text-white' : 'bg-slate-100 text-slate-600 hover:bg-slate-200'
+                  }`}
+                >
+                  Flaky ({results.filter(r => r.flaky).length})
+                </button>
+                <button
+                  onClick={() => setFilter('mixed-content')}
+                  className={`px-4 py-2 rounded-lg font-medium transition-all ${
+                    filter === 'mixed-content' ? 'bg-purple-600 text-white' : 'bg-slate-100 text-slate-600 hover:bg-slate-200'
+                  }`}
+                >
+                  Mixed Content ({results.filter(r => r.mixedContent).length})
+                </button>
               </div>
 
+              <select
+                value={linkTypeFilter}
+                onChange={(e) => setLinkTypeFilter(e.target.value)}
+                className="px-4 py-2 border border-slate-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white"
+              >
+                <option value="all">All element types</option>
+                {LINK_TYPE_OPTIONS.concat({ value: 'sitemap', label: 'Sitemap entries' })
+                  .filter(option => results.some(r => r.linkType === option.value))
+                  .map(option => (
+                    <option key={option.value} value={option.value}>
+                      {option.label} ({results.filter(r => r.linkType === option.value).length})
+                    </option>
+                  ))}
+              </select>
+
               <select
                 value={sortBy}
                 onChange={(e) => setSortBy(e.target.value)}
@@ -404,12 +1224,31 @@ const LinkCheckerPro = () => {
                           {result.responseTime > 0 && (
                             <div className="text-xs text-slate-500 mt-1">{result.responseTime}ms</div>
                           )}
+                          {result.contentType && (
+                            <div className="text-xs text-slate-400 mt-1 break-all">
+                              {result.contentType.split(';')[0]}
+                              {result.contentLength != null && ` · ${formatBytes(result.contentLength)}`}
+                            </div>
+                          )}
                         </td>
                         <td className="px-4 py-4">
                           <div className="text-sm font-medium text-slate-800">{result.type}</div>
+                          {result.linkType && result.linkType !== 'link' && (
+                            <div className="text-xs text-slate-500 mt-1">{result.linkType}</div>
+                          )}
                           {result.redirectCount > 0 && (
                             <div className="text-xs text-orange-600 mt-1">{result.redirectCount} redirects</div>
                           )}
+                          {result.soft404Confidence != null && (
+                            <div className="text-xs text-red-600 mt-1">
+                              {Math.round(result.soft404Confidence * 100)}% confidence
+                            </div>
+                          )}
+                          {result.attempts > 1 && (
+                            <div className={`text-xs mt-1 ${result.flaky ? 'text-amber-600' : 'text-slate-500'}`}>
+                              {result.flaky ? 'Flaky - ' : ''}{result.attempts} attempts
+                            </div>
+                          )}
                         </td>
                         <td className="px-4 py-4">
                           <div className="space-y-1 max-w-md">
@@ -417,20 +1256,83 @@ const LinkCheckerPro = () => {
                             <div className="text-xs text-slate-500 break-all">
                               <strong>Link:</strong> {result.linkUrl}
                             </div>
+                            {result.linkHref && result.linkHref !== result.linkUrl && (
+                              <div className="text-xs text-slate-400 break-all">
+                                <strong>As written:</strong> <span className="font-mono">{result.linkHref}</span>
+                              </div>
+                            )}
                             {result.finalUrl && result.finalUrl !== result.linkUrl && (
                               <div className="text-xs text-green-600 break-all">
                                 <strong>→ Final destination:</strong> {result.finalUrl}
                               </div>
                             )}
+                            {result.affiliate && (
+                              <div className="text-xs text-purple-700 break-all">
+                                <strong>Affiliate ({result.affiliate.network}):</strong>{' '}
+                                {result.affiliate.expectedMerchants.length > 0
+                                  ? `expected ${result.affiliate.expectedMerchants.join(', ')}`
+                                  : 'no expected merchant configured'}
+                              </div>
+                            )}
+                            {result.certificate && result.certificate.status !== 'valid' && (
+                              <div className="text-xs text-red-700 break-all">
+                                <strong>Certificate:</strong> {result.certificate.status}
+                                {result.certificate.validTo && ` - expires ${new Date(result.certificate.validTo).toLocaleDateString()}`}
+                                {result.certificate.issuer && `, issued by ${result.certificate.issuer}`}
+                              </div>
+                            )}
+                            {result.contact && (
+                              <div className="text-xs text-teal-700 break-all">
+                                <strong>{result.contact.kind === 'phone' ? 'Dials' : 'Sends'}:</strong> {describeContact(result.contact)}
+                              </div>
+                            )}
+                            {result.mixedContent && (
+                              <div className="text-xs text-purple-700 break-all">
+                                <strong>Mixed content ({result.mixedContent.kind}):</strong>{' '}
+                                {result.mixedContent.httpsWorks
+                                  ? `${result.mixedContent.httpsUrl} works`
+                                  : 'no working HTTPS version'}
+                                {result.mixedContent.pages.length > 1 && `, on ${result.mixedContent.pages.length} pages`}
+                              </div>
+                            )}
+                            {result.redirectChain && result.redirectChain.length > 0 && (
+                              <ol className="text-xs text-orange-700 break-all list-decimal list-inside">
+                                {result.redirectChain.map((hop, hopIdx) => (
+                                  <li key={hopIdx}>
+                                    <span className="font-semibold">{hop.status}</span> {hop.url} → {hop.location}
+                                  </li>
+                                ))}
+                              </ol>
+                            )}
                             <div className="text-xs text-slate-400 break-all">Page: {result.pageUrl}</div>
                             <div className="text-xs text-blue-600 italic">{result.context}</div>
+                            {result.matchedRules && result.matchedRules.length > 0 && (
+                              <div className="text-xs text-slate-500">
+                                <strong>Rule:</strong> {result.matchedRules.map(rule => rule.note || rule.action).join('; ')}
+                              </div>
+                            )}
                           </div>
                         </td>
                         <td className="px-4 py-4">
                           <div className="flex items-start gap-2 max-w-lg">
-                            <Brain className="text-purple-600 flex-shrink-0 mt-1" size={16} />
+                            <Brain className={`${result.analysisSource === 'ai' ? 'text-purple-600' : 'text-slate-400'} flex-shrink-0 mt-1`} size={16} />
                             <div className="text-sm text-slate-700">{result.aiAnalysis}</div>
                           </div>
+                          {result.analysisSource === 'ai' ? (
+                            <span
+                              className="mt-1 inline-block px-2 py-0.5 rounded text-xs font-medium bg-purple-50 text-purple-700 border border-purple-200"
+                              title="Priority, type and fix suggested by the AI provider"
+                            >
+                              AI · {result.aiProvider}
+                            </span>
+                          ) : (
+                            <span
+                              className="mt-1 inline-block px-2 py-0.5 rounded text-xs font-medium bg-slate-100 text-slate-600 border border-slate-200"
+                              title="Priority and type derived from the HTTP status"
+                            >
+                              Rule-based
+                            </span>
+                          )}
                           {result.suggestedFix && (
                             <div className="mt-2 text-xs text-green-700 bg-green-50 p-2 rounded border border-green-200">
                               <strong>💡 Fix:</strong> {result.suggestedFix}
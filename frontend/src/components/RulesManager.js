@@ -0,0 +1,265 @@
+import React, { useEffect, useState } from 'react';
+import { ListFilter, Plus, RefreshCw, RotateCcw, Trash2, XCircle } from 'lucide-react';
+
+const ACTION_OPTIONS = [
+  { value: 'ignore', label: 'Ignore link' },
+  { value: 'ok-status', label: 'Treat statuses as OK' },
+  { value: 'override', label: 'Override priority / type' },
+  { value: 'existence-only', label: 'Check existence only' }
+];
+
+const PRIORITY_OPTIONS = ['Critical', 'High', 'Medium', 'Low'];
+
+const EMPTY_RULE = {
+  action: 'ignore',
+  pattern: '',
+  hosts: '',
+  statuses: '',
+  priority: '',
+  type: '',
+  note: ''
+};
+
+const toList = (text) => text.split(',').map(item => item.trim()).filter(Boolean);
+
+const RulesManager = ({ backendUrl }) => {
+  const [rules, setRules] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [newRule, setNewRule] = useState(EMPTY_RULE);
+
+  // Shared fetch wrapper that surfaces backend error messages
+  const request = async (path, options = {}) => {
+    const response = await fetch(`${backendUrl}${path}`, {
+      headers: { 'Content-Type': 'application/json' },
+      ...options
+    });
+
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}));
+      throw new Error(body.error || response.statusText);
+    }
+
+    return response.status === 204 ? null : response.json();
+  };
+
+  const loadRules = async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      setRules(await request('/api/rules'));
+    } catch (err) {
+      setError(`Could not load rules: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadRules();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [backendUrl]);
+
+  const runAction = async (action) => {
+    setError(null);
+    try {
+      await action();
+      await loadRules();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const updateNewRule = (key, value) => setNewRule(prev => ({ ...prev, [key]: value }));
+
+  const addRule = () => runAction(async () => {
+    await request('/api/rules', {
+      method: 'POST',
+      body: JSON.stringify({
+        action: newRule.action,
+        pattern: newRule.pattern || null,
+        hosts: toList(newRule.hosts),
+        statuses: toList(newRule.statuses).map(Number),
+        priority: newRule.priority || null,
+        type: newRule.type || null,
+        note: newRule.note
+      })
+    });
+    setNewRule(EMPTY_RULE);
+  });
+
+  const removeRule = (rule) => {
+    if (!window.confirm(`Delete the rule "${rule.note || rule.pattern || rule.hosts.join(', ')}"?`)) return;
+    runAction(() => request(`/api/rules/${rule.id}`, { method: 'DELETE' }));
+  };
+
+  const resetRules = () => {
+    if (!window.confirm('Replace all rules with the built-in defaults?')) return;
+    runAction(() => request('/api/rules', { method: 'DELETE' }));
+  };
+
+  const describeMatch = (rule) => [
+    rule.pattern,
+    rule.hosts.length > 0 && `hosts: ${rule.hosts.join(', ')}`
+  ].filter(Boolean).join(' or ');
+
+  const describeEffect = (rule) => {
+    switch (rule.action) {
+      case 'ignore': return 'Not checked';
+      case 'ok-status': return `${rule.statuses.join(', ')} treated as OK`;
+      case 'override': return [rule.priority, rule.type].filter(Boolean).join(' / ');
+      case 'existence-only': return 'Only missing pages reported';
+      default: return rule.action;
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-4 mb-6">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="font-semibold text-slate-800 flex items-center gap-2">
+          <ListFilter size={18} className="text-blue-600" />
+          Rules
+        </h3>
+        <div className="flex items-center gap-4">
+          <button
+            onClick={resetRules}
+            className="text-sm text-slate-600 hover:text-slate-800 flex items-center gap-1"
+          >
+            <RotateCcw size={14} />
+            Reset to defaults
+          </button>
+          <button
+            onClick={loadRules}
+            disabled={loading}
+            className="text-sm text-blue-600 hover:text-blue-800 flex items-center gap-1"
+          >
+            <RefreshCw size={14} className={loading ? 'animate-spin' : ''} />
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap gap-2 mb-2">
+        <select
+          value={newRule.action}
+          onChange={(e) => updateNewRule('action', e.target.value)}
+          className="px-3 py-2 border border-slate-300 rounded-lg text-sm bg-white"
+        >
+          {ACTION_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          value={newRule.pattern}
+          onChange={(e) => updateNewRule('pattern', e.target.value)}
+          placeholder="URL pattern: /legacy/* or regex:..."
+          className="flex-1 min-w-[200px] px-3 py-2 border border-slate-300 rounded-lg text-sm font-mono"
+        />
+        <input
+          type="text"
+          value={newRule.hosts}
+          onChange={(e) => updateNewRule('hosts', e.target.value)}
+          placeholder="or hosts: linkedin.com, x.com"
+          className="flex-1 min-w-[180px] px-3 py-2 border border-slate-300 rounded-lg text-sm"
+        />
+      </div>
+      <div className="flex flex-wrap gap-2 mb-4">
+        {newRule.action === 'ok-status' && (
+          <input
+            type="text"
+            value={newRule.statuses}
+            onChange={(e) => updateNewRule('statuses', e.target.value)}
+            placeholder="Statuses: 999, 403"
+            className="w-40 px-3 py-2 border border-slate-300 rounded-lg text-sm"
+          />
+        )}
+        {newRule.action === 'override' && (
+          <>
+            <select
+              value={newRule.priority}
+              onChange={(e) => updateNewRule('priority', e.target.value)}
+              className="px-3 py-2 border border-slate-300 rounded-lg text-sm bg-white"
+            >
+              <option value="">Keep priority</option>
+              {PRIORITY_OPTIONS.map(priority => (
+                <option key={priority} value={priority}>{priority}</option>
+              ))}
+            </select>
+            <input
+              type="text"
+              value={newRule.type}
+              onChange={(e) => updateNewRule('type', e.target.value)}
+              placeholder="Issue type (optional)"
+              className="w-48 px-3 py-2 border border-slate-300 rounded-lg text-sm"
+            />
+          </>
+        )}
+        <input
+          type="text"
+          value={newRule.note}
+          onChange={(e) => updateNewRule('note', e.target.value)}
+          placeholder="Why this rule exists"
+          className="flex-1 min-w-[200px] px-3 py-2 border border-slate-300 rounded-lg text-sm"
+        />
+        <button
+          onClick={addRule}
+          className="bg-blue-600 text-white px-4 py-2 rounded-lg text-sm font-medium hover:bg-blue-700 flex items-center gap-1"
+        >
+          <Plus size={16} />
+          Add Rule
+        </button>
+      </div>
+      <div className="text-xs text-slate-500 -mt-2 mb-4">Rules apply to every scan, including scheduled ones.</div>
+
+      {error && (
+        <div className="mb-3 text-sm text-red-700 flex items-center gap-2">
+          <XCircle size={16} />
+          {error}
+        </div>
+      )}
+
+      {rules.length === 0 && !loading ? (
+        <div className="text-sm text-slate-500">No rules - every link is checked and classified normally.</div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="text-left text-slate-500 border-b border-slate-200">
+              <tr>
+                <th className="py-2 pr-4 font-medium">Action</th>
+                <th className="py-2 pr-4 font-medium">Matches</th>
+                <th className="py-2 pr-4 font-medium">Effect</th>
+                <th className="py-2 pr-4 font-medium">Note</th>
+                <th className="py-2 font-medium"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-100">
+              {rules.map(rule => (
+                <tr key={rule.id} className="text-slate-700">
+                  <td className="py-2 pr-4 whitespace-nowrap">
+                    {ACTION_OPTIONS.find(option => option.value === rule.action)?.label || rule.action}
+                  </td>
+                  <td className="py-2 pr-4 font-mono text-xs break-all">{describeMatch(rule)}</td>
+                  <td className="py-2 pr-4">{describeEffect(rule)}</td>
+                  <td className="py-2 pr-4 text-slate-500">{rule.note}</td>
+                  <td className="py-2 text-right whitespace-nowrap">
+                    <button
+                      onClick={() => removeRule(rule)}
+                      className="bg-red-50 text-red-700 px-3 py-1 rounded-lg text-xs font-medium hover:bg-red-100 inline-flex items-center gap-1"
+                    >
+                      <Trash2 size={12} />
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RulesManager;
@@ -0,0 +1,123 @@
+import React, { useState } from 'react';
+import { ArrowDown, ArrowUp, XCircle } from 'lucide-react';
+
+const TABS = [
+  { key: 'newIssues', label: 'New', color: 'bg-red-600' },
+  { key: 'fixedIssues', label: 'Fixed', color: 'bg-green-600' },
+  { key: 'persistingIssues', label: 'Persisting', color: 'bg-orange-600' }
+];
+
+const ScanComparison = ({ comparison, onClose }) => {
+  const [tab, setTab] = useState('newIssues');
+  const issues = comparison[tab];
+
+  // For issue counts a drop is good, for the health score a rise is good
+  const renderDelta = (value, higherIsBetter) => {
+    if (value === null) return <span className="text-slate-500">n/a</span>;
+    if (value === 0) return <span className="text-slate-500">±0</span>;
+    const improved = higherIsBetter ? value > 0 : value < 0;
+    const Icon = value > 0 ? ArrowUp : ArrowDown;
+    return (
+      <span className={`inline-flex items-center gap-1 ${improved ? 'text-green-600' : 'text-red-600'}`}>
+        <Icon size={14} />
+        {value > 0 ? `+${value}` : value}
+      </span>
+    );
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-4 mb-6">
+      <div className="flex items-start justify-between mb-4">
+        <div>
+          <h3 className="font-semibold text-slate-800">Scan Comparison - {comparison.current.domain}</h3>
+          <div className="text-xs text-slate-500 mt-1">
+            {new Date(comparison.base.createdAt).toLocaleString()} → {new Date(comparison.current.createdAt).toLocaleString()}
+          </div>
+        </div>
+        <button onClick={onClose} className="text-slate-400 hover:text-slate-600">
+          <XCircle size={20} />
+        </button>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+        <div className="border border-slate-200 rounded-lg p-3">
+          <div className="text-xl font-bold text-slate-800">
+            {comparison.base.healthScore} → {comparison.current.healthScore}
+          </div>
+          <div className="text-sm text-slate-600">Health Score {renderDelta(comparison.healthScoreDelta, true)}</div>
+        </div>
+        <div className="border border-slate-200 rounded-lg p-3">
+          <div className="text-xl font-bold text-red-600">
+            {comparison.base.stats.criticalIssues} → {comparison.current.stats.criticalIssues}
+          </div>
+          <div className="text-sm text-slate-600">Critical {renderDelta(comparison.criticalIssuesDelta, false)}</div>
+        </div>
+        <div className="border border-slate-200 rounded-lg p-3">
+          <div className="text-xl font-bold text-orange-600">
+            {comparison.base.stats.highIssues} → {comparison.current.stats.highIssues}
+          </div>
+          <div className="text-sm text-slate-600">High Priority {renderDelta(comparison.highIssuesDelta, false)}</div>
+        </div>
+        <div className="border border-slate-200 rounded-lg p-3">
+          <div className="text-xl font-bold text-slate-800">
+            {comparison.base.stats.brokenLinks} → {comparison.current.stats.brokenLinks}
+          </div>
+          <div className="text-sm text-slate-600">Issues {renderDelta(comparison.brokenLinksDelta, false)}</div>
+        </div>
+      </div>
+
+      <div className="flex gap-2 mb-3">
+        {TABS.map(t => (
+          <button
+            key={t.key}
+            onClick={() => setTab(t.key)}
+            className={`px-4 py-2 rounded-lg font-medium text-sm transition-all ${
+              tab === t.key ? `${t.color} text-white` : 'bg-slate-100 text-slate-600 hover:bg-slate-200'
+            }`}
+          >
+            {t.label} ({comparison[t.key].length})
+          </button>
+        ))}
+      </div>
+
+      {issues.length === 0 ? (
+        <div className="text-sm text-slate-500">Nothing here.</div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="text-left text-slate-500 border-b border-slate-200">
+              <tr>
+                <th className="py-2 pr-4 font-medium">Priority</th>
+                <th className="py-2 pr-4 font-medium">Status</th>
+                <th className="py-2 pr-4 font-medium">Link</th>
+                <th className="py-2 font-medium">Page</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-100">
+              {issues.map(issue => (
+                <tr key={`${issue.linkUrl}-${issue.type}`}>
+                  <td className="py-2 pr-4 font-medium text-slate-800">{issue.priority}</td>
+                  <td className="py-2 pr-4 text-slate-700">
+                    {issue.previousStatus !== undefined && issue.previousStatus !== issue.status
+                      ? `${issue.previousStatus} → ${issue.status}`
+                      : issue.status}
+                  </td>
+                  <td className="py-2 pr-4">
+                    <div className="text-slate-800">{issue.linkText}</div>
+                    <div className="text-xs text-slate-500 break-all">{issue.linkUrl}</div>
+                  </td>
+                  <td className="py-2 text-xs text-slate-500 break-all">
+                    {issue.pageUrl}
+                    {issue.pages?.length > 1 && ` (and ${issue.pages.length - 1} more)`}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ScanComparison;
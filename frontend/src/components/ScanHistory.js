@@ -0,0 +1,156 @@
+import React, { useEffect, useState } from 'react';
+import { History, RefreshCw, XCircle } from 'lucide-react';
+
+const ScanHistory = ({ backendUrl, onOpen, onCompare, refreshKey }) => {
+  const [scans, setScans] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [openingId, setOpeningId] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Load the list of stored scans
+  const loadScans = async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await fetch(`${backendUrl}/api/scans`);
+      if (!response.ok) {
+        throw new Error(`Could not load scan history: ${response.statusText}`);
+      }
+      setScans(await response.json());
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadScans();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [backendUrl, refreshKey]);
+
+  // Fetch a full report and hand it to the parent
+  const openScan = async (id) => {
+    setOpeningId(id);
+    setError(null);
+
+    try {
+      const response = await fetch(`${backendUrl}/api/scans/${id}`);
+      if (!response.ok) {
+        throw new Error(`Could not load scan: ${response.statusText}`);
+      }
+      onOpen(await response.json());
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setOpeningId(null);
+    }
+  };
+
+  // Compare a scan with the previous scan of the same domain
+  const compareScan = async (id) => {
+    setOpeningId(id);
+    setError(null);
+
+    try {
+      const response = await fetch(`${backendUrl}/api/scans/${id}/compare`);
+      if (!response.ok) {
+        const body = await response.json().catch(() => ({}));
+        throw new Error(body.error || `Could not compare scans: ${response.statusText}`);
+      }
+      onCompare(await response.json());
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setOpeningId(null);
+    }
+  };
+
+  // Scans are newest first, so an earlier scan of the domain comes later in the list
+  const hasEarlierScan = (index) =>
+    scans.slice(index + 1).some(s => s.domain === scans[index].domain);
+
+  const getScoreColor = (score) => {
+    if (score >= 90) return 'text-green-600';
+    if (score >= 70) return 'text-yellow-600';
+    if (score >= 50) return 'text-orange-600';
+    return 'text-red-600';
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-4 mb-6">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="font-semibold text-slate-800 flex items-center gap-2">
+          <History size={18} className="text-blue-600" />
+          Scan History
+        </h3>
+        <button
+          onClick={loadScans}
+          disabled={loading}
+          className="text-sm text-blue-600 hover:text-blue-800 flex items-center gap-1"
+        >
+          <RefreshCw size={14} className={loading ? 'animate-spin' : ''} />
+          Refresh
+        </button>
+      </div>
+
+      {error && (
+        <div className="mb-3 text-sm text-red-700 flex items-center gap-2">
+          <XCircle size={16} />
+          {error}
+        </div>
+      )}
+
+      {scans.length === 0 && !loading ? (
+        <div className="text-sm text-slate-500">No saved scans yet.</div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="text-left text-slate-500 border-b border-slate-200">
+              <tr>
+                <th className="py-2 pr-4 font-medium">Domain</th>
+                <th className="py-2 pr-4 font-medium">Date</th>
+                <th className="py-2 pr-4 font-medium">Score</th>
+                <th className="py-2 pr-4 font-medium">Issues</th>
+                <th className="py-2 font-medium"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-100">
+              {scans.map((scan, index) => (
+                <tr key={scan.id} className="hover:bg-slate-50">
+                  <td className="py-2 pr-4 text-slate-800 break-all">{scan.domain}</td>
+                  <td className="py-2 pr-4 text-slate-600 whitespace-nowrap">
+                    {new Date(scan.createdAt).toLocaleString()}
+                  </td>
+                  <td className={`py-2 pr-4 font-bold ${getScoreColor(scan.healthScore)}`}>{scan.healthScore}</td>
+                  <td className="py-2 pr-4 text-slate-600">{scan.stats?.brokenLinks ?? '-'}</td>
+                  <td className="py-2 text-right whitespace-nowrap">
+                    {hasEarlierScan(index) && (
+                      <button
+                        onClick={() => compareScan(scan.id)}
+                        disabled={openingId !== null}
+                        className="mr-2 bg-slate-100 text-slate-700 px-3 py-1 rounded-lg text-xs font-medium hover:bg-slate-200 disabled:opacity-50"
+                      >
+                        Compare with previous
+                      </button>
+                    )}
+                    <button
+                      onClick={() => openScan(scan.id)}
+                      disabled={openingId !== null}
+                      className="bg-blue-600 text-white px-3 py-1 rounded-lg text-xs font-medium hover:bg-blue-700 disabled:bg-slate-400"
+                    >
+                      {openingId === scan.id ? 'Opening...' : 'Open'}
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ScanHistory;
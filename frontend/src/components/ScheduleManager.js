@@ -0,0 +1,211 @@
+import React, { useEffect, useState } from 'react';
+import { Calendar, Lock, Pause, Play, Plus, RefreshCw, Trash2, XCircle } from 'lucide-react';
+
+const SCHEDULE_OPTIONS = [
+  { value: 'hourly', label: 'Hourly' },
+  { value: 'daily', label: 'Daily (03:00)' },
+  { value: 'weekly', label: 'Weekly (Mon 03:00)' },
+  { value: 'cron', label: 'Custom cron' }
+];
+
+const ScheduleManager = ({ backendUrl, domain, scanOptions, auth }) => {
+  const [schedules, setSchedules] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [newDomain, setNewDomain] = useState(domain);
+  const [frequency, setFrequency] = useState('daily');
+  const [cronExpression, setCronExpression] = useState('0 6 * * *');
+  const [includeAuth, setIncludeAuth] = useState(false);
+
+  // Shared fetch wrapper that surfaces backend error messages
+  const request = async (path, options = {}) => {
+    const response = await fetch(`${backendUrl}${path}`, {
+      headers: { 'Content-Type': 'application/json' },
+      ...options
+    });
+
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}));
+      throw new Error(body.error || response.statusText);
+    }
+
+    return response.status === 204 ? null : response.json();
+  };
+
+  const loadSchedules = async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      setSchedules(await request('/api/schedules'));
+    } catch (err) {
+      setError(`Could not load schedules: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadSchedules();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [backendUrl]);
+
+  const runAction = async (action) => {
+    setError(null);
+    try {
+      await action();
+      await loadSchedules();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const addSchedule = () => runAction(() => request('/api/schedules', {
+    method: 'POST',
+    body: JSON.stringify({
+      domain: newDomain,
+      schedule: frequency === 'cron' ? cronExpression : frequency,
+      options: scanOptions,
+      auth: includeAuth ? auth : null
+    })
+  }));
+
+  const togglePaused = (schedule) => runAction(() =>
+    request(`/api/schedules/${schedule.id}/${schedule.paused ? 'resume' : 'pause'}`, { method: 'POST' })
+  );
+
+  const removeSchedule = (schedule) => {
+    if (!window.confirm(`Delete the schedule for ${schedule.domain}?`)) return;
+    runAction(() => request(`/api/schedules/${schedule.id}`, { method: 'DELETE' }));
+  };
+
+  const formatDate = (value) => (value ? new Date(value).toLocaleString() : '-');
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-4 mb-6">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="font-semibold text-slate-800 flex items-center gap-2">
+          <Calendar size={18} className="text-blue-600" />
+          Scheduled Scans
+        </h3>
+        <button
+          onClick={loadSchedules}
+          disabled={loading}
+          className="text-sm text-blue-600 hover:text-blue-800 flex items-center gap-1"
+        >
+          <RefreshCw size={14} className={loading ? 'animate-spin' : ''} />
+          Refresh
+        </button>
+      </div>
+
+      <div className="flex flex-wrap gap-2 mb-4">
+        <input
+          type="text"
+          value={newDomain}
+          onChange={(e) => setNewDomain(e.target.value)}
+          placeholder="https://example.com"
+          className="flex-1 min-w-[200px] px-3 py-2 border border-slate-300 rounded-lg text-sm"
+        />
+        <select
+          value={frequency}
+          onChange={(e) => setFrequency(e.target.value)}
+          className="px-3 py-2 border border-slate-300 rounded-lg text-sm bg-white"
+        >
+          {SCHEDULE_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        {frequency === 'cron' && (
+          <input
+            type="text"
+            value={cronExpression}
+            onChange={(e) => setCronExpression(e.target.value)}
+            placeholder="m h dom mon dow"
+            className="w-40 px-3 py-2 border border-slate-300 rounded-lg text-sm font-mono"
+          />
+        )}
+        <button
+          onClick={addSchedule}
+          className="bg-blue-600 text-white px-4 py-2 rounded-lg text-sm font-medium hover:bg-blue-700 flex items-center gap-1"
+        >
+          <Plus size={16} />
+          Add Schedule
+        </button>
+      </div>
+      <div className="text-xs text-slate-500 -mt-2 mb-4">
+        New schedules use the current scan settings.
+        {auth && (
+          <label className="ml-3 inline-flex items-center gap-1">
+            <input type="checkbox" checked={includeAuth} onChange={(e) => setIncludeAuth(e.target.checked)} />
+            Include the sign-in settings (stored on the server with the schedule)
+          </label>
+        )}
+      </div>
+
+      {error && (
+        <div className="mb-3 text-sm text-red-700 flex items-center gap-2">
+          <XCircle size={16} />
+          {error}
+        </div>
+      )}
+
+      {schedules.length === 0 && !loading ? (
+        <div className="text-sm text-slate-500">No scheduled scans yet.</div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="text-left text-slate-500 border-b border-slate-200">
+              <tr>
+                <th className="py-2 pr-4 font-medium">Domain</th>
+                <th className="py-2 pr-4 font-medium">Schedule</th>
+                <th className="py-2 pr-4 font-medium">Next Run</th>
+                <th className="py-2 pr-4 font-medium">Last Run</th>
+                <th className="py-2 font-medium"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-100">
+              {schedules.map(schedule => (
+                <tr key={schedule.id} className={schedule.paused ? 'text-slate-400' : 'text-slate-700'}>
+                  <td className="py-2 pr-4 break-all">
+                    {schedule.domain}
+                    {schedule.hasAuth && (
+                      <Lock size={12} className="inline ml-1 text-slate-400" aria-label="Signs in before scanning" />
+                    )}
+                  </td>
+                  <td className="py-2 pr-4 font-mono text-xs">{schedule.schedule}</td>
+                  <td className="py-2 pr-4 whitespace-nowrap">
+                    {schedule.paused ? 'Paused' : formatDate(schedule.nextRunAt)}
+                  </td>
+                  <td className="py-2 pr-4 whitespace-nowrap">
+                    {formatDate(schedule.lastRunAt)}
+                    {schedule.lastStatus === 'failed' && (
+                      <div className="text-xs text-red-600" title={schedule.lastError}>Failed</div>
+                    )}
+                  </td>
+                  <td className="py-2 text-right whitespace-nowrap">
+                    <button
+                      onClick={() => togglePaused(schedule)}
+                      className="mr-2 bg-slate-100 text-slate-700 px-3 py-1 rounded-lg text-xs font-medium hover:bg-slate-200 inline-flex items-center gap-1"
+                    >
+                      {schedule.paused ? <Play size={12} /> : <Pause size={12} />}
+                      {schedule.paused ? 'Resume' : 'Pause'}
+                    </button>
+                    <button
+                      onClick={() => removeSchedule(schedule)}
+                      className="bg-red-50 text-red-700 px-3 py-1 rounded-lg text-xs font-medium hover:bg-red-100 inline-flex items-center gap-1"
+                    >
+                      <Trash2 size={12} />
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ScheduleManager;